@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// distill
+//
+// Command line entry point for the Recursive Distill coherence toolkit.
+// Run `distill --help` for the available subcommands and options.
+
+const { main } = require('../lib/cli');
+
+main().then(code => {
+  process.exitCode = code;
+});
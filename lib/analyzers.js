@@ -0,0 +1,275 @@
+// analyzers.js
+//
+// Analyzer plugins: custom sub-metrics that feed one of the four components
+// alongside the built-in ones, so a research community can ship its own
+// checks without forking the engine. A plugin module exports an analyzer, a
+// list of them, or { analyzers: [...] }:
+//
+//   module.exports = {
+//     key: 'figureCaptionScore',         // sub-metric key, unique across components
+//     component: 'signal',               // signal, feedback, bounded or elastic
+//     weight: 0.2,                       // default weight within the component
+//     async analyze(ctx, articles) {     // returns the analysis
+//       return { score, observations, diagnostics };
+//     },
+//     score(observations, analysis) {},  // optional per-section scorer, as in sections.js
+//     fallback: 0.5,                     // score when neither gives one
+//     recommendation: 'Caption every figure',  // or (analysis, result) => string | null
+//     detail: analysis => `Captioned figures: ...`
+//   };
+//
+// The analysis may carry a score; otherwise the scorer is applied to all its
+// observations, and failing that the fallback is used. Scores must be finite
+// numbers between 0 and 1. Diagnostics take the usual { rule, severity, file,
+// line, column, message } form. The analysis may also record its provenance
+// and confidence (see coherence/provenance.js); otherwise a fallback score
+// counts as defaulted. An analysis whose analyze, score or detail function
+// throws, or that reports an invalid score, counts as errored. These failures,
+// and a recommendation function that throws, are reported as plugin/error
+// diagnostics.
+//
+// Plugin analyses are kept in the component result under `plugin:<key>`, so
+// they can never shadow a built-in analysis or result field.
+//
+// Plugins are listed under `plugins` in the coherence policy, as paths
+// relative to the article repository or package names, or passed as
+// analyzer objects in the `plugins` option. Their weights can be overridden
+// and they can be disabled through the policy like any built-in sub-metric.
+
+const path = require('path');
+const { defaultConfig, isPlainObject } = require('./config');
+
+// Result names of the components an analyzer can feed
+const componentNames = {
+  signal: 'signalAlignment',
+  feedback: 'feedbackResponsiveness',
+  bounded: 'boundedIntegrity',
+  elastic: 'elasticTolerance'
+};
+
+// Load analyzer plugins from module paths, package names or analyzer objects
+//
+// Returns the validated analyzers and a list of problems found in them.
+function loadAnalyzers(cwd, specs) {
+  const analyzers = [];
+  const problems = [];
+  const taken = new Set(Object.values(defaultConfig.subMetrics).flatMap(weights => Object.keys(weights)));
+  
+  for (const spec of specs || []) {
+    let exported = spec;
+    const source = typeof spec === 'string' ? spec : `analyzer ${spec && spec.key}`;
+    
+    if (typeof spec === 'string') {
+      try {
+        exported = require(spec.startsWith('.') || path.isAbsolute(spec)
+          ? path.resolve(cwd, spec)
+          : require.resolve(spec, { paths: [cwd] }));
+      } catch (error) {
+        problems.push(`Could not load plugin ${spec}: ${error.message.split('\n')[0]}`);
+        continue;
+      }
+    }
+    
+    const list = Array.isArray(exported) ? exported : exported && exported.analyzers ? exported.analyzers : [exported];
+    for (const analyzer of list) {
+      const analyzerProblems = validateAnalyzer(analyzer, taken);
+      if (analyzerProblems.length > 0) {
+        problems.push(...analyzerProblems.map(problem => `${source}: ${problem}`));
+        continue;
+      }
+      
+      taken.add(analyzer.key);
+      analyzers.push(analyzer);
+    }
+  }
+  
+  return { analyzers, problems };
+}
+
+// List what is wrong with an analyzer definition
+function validateAnalyzer(analyzer, taken = new Set()) {
+  if (!isPlainObject(analyzer)) return ['An analyzer must be an object'];
+  
+  const problems = [];
+  const optionalFunction = name => {
+    if (analyzer[name] !== undefined && typeof analyzer[name] !== 'function') {
+      problems.push(`${name} must be a function`);
+    }
+  };
+  
+  if (typeof analyzer.key !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(analyzer.key)) {
+    problems.push(`key must be an alphanumeric sub-metric name, got ${JSON.stringify(analyzer.key)}`);
+  } else if (taken.has(analyzer.key)) {
+    problems.push(`Sub-metric "${analyzer.key}" is already registered`);
+  } else if (Object.values(componentNames).includes(analyzer.key)) {
+    problems.push(`key "${analyzer.key}" is the name of a component`);
+  }
+  if (!componentNames[analyzer.component]) {
+    problems.push(`component must be one of ${Object.keys(componentNames).join(', ')}, got ${JSON.stringify(analyzer.component)}`);
+  }
+  if (typeof analyzer.weight !== 'number' || !(analyzer.weight >= 0)) {
+    problems.push(`weight must be a number of at least 0, got ${JSON.stringify(analyzer.weight)}`);
+  }
+  if (typeof analyzer.analyze !== 'function') {
+    problems.push('analyze must be a function');
+  }
+  if (analyzer.fallback !== undefined && (typeof analyzer.fallback !== 'number' || analyzer.fallback < 0 || analyzer.fallback > 1)) {
+    problems.push(`fallback must be a number between 0 and 1, got ${JSON.stringify(analyzer.fallback)}`);
+  }
+  if (analyzer.recommendation !== undefined && typeof analyzer.recommendation !== 'string') {
+    optionalFunction('recommendation');
+  }
+  optionalFunction('score');
+  optionalFunction('detail');
+  
+  return problems;
+}
+
+// Default sub-metric weights of the analyzers, by component
+function analyzerWeights(analyzers) {
+  const subMetrics = {};
+  for (const analyzer of analyzers) {
+    subMetrics[analyzer.component] = { ...subMetrics[analyzer.component], [analyzer.key]: analyzer.weight };
+  }
+  return { subMetrics };
+}
+
+// Name of a plugin's analysis in the component result
+function pluginAnalysis(key) {
+  return `plugin:${key}`;
+}
+
+// Check that a plugin score is a number Δ−𝑝 can take
+function isValidScore(score) {
+  return typeof score === 'number' && Number.isFinite(score) && score >= 0 && score <= 1;
+}
+
+// Log a plugin failure and describe it as a diagnostic
+//
+// `action` completes "Could not ...", e.g. "run analyzer".
+function pluginFailure(ctx, analyzer, action, error) {
+  ctx.logger.warn(`Warning: Could not ${action} ${analyzer.key}:`, error.message);
+  
+  return {
+    rule: 'plugin/error',
+    severity: 'error',
+    file: ctx.policy ? ctx.policy.file : null,
+    line: 1,
+    column: 1,
+    message: `Could not ${action} ${analyzer.key}: ${error.message}`
+  };
+}
+
+// Run the enabled plugin analyzers of a component
+//
+// Returns their sub-metric descriptors, analyses (keyed by analysis name),
+// scores and detail lines, ready to be merged with the built-in ones.
+async function runAnalyzers(ctx, component, articles) {
+  const run = { subMetrics: [], analyses: {}, components: {}, details: [] };
+  
+  const analyzers = (ctx.plugins || []).filter(analyzer =>
+    analyzer.component === component && ctx.config.analyzers[analyzer.key] !== false);
+  
+  for (const analyzer of analyzers) {
+    const fallback = analyzer.fallback ?? 0.5;
+    const scorer = analyzer.score || (() => null);
+    let analysis = {};
+    let measured = null;
+    let failure = null;
+    
+    try {
+      analysis = (await analyzer.analyze(ctx, articles)) || {};
+      measured = typeof analysis.score === 'number' ? analysis.score : scorer(analysis.observations || [], analysis) ?? null;
+      if (measured !== null && !isValidScore(measured)) {
+        throw new Error(`score must be a finite number between 0 and 1, got ${measured}`);
+      }
+    } catch (error) {
+      failure = pluginFailure(ctx, analyzer, 'run analyzer', error);
+      analysis = { ...analysis, error: error.message };
+      measured = null;
+    }
+    
+    const score = measured ?? fallback;
+    const name = pluginAnalysis(analyzer.key);
+    
+    run.subMetrics.push({
+      key: analyzer.key,
+      analysis: name,
+      // A scorer that fails on a section has nothing to say about it
+      score: (observations, sectionAnalysis) => {
+        try {
+          const sectionScore = scorer(observations, sectionAnalysis) ?? null;
+          return sectionScore === null || isValidScore(sectionScore) ? sectionScore : null;
+        } catch (error) {
+          return null;
+        }
+      },
+      recommendation: typeof analyzer.recommendation === 'function'
+        ? recommendSafely(ctx, analyzer)
+        : analyzer.recommendation
+    });
+    run.analyses[name] = {
+      ...analysis,
+      score,
+      ...(analysis.error
+        ? { provenance: 'errored', confidence: 0 }
+        : { provenance: analysis.provenance || (measured === null ? 'defaulted' : 'measured') }),
+      observations: analysis.observations || [],
+      diagnostics: [
+        ...(analysis.diagnostics || []).map(diagnostic => ({ severity: 'warning', line: 1, column: 1, ...diagnostic })),
+        ...(failure ? [failure] : [])
+      ]
+    };
+    run.components[analyzer.key] = score;
+    
+    let detail = `${analyzer.key}: ${score.toFixed(2)}`;
+    if (analyzer.detail) {
+      try {
+        detail = analyzer.detail(run.analyses[name]);
+      } catch (error) {
+        const described = run.analyses[name];
+        run.analyses[name] = {
+          ...described,
+          error: error.message,
+          provenance: 'errored',
+          confidence: 0,
+          diagnostics: [...described.diagnostics, pluginFailure(ctx, analyzer, 'describe analyzer', error)]
+        };
+      }
+    }
+    run.details.push(detail);
+  }
+  
+  return run;
+}
+
+// Wrap a plugin's recommendation function so a throw cannot end the check
+//
+// Recommendations are ranked after the components are scored, so the
+// failure is added to the component's diagnostics, once, and the plugin
+// makes no recommendation.
+function recommendSafely(ctx, analyzer) {
+  let failed = false;
+  
+  return (analysis, result) => {
+    try {
+      return analyzer.recommendation(analysis, result);
+    } catch (error) {
+      if (!failed) {
+        failed = true;
+        result.diagnostics = [...(result.diagnostics || []), pluginFailure(ctx, analyzer, 'get a recommendation from analyzer', error)];
+      }
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  componentNames,
+  isValidScore,
+  loadAnalyzers,
+  validateAnalyzer,
+  analyzerWeights,
+  pluginAnalysis,
+  runAnalyzers
+};
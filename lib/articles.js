@@ -0,0 +1,51 @@
+// articles.js
+//
+// Helpers for locating and parsing the article's Markdown sources.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const util = require('util');
+const glob = util.promisify(require('glob'));
+const matter = require('gray-matter');
+const { resolvePath } = require('./context');
+
+// List repository files matching a glob pattern, relative to the context root
+async function findFiles(ctx, pattern) {
+  return glob(pattern, { cwd: ctx.cwd, nodir: true });
+}
+
+// Parse article contents from markdown files
+async function parseArticleContents(ctx) {
+  const contentFiles = await findFiles(ctx, `${ctx.config.paths.content}**/*.md`);
+  
+  const articles = [];
+  
+  for (const file of contentFiles) {
+    try {
+      const content = fs.readFileSync(resolvePath(ctx, file), 'utf8');
+      const { data, content: markdown } = matter(content);
+      
+      articles.push({
+        file,
+        metadata: data,
+        content: markdown,
+        path: file,
+        // Content hash, for the per-file analysis cache
+        hash: crypto.createHash('sha256').update(content).digest('hex'),
+        // Lines taken up by front matter, so analyzers can report file lines
+        lineOffset: content.endsWith(markdown)
+          ? content.slice(0, content.length - markdown.length).split('\n').length - 1
+          : 0
+      });
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not parse ${file}:`, error.message);
+    }
+  }
+  
+  return articles;
+}
+
+module.exports = {
+  findFiles,
+  parseArticleContents
+};
@@ -0,0 +1,561 @@
+// attribution-map
+//
+// This module generates and maintains the attribution graph for Recursive Distill articles,
+// mapping contributions across GitHub artifacts (commits, issues, PRs, comments)
+// and creating a comprehensive network of attribution relationships.
+//
+// Contributors are resolved through the identity map (see identity.js), so an
+// author's commits, under any name or email the mailmap knows, and their
+// GitHub activity meet in one node. Contributor nodes in a graph loaded from
+// an earlier run are rekeyed through the same map before new contributions
+// are added, so nodes written before an identity was known merge into it.
+
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const { createContext, resolvePath } = require('./context');
+const { parseArticleContents } = require('./articles');
+const { loadIdentities, resolveIdentity, canonicalCommitter } = require('./identity');
+const {
+  fetchAllIssues,
+  fetchIssueComments,
+  fetchAllPullRequests,
+  fetchPRReviews,
+  fetchPRComments
+} = require('./forge');
+
+const contributionTypes = {
+  CODE: 'code',
+  REVIEW: 'review',
+  ISSUE: 'issue',
+  PR: 'pull_request',
+  COMMENT: 'comment',
+  DISCUSSION: 'discussion'
+};
+
+// Main function - returns the attribution graph and writes it to meta/attribution.json
+async function generateAttributionMap(options = {}) {
+  const ctx = createContext(options);
+  ctx.logger.log('📊 Generating Attribution Map...');
+  
+  // Initialize attribution graph or load existing one
+  const attributionGraph = initializeAttributionGraph(ctx);
+  
+  // Resolve authors and maintainers across commits and GitHub accounts
+  const identities = await loadIdentities(ctx, await parseArticleContents(ctx));
+  rekeyContributors(attributionGraph, identities);
+  
+  // Map code contributions from Git history
+  await mapCodeContributions(ctx, attributionGraph, identities);
+  
+  // Map contributions from GitHub issues
+  await mapIssueContributions(ctx, attributionGraph, identities);
+  
+  // Map contributions from pull requests
+  await mapPRContributions(ctx, attributionGraph, identities);
+  
+  // Map contributions from discussions
+  await mapDiscussionContributions(ctx, attributionGraph);
+  
+  // Calculate attribution metrics
+  calculateAttributionMetrics(attributionGraph);
+  
+  // Save attribution graph
+  if (ctx.write) {
+    const metaDir = resolvePath(ctx, ctx.config.paths.meta);
+    if (!fs.existsSync(metaDir)) {
+      fs.mkdirSync(metaDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(
+      resolvePath(ctx, ctx.config.paths.attributionOutput), 
+      JSON.stringify(attributionGraph, null, 2)
+    );
+  }
+  
+  ctx.logger.log(`✅ Attribution map generated with ${attributionGraph.nodes.length} contributors and ${attributionGraph.links.length} attribution relationships.`);
+  
+  return attributionGraph;
+}
+
+// Initialize attribution graph
+function initializeAttributionGraph(ctx) {
+  const outputPath = resolvePath(ctx, ctx.config.paths.attributionOutput);
+  
+  if (fs.existsSync(outputPath)) {
+    try {
+      return JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    } catch (error) {
+      ctx.logger.warn('Could not parse existing attribution map, creating new one:', error.message);
+    }
+  }
+  
+  return {
+    nodes: [],
+    links: [],
+    metadata: {
+      repository: `${ctx.owner}/${ctx.repo}`,
+      generated: new Date().toISOString(),
+      version: '1.0.0'
+    }
+  };
+}
+
+// Map code contributions from Git history
+async function mapCodeContributions(ctx, graph, identities = noIdentities) {
+  try {
+    ctx.logger.log('Mapping code contributions from Git history...');
+    
+    // Get git log with contribution details
+    const { stdout } = await exec(
+      'git log --numstat --format="%H|%an|%ae|%at|%s"',
+      { cwd: ctx.cwd, maxBuffer: 64 * 1024 * 1024 }
+    );
+    
+    const commits = parseGitLog(stdout);
+    
+    for (const commit of commits) {
+      // Add contributor node if not exists
+      const contributor = identifyContributor(identities, { name: commit.author, email: commit.email });
+      addContributorNode(graph, contributor);
+      
+      // Add content node if not exists
+      for (const file of commit.files) {
+        addContentNode(graph, {
+          path: file.path,
+          type: getFileType(file.path)
+        });
+        
+        // Add contribution link
+        addLink(graph, {
+          source: nodeId('contributor', contributor.key),
+          target: nodeId('content', file.path),
+          type: contributionTypes.CODE,
+          weight: file.additions + file.deletions,
+          timestamp: new Date(commit.timestamp * 1000).toISOString(),
+          metadata: {
+            commitHash: commit.hash,
+            message: commit.message,
+            additions: file.additions,
+            deletions: file.deletions
+          }
+        });
+      }
+    }
+    
+    ctx.logger.log(`Added ${commits.length} code contributions.`);
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not map code contributions:', error.message);
+  }
+}
+
+// Parse git log output
+function parseGitLog(log) {
+  const commits = [];
+  const lines = log.split('\n');
+  
+  let currentCommit = null;
+  
+  for (const line of lines) {
+    if (line.includes('|')) {
+      // This is a commit header
+      const [hash, author, email, timestamp, ...message] = line.split('|');
+      
+      if (currentCommit) {
+        commits.push(currentCommit);
+      }
+      
+      currentCommit = {
+        hash,
+        author,
+        email,
+        timestamp: parseInt(timestamp, 10),
+        message: message.join('|'),
+        files: []
+      };
+    } else if (line.trim() && currentCommit) {
+      // This is a file stat line
+      const match = line.match(/^(\d+)\s+(\d+)\s+(.+)$/);
+      if (match) {
+        currentCommit.files.push({
+          additions: parseInt(match[1], 10),
+          deletions: parseInt(match[2], 10),
+          path: match[3]
+        });
+      }
+    }
+  }
+  
+  if (currentCommit) {
+    commits.push(currentCommit);
+  }
+  
+  return commits;
+}
+
+// Map contributions from GitHub issues
+async function mapIssueContributions(ctx, graph, identities = noIdentities) {
+  try {
+    ctx.logger.log('Mapping contributions from GitHub issues...');
+    
+    // Fetch issues using GitHub API
+    const issues = await fetchAllIssues(ctx);
+    
+    for (const issue of issues) {
+      if (issue.pull_request) continue; // Skip PRs, they're handled separately
+      
+      // Add contributor node for issue creator
+      const author = identifyContributor(identities, { login: issue.user.login });
+      addContributorNode(graph, { ...author, avatarUrl: issue.user.avatar_url });
+      
+      // Add content node for the issue
+      addContentNode(graph, {
+        path: `issues/${issue.number}`,
+        title: issue.title,
+        type: 'issue'
+      });
+      
+      // Add contribution link for issue creation
+      addLink(graph, {
+        source: nodeId('contributor', author.key),
+        target: nodeId('content', `issues/${issue.number}`),
+        type: contributionTypes.ISSUE,
+        weight: 1,
+        timestamp: issue.created_at,
+        metadata: {
+          title: issue.title,
+          state: issue.state,
+          labels: issue.labels.map(l => l.name),
+          url: issue.html_url
+        }
+      });
+      
+      // Fetch comments for this issue
+      const comments = await fetchIssueComments(ctx, issue.number);
+      
+      for (const comment of comments) {
+        // Add contributor node for commenter
+        const commenter = identifyContributor(identities, { login: comment.user.login });
+        addContributorNode(graph, { ...commenter, avatarUrl: comment.user.avatar_url });
+        
+        // Add contribution link for comment
+        addLink(graph, {
+          source: nodeId('contributor', commenter.key),
+          target: nodeId('content', `issues/${issue.number}`),
+          type: contributionTypes.COMMENT,
+          weight: 0.5,
+          timestamp: comment.created_at,
+          metadata: {
+            commentId: comment.id,
+            url: comment.html_url
+          }
+        });
+      }
+    }
+    
+    ctx.logger.log(`Added contributions from ${issues.length} issues.`);
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not map issue contributions:', error.message);
+  }
+}
+
+// Map contributions from pull requests
+async function mapPRContributions(ctx, graph, identities = noIdentities) {
+  try {
+    ctx.logger.log('Mapping contributions from pull requests...');
+    
+    // Fetch PRs using GitHub API
+    const prs = await fetchAllPullRequests(ctx);
+    
+    for (const pr of prs) {
+      // Add contributor node for PR creator
+      const author = identifyContributor(identities, { login: pr.user.login });
+      addContributorNode(graph, { ...author, avatarUrl: pr.user.avatar_url });
+      
+      // Add content node for the PR
+      addContentNode(graph, {
+        path: `pulls/${pr.number}`,
+        title: pr.title,
+        type: 'pull_request'
+      });
+      
+      // Add contribution link for PR creation
+      addLink(graph, {
+        source: nodeId('contributor', author.key),
+        target: nodeId('content', `pulls/${pr.number}`),
+        type: contributionTypes.PR,
+        weight: 1,
+        timestamp: pr.created_at,
+        metadata: {
+          title: pr.title,
+          state: pr.state,
+          merged: pr.merged,
+          url: pr.html_url
+        }
+      });
+      
+      // Fetch reviews for this PR
+      const reviews = await fetchPRReviews(ctx, pr.number);
+      
+      for (const review of reviews) {
+        // Add contributor node for reviewer
+        const reviewer = identifyContributor(identities, { login: review.user.login });
+        addContributorNode(graph, { ...reviewer, avatarUrl: review.user.avatar_url });
+        
+        // Add contribution link for review
+        addLink(graph, {
+          source: nodeId('contributor', reviewer.key),
+          target: nodeId('content', `pulls/${pr.number}`),
+          type: contributionTypes.REVIEW,
+          weight: 0.8,
+          timestamp: review.submitted_at,
+          metadata: {
+            reviewId: review.id,
+            state: review.state,
+            url: review.html_url
+          }
+        });
+      }
+      
+      // Fetch comments for this PR
+      const comments = await fetchPRComments(ctx, pr.number);
+      
+      for (const comment of comments) {
+        // Add contributor node for commenter
+        const commenter = identifyContributor(identities, { login: comment.user.login });
+        addContributorNode(graph, { ...commenter, avatarUrl: comment.user.avatar_url });
+        
+        // Add contribution link for comment
+        addLink(graph, {
+          source: nodeId('contributor', commenter.key),
+          target: nodeId('content', `pulls/${pr.number}`),
+          type: contributionTypes.COMMENT,
+          weight: 0.5,
+          timestamp: comment.created_at,
+          metadata: {
+            commentId: comment.id,
+            url: comment.html_url
+          }
+        });
+      }
+    }
+    
+    ctx.logger.log(`Added contributions from ${prs.length} pull requests.`);
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not map PR contributions:', error.message);
+  }
+}
+
+// Map contributions from discussions
+async function mapDiscussionContributions(ctx, graph) {
+  try {
+    ctx.logger.log('Mapping contributions from discussions...');
+    
+    // Fetch discussions using GitHub GraphQL API
+    // This requires GraphQL, which is more complex than the REST examples
+    // Placeholder implementation that would be replaced with actual GraphQL query
+    
+    ctx.logger.log('Discussions mapping requires GraphQL API - placeholder implemented.');
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not map discussion contributions:', error.message);
+  }
+}
+
+// Calculate attribution metrics
+function calculateAttributionMetrics(graph) {
+  // Calculate contribution count per contributor
+  const contributorNodes = graph.nodes.filter(node => node.type === 'contributor');
+  
+  for (const node of contributorNodes) {
+    // Count links where this contributor is the source
+    const contributions = graph.links.filter(link => link.source === node.id);
+    node.contributions = contributions.length;
+    
+    // Calculate contribution breakdown by type
+    const typeBreakdown = {};
+    for (const link of contributions) {
+      typeBreakdown[link.type] = (typeBreakdown[link.type] || 0) + 1;
+    }
+    node.contributionBreakdown = typeBreakdown;
+  }
+  
+  // Calculate overall metrics
+  const possibleLinks = graph.nodes.length * (graph.nodes.length - 1) / 2;
+  graph.metadata.metrics = {
+    contributorCount: contributorNodes.length,
+    totalContributions: graph.links.length,
+    contentNodes: graph.nodes.filter(node => node.type !== 'contributor').length,
+    density: possibleLinks > 0 ? graph.links.length / possibleLinks : 0,
+    lastUpdated: new Date().toISOString()
+  };
+  
+  return graph.metadata.metrics;
+}
+
+// Helper functions
+
+// Identity map used when none is given
+const noIdentities = { people: [], aliases: [], sources: [] };
+
+// Move existing contributor nodes to the ids the identity map now gives them
+//
+// Nodes with a GitHub handle are resolved by it, commit nodes by name and
+// email. Nodes that resolve to the same contributor are merged, and their
+// links follow them.
+function rekeyContributors(graph, identities = noIdentities) {
+  const renamed = new Map();
+  const nodes = [];
+  
+  for (const node of graph.nodes) {
+    if (node.type !== 'contributor') {
+      nodes.push(node);
+      continue;
+    }
+    
+    const contributor = identifyContributor(identities, node.github
+      ? { login: node.github }
+      : { name: node.name, email: node.email });
+    const id = nodeId('contributor', contributor.key || contributor.name || contributor.github);
+    const merged = nodes.find(other => other.id === id);
+    
+    if (id !== node.id) {
+      renamed.set(node.id, id);
+    }
+    
+    if (merged) {
+      // Keep what the first node knew and fill in the rest
+      for (const [key, value] of Object.entries(node)) {
+        if (merged[key] === undefined || merged[key] === null) merged[key] = value;
+      }
+    } else {
+      nodes.push({
+        ...node,
+        id,
+        name: contributor.name,
+        email: contributor.email || node.email,
+        github: contributor.github,
+        role: contributor.role
+      });
+    }
+  }
+  
+  if (renamed.size === 0) return;
+  
+  graph.nodes = nodes;
+  const links = graph.links;
+  graph.links = [];
+  for (const link of links) {
+    addLink(graph, {
+      ...link,
+      source: renamed.get(link.source) || link.source,
+      target: renamed.get(link.target) || link.target
+    });
+  }
+}
+
+// Describe a contributor by the identity a GitHub login or committer resolves to
+//
+// Listed people are keyed by their GitHub handle, so their commits and GitHub
+// activity share a node; others by login, or by their mailmapped name.
+function identifyContributor(identities, user) {
+  const person = resolveIdentity(identities, user);
+  const committer = canonicalCommitter(identities, user);
+  const github = user.login || (person && person.github[0]) || null;
+  
+  return {
+    key: (person && (person.github[0] || person.name)) || user.login || committer.name,
+    name: (person && person.name) || committer.name || user.login,
+    email: committer.email || (person && person.emails[0]) || undefined,
+    github,
+    role: person ? person.role : null,
+    type: 'contributor'
+  };
+}
+
+// Add a contributor node if it doesn't exist
+function addContributorNode(graph, contributor) {
+  const id = nodeId('contributor', contributor.key || contributor.name || contributor.github);
+  
+  // Check if node already exists
+  if (!graph.nodes.some(node => node.id === id)) {
+    graph.nodes.push({
+      id,
+      name: contributor.name,
+      email: contributor.email,
+      github: contributor.github,
+      role: contributor.role,
+      avatarUrl: contributor.avatarUrl,
+      type: 'contributor',
+      contributions: 0
+    });
+  }
+}
+
+// Add a content node if it doesn't exist
+function addContentNode(graph, content) {
+  const id = nodeId('content', content.path);
+  
+  // Check if node already exists
+  if (!graph.nodes.some(node => node.id === id)) {
+    graph.nodes.push({
+      id,
+      path: content.path,
+      title: content.title,
+      type: content.type
+    });
+  }
+}
+
+// Add a link if it doesn't exist
+function addLink(graph, link) {
+  // Check if link already exists
+  if (!graph.links.some(l => 
+    l.source === link.source && 
+    l.target === link.target && 
+    l.type === link.type &&
+    l.timestamp === link.timestamp
+  )) {
+    graph.links.push(link);
+  }
+}
+
+// Generate a node ID
+function nodeId(type, name) {
+  return `${type}:${name.replace(/[^a-zA-Z0-9]/g, '_')}`;
+}
+
+// Get file type
+function getFileType(filePath) {
+  const ext = filePath.split('.').pop().toLowerCase();
+  
+  if (['md', 'markdown'].includes(ext)) return 'markdown';
+  if (['js', 'jsx', 'ts', 'tsx'].includes(ext)) return 'javascript';
+  if (['py'].includes(ext)) return 'python';
+  if (['r'].includes(ext)) return 'r';
+  if (['ipynb'].includes(ext)) return 'notebook';
+  if (['json', 'yaml', 'yml'].includes(ext)) return 'data';
+  if (['png', 'jpg', 'jpeg', 'gif', 'svg'].includes(ext)) return 'image';
+  if (['css', 'scss', 'less'].includes(ext)) return 'style';
+  if (['html', 'htm'].includes(ext)) return 'html';
+  
+  return 'other';
+}
+
+module.exports = {
+  contributionTypes,
+  generateAttributionMap,
+  initializeAttributionGraph,
+  mapCodeContributions,
+  parseGitLog,
+  mapIssueContributions,
+  mapPRContributions,
+  mapDiscussionContributions,
+  calculateAttributionMetrics,
+  identifyContributor,
+  rekeyContributors,
+  addContributorNode,
+  addContentNode,
+  addLink,
+  nodeId,
+  getFileType
+};
@@ -0,0 +1,179 @@
+// bibtex.js
+//
+// Minimal BibTeX reader for the citation analysis: extracts entry types, keys,
+// fields and source lines. @string, @preamble and @comment blocks are skipped;
+// macros are not expanded.
+
+const fs = require('fs');
+const { resolvePath } = require('./context');
+const { findFiles } = require('./articles');
+const { lineLocator } = require('./text');
+
+// Parse BibTeX text into entries with their source lines
+function parseBibtex(text, file = null) {
+  const entries = [];
+  const errors = [];
+  let index = 0;
+  
+  const lineAt = lineLocator(text);
+  const headerRegex = /@\s*([A-Za-z]+)\s*([{(])/y;
+  
+  while ((index = text.indexOf('@', index)) !== -1) {
+    const start = index;
+    headerRegex.lastIndex = index;
+    const header = headerRegex.exec(text);
+    
+    if (!header) {
+      index++;
+      continue;
+    }
+    
+    const type = header[1].toLowerCase();
+    const close = header[2] === '{' ? '}' : ')';
+    const bodyStart = index + header[0].length;
+    const bodyEnd = findClosing(text, bodyStart, header[2], close);
+    
+    if (bodyEnd === -1) {
+      errors.push({ file, line: lineAt(start), message: `Unterminated @${type} entry` });
+      break;
+    }
+    
+    index = bodyEnd + 1;
+    
+    if (['comment', 'string', 'preamble'].includes(type)) {
+      continue;
+    }
+    
+    const body = text.slice(bodyStart, bodyEnd);
+    const comma = body.indexOf(',');
+    const key = (comma === -1 ? body : body.slice(0, comma)).trim();
+    
+    if (!key) {
+      errors.push({ file, line: lineAt(start), message: `@${type} entry without a key` });
+      continue;
+    }
+    
+    entries.push({
+      key,
+      type,
+      fields: comma === -1 ? {} : parseFields(body.slice(comma + 1)),
+      file,
+      line: lineAt(start)
+    });
+  }
+  
+  return { entries, errors };
+}
+
+// Find the delimiter closing a balanced group that starts at `from`
+function findClosing(text, from, open, close) {
+  let depth = 1;
+  let inQuote = false;
+  
+  for (let i = from; i < text.length; i++) {
+    const ch = text[i];
+    
+    if (ch === '\\') {
+      i++;
+      continue;
+    }
+    if (ch === '"' && open === '{' && depth === 1) {
+      inQuote = !inQuote;
+    } else if (!inQuote && ch === open) {
+      depth++;
+    } else if (!inQuote && ch === close) {
+      depth--;
+      if (depth === 0) return i;
+    } else if (!inQuote && open !== '{' && ch === '{') {
+      // Braces inside a parenthesised entry still nest
+      const inner = findClosing(text, i + 1, '{', '}');
+      if (inner === -1) return -1;
+      i = inner;
+    }
+  }
+  
+  return -1;
+}
+
+// Parse `name = value` pairs from an entry body
+function parseFields(body) {
+  const fields = {};
+  const fieldRegex = /\s*([A-Za-z][\w-]*)\s*=\s*/y;
+  let index = 0;
+  
+  while (index < body.length) {
+    fieldRegex.lastIndex = index;
+    const match = fieldRegex.exec(body);
+    if (!match) break;
+    
+    const name = match[1].toLowerCase();
+    index = fieldRegex.lastIndex;
+    
+    // Values are braced, quoted or bare, optionally joined with #
+    const parts = [];
+    for (;;) {
+      while (/\s/.test(body[index] || '')) index++;
+      const ch = body[index];
+      
+      if (ch === '{') {
+        const end = findClosing(body, index + 1, '{', '}');
+        if (end === -1) return fields;
+        parts.push(body.slice(index + 1, end));
+        index = end + 1;
+      } else if (ch === '"') {
+        let end = index + 1;
+        let depth = 0;
+        while (end < body.length && !(body[end] === '"' && depth === 0)) {
+          if (body[end] === '{') depth++;
+          if (body[end] === '}') depth--;
+          end++;
+        }
+        parts.push(body.slice(index + 1, end));
+        index = end + 1;
+      } else {
+        const bare = body.slice(index).match(/^[^,#\s]+/);
+        if (!bare) break;
+        parts.push(bare[0]);
+        index += bare[0].length;
+      }
+      
+      while (/\s/.test(body[index] || '')) index++;
+      if (body[index] === '#') {
+        index++;
+        continue;
+      }
+      break;
+    }
+    
+    fields[name] = parts.join('').replace(/\s+/g, ' ').trim();
+    
+    while (index < body.length && body[index] !== ',') index++;
+    index++;
+  }
+  
+  return fields;
+}
+
+// Load every bibliography file matching the configured pattern
+async function loadBibliography(ctx) {
+  const files = await findFiles(ctx, ctx.config.paths.bibliography);
+  const entries = [];
+  const errors = [];
+  
+  for (const file of files) {
+    try {
+      const parsed = parseBibtex(fs.readFileSync(resolvePath(ctx, file), 'utf8'), file);
+      entries.push(...parsed.entries);
+      errors.push(...parsed.errors);
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not read bibliography ${file}:`, error.message);
+    }
+  }
+  
+  return { files, entries, errors };
+}
+
+module.exports = {
+  parseBibtex,
+  loadBibliography
+};
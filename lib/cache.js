@@ -0,0 +1,218 @@
+// cache.js
+//
+// Content-hash cache of per-file analysis results, so repeated checks only
+// re-analyse the files that changed. The cache (.cache/coherence.json by
+// default) maps each file to its fingerprint and, per analysis, the result
+// and a hash of everything else the result depends on (the glossary terms,
+// a dataset's declared checksum...):
+//
+//   { "version": 2, "head": "3c7b87...", "uncommitted": [],
+//     "files": { "content/index.md": { "fingerprint": "9f86d0...",
+//       "analyses": { "term-occurrences": { "key": "2c26b4...", "result": [...] } } } },
+//     "results": { "statement-pairs": { "5e8848...": null } } }
+//
+// Articles are fingerprinted by a hash of their content, other files by size
+// and modification time. With `changedSince`, files git reports untouched are
+// not fingerprinted at all and reuse their cached results; only the changed
+// ones are re-analysed. That also covers datasets, whose modification times
+// a fresh CI checkout resets. The cache records the commit it was written at
+// and the files then uncommitted, and files changed since that commit count
+// as changed too, so a file committed after the cache was written is never
+// served stale.
+//
+// Only the expensive per-file work is cached (stemming, near-miss spelling
+// search, dataset checksums), and under `results` the work keyed by content
+// rather than by file, such as comparing two statements. Combining results
+// across files is cheap and always re-run. Every entry is keyed by the tool's
+// version as well as its dependencies, so results from another release are
+// recomputed. Bump CACHE_VERSION when the file layout changes.
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const execFile = util.promisify(require('child_process').execFile);
+const { resolvePath } = require('./context');
+const { version: toolVersion } = require('../package.json');
+
+const CACHE_VERSION = 2;
+
+// Hash strings or JSON-serialisable values
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    hash.update(typeof part === 'string' ? part : JSON.stringify(part === undefined ? null : part));
+    hash.update('\u0000');
+  }
+  return hash.digest('hex');
+}
+
+// Fingerprint a non-article file by its size and modification time
+function fileFingerprint(ctx, file) {
+  const stats = fs.statSync(resolvePath(ctx, file));
+  return `${stats.size}:${stats.mtimeMs}`;
+}
+
+// Load the analysis cache and, with `changedSince`, the files changed since that ref
+async function loadAnalysisCache(ctx) {
+  const cache = ctx.analysisCache;
+  if (!cache || cache.files) return cache;
+  
+  cache.files = {};
+  cache.results = {};
+  cache.used = {};
+  let saved = {};
+  
+  try {
+    const file = resolvePath(ctx, ctx.config.paths.cache);
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data.version === CACHE_VERSION && data.files) {
+        cache.files = data.files;
+        cache.results = data.results || {};
+        saved = data;
+      }
+    }
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not read analysis cache:', error.message);
+  }
+  
+  // Where this run's results come from, for the next incremental run
+  cache.head = await currentCommit(ctx);
+  cache.uncommitted = cache.head ? await listChangedFiles(ctx, 'HEAD') : null;
+  
+  if (ctx.changedSince) {
+    cache.changed = await listChangedFiles(ctx, ctx.changedSince);
+    
+    // Without knowing where the cache came from, every file is fingerprinted
+    const sinceSaved = saved.head && Array.isArray(saved.uncommitted) ? await listChangedFiles(ctx, saved.head) : null;
+    if (cache.changed && sinceSaved) {
+      cache.touched = new Set([...cache.changed, ...sinceSaved, ...saved.uncommitted]);
+    }
+  }
+  
+  return cache;
+}
+
+// The commit checked out in the context root, or null outside a git repository
+async function currentCommit(ctx) {
+  try {
+    const { stdout } = await execFile('git', ['rev-parse', '--verify', 'HEAD'], { cwd: ctx.cwd });
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// List files changed since a git ref, committed or not, relative to the context root
+async function listChangedFiles(ctx, ref) {
+  try {
+    const { stdout: changed } = await execFile('git', ['diff', '--name-only', '--relative', ref, '--'], { cwd: ctx.cwd });
+    const { stdout: untracked } = await execFile('git', ['ls-files', '--others', '--exclude-standard'], { cwd: ctx.cwd });
+    
+    return new Set(`${changed}\n${untracked}`.split('\n').map(file => file.trim()).filter(Boolean));
+  } catch (error) {
+    // Without the list, every file is fingerprinted as usual
+    ctx.logger.warn(`Warning: Could not list files changed since ${ref}:`, error.message);
+    return null;
+  }
+}
+
+// Return a file's cached analysis result, or run the analysis and cache it
+//
+// `fingerprint` is called only when the file may have changed. Without a
+// loaded cache the analysis simply runs.
+function cachedAnalysis(ctx, file, fingerprint, name, dependencies, analyze) {
+  const cache = ctx && ctx.analysisCache;
+  if (!cache || !cache.files) return analyze();
+  
+  const key = hashContent(toolVersion, dependencies);
+  let entry = cache.files[file];
+  
+  const untouched = entry && cache.touched && !cache.touched.has(file);
+  if (!untouched) {
+    const current = fingerprint();
+    if (!entry || entry.fingerprint !== current) {
+      entry = { fingerprint: current, analyses: {} };
+      cache.files[file] = entry;
+      cache.dirty = true;
+    }
+  }
+  
+  const cached = entry.analyses[name];
+  if (cached && cached.key === key) {
+    cache.hits++;
+    return cached.result;
+  }
+  
+  const result = analyze();
+  entry.analyses[name] = { key, result };
+  cache.misses++;
+  cache.dirty = true;
+  
+  return result;
+}
+
+// Return a result cached under a content key, or compute and cache it
+//
+// `key` identifies everything the result depends on (hashes of the inputs).
+// Only the keys a run uses are written back, so stale results do not pile up.
+function cachedResult(ctx, namespace, key, compute) {
+  const cache = ctx && ctx.analysisCache;
+  if (!cache || !cache.files) return compute();
+  
+  const id = hashContent(toolVersion, key);
+  const results = cache.results[namespace] = cache.results[namespace] || {};
+  const used = cache.used[namespace] = cache.used[namespace] || new Set();
+  used.add(id);
+  
+  if (!Object.prototype.hasOwnProperty.call(results, id)) {
+    results[id] = compute();
+    cache.dirty = true;
+  }
+  
+  return results[id];
+}
+
+// Cached analysis of one article, fingerprinted by its content hash
+function cachedArticleAnalysis(ctx, article, name, dependencies, analyze) {
+  return cachedAnalysis(ctx, article.file, () => article.hash || hashContent(article.metadata, article.content), name, dependencies, analyze);
+}
+
+// Write the analysis cache back, dropping entries for files that no longer exist
+function saveAnalysisCache(ctx) {
+  const cache = ctx.analysisCache;
+  if (!cache || !cache.files || !cache.dirty || !ctx.write) return;
+  
+  try {
+    const files = Object.fromEntries(Object.entries(cache.files)
+      .filter(([file]) => fs.existsSync(resolvePath(ctx, file))));
+    const file = resolvePath(ctx, ctx.config.paths.cache);
+    
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      version: CACHE_VERSION,
+      head: cache.head || null,
+      uncommitted: cache.uncommitted ? [...cache.uncommitted].sort() : null,
+      files,
+      results: Object.fromEntries(Object.entries(cache.results).map(([namespace, results]) => [
+        namespace,
+        Object.fromEntries(Object.entries(results).filter(([id]) => cache.used[namespace] && cache.used[namespace].has(id)))
+      ]))
+    }));
+    cache.dirty = false;
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not write analysis cache:', error.message);
+  }
+}
+
+module.exports = {
+  hashContent,
+  fileFingerprint,
+  loadAnalysisCache,
+  listChangedFiles,
+  cachedAnalysis,
+  cachedResult,
+  cachedArticleAnalysis,
+  saveAnalysisCache
+};
@@ -0,0 +1,440 @@
+// cli.js
+//
+// The `distill` command line: one entry point with subcommands wrapping the
+// coherence check, diff and what-if, attribution map, residue analysis and
+// coherence report.
+
+const path = require('path');
+const { createContext } = require('./context');
+const { checkCoherence, calculateCoherence, printCoherenceSummary, coherenceVerdict, whatIf } = require('./coherence');
+const { generateAttributionMap } = require('./attribution');
+const { analyzeResidue, residueDiagnostics } = require('./residue');
+const { generateCoherenceReport } = require('./report');
+const { diffCoherence, introducedDiagnostics, printCoherenceDiff } = require('./diff');
+const { diagnosticFormats, formatDiagnostics } = require('./diagnostics');
+const { exportSnapshot } = require('./forge/export');
+const { PolicyError } = require('./policy');
+const { aggregationMethods } = require('./coherence/aggregate');
+
+const usage = `Usage: distill <command> [options]
+
+Commands:
+  check         Calculate the Recursive Coherence score (Δ−p)
+  diff          Score the change a pull request makes against its base
+  what-if       Show how Δ−p would change if sub-metrics or components scored differently
+  attribution   Generate the attribution graph
+  residue       Analyze symbolic residue
+  report        Generate the periodic coherence report
+  snapshot      Export issues, PRs, reviews and comments to a snapshot directory
+
+Options:
+  -C, --repo <path>             Article repository to analyze (default: current directory)
+  -r, --repository <owner/repo> GitHub repository (default: $GITHUB_REPOSITORY)
+  -s, --snapshot <dir>          Read issues, PRs, reviews and comments from a local snapshot
+                                (for \`snapshot\`: the directory to export to)
+      --full                    Re-export the whole snapshot instead of only changes
+  -o, --output <path>           Where to write the command's JSON output
+  -t, --threshold <name=value>  Override a threshold (signal, feedback, bounded, elastic, overall,
+                                confidence)
+  -w, --weight <name=value>     Override a component weight (signal, feedback, bounded, elastic)
+      --aggregation <method>    How components combine into Δ−p: product, geometric,
+                                harmonic, min-gated or confidence (default: geometric)
+      --policy <path>           Coherence policy file (default: coherence.config.json, .yml
+                                or .js in the article repository)
+      --plugin <module>         Load an analyzer plugin, in addition to the policy's (repeatable)
+      --days <n>                Report period in days (report only)
+      --set <name=value>        Hypothetical score of a sub-metric or component (what-if
+                                only; repeatable). Without it, what-if lists the gain
+                                each sub-metric would bring if resolved
+      --base <ref>              Ref the pull request merges into (diff only;
+                                default: origin/$GITHUB_BASE_REF or origin/main)
+  -f, --format <format>         Output format on stdout: text, json, or for check, diff
+                                and residue the diagnostics as sarif, annotations (GitHub
+                                workflow commands) or jsonl (default: text)
+      --changed-since <ref>     Reuse cached results for files unchanged since a git ref
+                                and re-analyse only the changed ones (check only)
+      --no-cache                Do not read or write the per-file analysis cache
+      --no-write                Do not write output files
+  -h, --help                    Show this help`;
+
+// Commands whose diagnostics can be exported with --format sarif|annotations|jsonl
+const diagnosticCommands = ['check', 'diff', 'residue'];
+
+// Exit codes of distill check for each verdict
+const verdictCodes = { pass: 0, fail: 1, inconclusive: 3 };
+
+// Output path setting that --output overrides for each command
+const outputPaths = {
+  check: 'coherenceOutput',
+  diff: 'coherenceDiffOutput',
+  attribution: 'attributionOutput',
+  residue: 'residueOutput',
+  report: 'coherenceReport'
+};
+
+const commands = {
+  check: runCheck,
+  diff: runDiff,
+  'what-if': runWhatIf,
+  attribution: runAttribution,
+  residue: runResidue,
+  report: runReport,
+  snapshot: runSnapshot
+};
+
+class UsageError extends Error {}
+
+// Parse command line arguments into a command and options
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    repo: null,
+    repository: null,
+    snapshot: null,
+    output: null,
+    thresholds: {},
+    weights: {},
+    aggregation: null,
+    sets: {},
+    policy: null,
+    plugins: [],
+    days: null,
+    base: null,
+    format: 'text',
+    write: true,
+    cache: true,
+    changedSince: null,
+    full: false,
+    help: false
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].startsWith('--') && argv[i].includes('=')
+      ? [argv[i].slice(0, argv[i].indexOf('=')), argv[i].slice(argv[i].indexOf('=') + 1)]
+      : [argv[i], undefined];
+    
+    // Read the flag's value, either inline (--flag=value) or the next argument
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new UsageError(`Missing value for ${flag}`);
+      return argv[++i];
+    };
+    
+    switch (flag) {
+      case '-C':
+      case '--repo':
+        args.repo = value();
+        break;
+      case '-r':
+      case '--repository':
+        args.repository = value();
+        break;
+      case '-s':
+      case '--snapshot':
+        args.snapshot = value();
+        break;
+      case '-o':
+      case '--output':
+        args.output = value();
+        break;
+      case '-t':
+      case '--threshold':
+        Object.assign(args.thresholds, parseAssignment(flag, value()));
+        break;
+      case '-w':
+      case '--weight':
+        Object.assign(args.weights, parseAssignment(flag, value()));
+        break;
+      case '--aggregation':
+        args.aggregation = value();
+        if (!aggregationMethods.includes(args.aggregation)) {
+          throw new UsageError(`Unknown aggregation method "${args.aggregation}" (expected ${aggregationMethods.join(', ')})`);
+        }
+        break;
+      case '--set':
+        Object.assign(args.sets, parseAssignment(flag, value()));
+        break;
+      case '--policy':
+        args.policy = value();
+        break;
+      case '--plugin':
+        args.plugins.push(value());
+        break;
+      case '--days':
+        args.days = parseNumber(flag, value());
+        break;
+      case '--base':
+        args.base = value();
+        break;
+      case '-f':
+      case '--format':
+        args.format = value();
+        if (!['text', 'json', ...diagnosticFormats].includes(args.format)) {
+          throw new UsageError(`Unknown format "${args.format}" (expected text, json, ${diagnosticFormats.join(', ')})`);
+        }
+        break;
+      case '--full':
+        args.full = true;
+        break;
+      case '--changed-since':
+        args.changedSince = value();
+        break;
+      case '--no-cache':
+        args.cache = false;
+        break;
+      case '--no-write':
+        args.write = false;
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (flag.startsWith('-')) {
+          throw new UsageError(`Unknown option ${flag}`);
+        }
+        if (args.command) {
+          throw new UsageError(`Unexpected argument ${flag}`);
+        }
+        args.command = flag;
+    }
+  }
+  
+  if (diagnosticFormats.includes(args.format) && args.command && !diagnosticCommands.includes(args.command)) {
+    throw new UsageError(`--format ${args.format} is only available for ${diagnosticCommands.join(', ')}`);
+  }
+  
+  return args;
+}
+
+// Parse a name=value option into a single-key object
+function parseAssignment(flag, text) {
+  const [name, raw] = text.split('=');
+  
+  if (!name || raw === undefined) {
+    throw new UsageError(`Expected ${flag} name=value, got "${text}"`);
+  }
+  
+  return { [name]: parseNumber(flag, raw) };
+}
+
+// Parse a numeric option value
+function parseNumber(flag, text) {
+  const number = Number(text);
+  
+  if (text === '' || Number.isNaN(number)) {
+    throw new UsageError(`Expected a number for ${flag}, got "${text}"`);
+  }
+  
+  return number;
+}
+
+// Build library options from parsed arguments
+function buildOptions(args) {
+  const config = {
+    thresholds: args.thresholds,
+    weights: args.weights,
+    paths: {}
+  };
+  
+  if (args.aggregation) {
+    config.aggregation = { method: args.aggregation };
+  }
+  
+  if (args.output) {
+    config.paths[outputPaths[args.command]] = path.resolve(args.output);
+  }
+  
+  if (args.days !== null) {
+    config.reportPeriod = { days: args.days };
+  }
+  
+  return {
+    cwd: args.repo || process.cwd(),
+    repository: args.repository || undefined,
+    // The snapshot command writes the snapshot instead of reading from it
+    snapshot: args.snapshot && args.command !== 'snapshot' ? path.resolve(args.snapshot) : undefined,
+    policy: args.policy ? path.resolve(args.policy) : undefined,
+    plugins: args.plugins.map(plugin => plugin.startsWith('.') ? path.resolve(plugin) : plugin),
+    config,
+    write: args.write,
+    cache: args.cache,
+    changedSince: args.changedSince || undefined,
+    // Keep stdout clean for machine-readable output by sending progress to stderr
+    logger: args.format !== 'text' ? { log: console.error, warn: console.error } : console
+  };
+}
+
+// distill check
+async function runCheck(ctx, args) {
+  const report = await checkCoherence(ctx);
+  const verdict = coherenceVerdict(report, ctx.config);
+  
+  if (args.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else if (diagnosticFormats.includes(args.format)) {
+    printDiagnostics(args.format, report.diagnostics, ctx);
+  } else {
+    printCoherenceSummary(report, ctx);
+    
+    if (verdict === 'pass') {
+      console.log('✅ Coherence verification passed.');
+    } else if (verdict === 'fail') {
+      console.warn('⚠️ Coherence score below threshold. See recommendations in report.');
+    } else {
+      console.warn(`❔ Coherence confidence ${report.confidence.overall.toFixed(2)} is below its threshold: too many scores are defaulted or errored to pass or fail.`);
+    }
+  }
+  
+  return verdictCodes[verdict];
+}
+
+// distill diff
+async function runDiff(ctx, args) {
+  const diff = await diffCoherence({ ...ctx, base: args.base || undefined });
+  
+  if (args.format === 'json') {
+    console.log(JSON.stringify(diff, null, 2));
+  } else if (diagnosticFormats.includes(args.format)) {
+    // Only what the pull request introduces, so annotations land on its own lines
+    printDiagnostics(args.format, introducedDiagnostics(diff), ctx);
+  } else {
+    printCoherenceDiff(diff, ctx);
+  }
+  
+  return 0;
+}
+
+// distill what-if
+async function runWhatIf(ctx, args) {
+  const { report, config } = await calculateCoherence(ctx);
+  
+  if (Object.keys(args.sets).length === 0) {
+    if (args.format === 'json') {
+      console.log(JSON.stringify(report.explanation, null, 2));
+      return 0;
+    }
+    
+    console.log(`Overall coherence: ${report.overallScore.toFixed(2)}`);
+    console.log('Gain in Δ−p if each sub-metric were resolved (marginal effect of +0.1):');
+    for (const metric of report.explanation.subMetrics) {
+      console.log(`  +${metric.gainIfResolved.toFixed(3)} (+${metric.marginalEffect.toFixed(3)}) ${metric.key} ${metric.score.toFixed(2)} [${metric.component}]`);
+    }
+    return 0;
+  }
+  
+  let result;
+  try {
+    result = whatIf(report, args.sets, config);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  
+  if (args.format === 'json') {
+    console.log(JSON.stringify({ current: report.overallScore, ...result }, null, 2));
+  } else {
+    const changes = Object.entries(args.sets).map(([key, value]) => `${key} reached ${value.toFixed(2)}`);
+    const sign = result.change >= 0 ? '+' : '';
+    console.log(`If ${changes.join(' and ')}, overall coherence would be ${result.overallScore.toFixed(2)} (${sign}${result.change.toFixed(2)} from ${report.overallScore.toFixed(2)})`);
+  }
+  
+  return 0;
+}
+
+// distill attribution
+async function runAttribution(ctx, args) {
+  const graph = await generateAttributionMap(ctx);
+  
+  if (args.format === 'json') {
+    console.log(JSON.stringify(graph, null, 2));
+  }
+  
+  return 0;
+}
+
+// distill residue
+async function runResidue(ctx, args) {
+  const catalog = await analyzeResidue(ctx);
+  
+  if (args.format === 'json') {
+    console.log(JSON.stringify(catalog, null, 2));
+  } else if (diagnosticFormats.includes(args.format)) {
+    printDiagnostics(args.format, residueDiagnostics(catalog), ctx);
+  }
+  
+  return 0;
+}
+
+// distill report
+async function runReport(ctx, args) {
+  const report = await generateCoherenceReport(ctx);
+  
+  if (args.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  }
+  
+  return 0;
+}
+
+// distill snapshot
+async function runSnapshot(ctx, args) {
+  const result = await exportSnapshot({
+    ...ctx,
+    dir: args.snapshot ? path.resolve(args.snapshot) : undefined,
+    full: args.full
+  });
+  
+  if (args.format === 'json') {
+    console.log(JSON.stringify(result.manifest, null, 2));
+  }
+  
+  return 0;
+}
+
+// Print diagnostics in a diagnostic format
+function printDiagnostics(format, diagnostics, ctx) {
+  const output = formatDiagnostics(format, diagnostics, ctx);
+  if (output) console.log(output);
+}
+
+// Run the CLI and resolve to a process exit code
+async function main(argv = process.argv.slice(2)) {
+  let args;
+  
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`distill: ${error.message}\n\n${usage}`);
+    return 2;
+  }
+  
+  if (args.help || !args.command) {
+    console.log(usage);
+    return args.help ? 0 : 2;
+  }
+  
+  if (!commands[args.command]) {
+    console.error(`distill: Unknown command "${args.command}"\n\n${usage}`);
+    return 2;
+  }
+  
+  try {
+    const ctx = createContext(buildOptions(args));
+    return await commands[args.command](ctx, args);
+  } catch (error) {
+    if (error instanceof PolicyError || error instanceof UsageError) {
+      console.error(`distill: ${error.message}`);
+      return 2;
+    }
+    console.error(`Error in distill ${args.command}:`, error);
+    return 1;
+  }
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  buildOptions,
+  UsageError
+};
@@ -0,0 +1,116 @@
+// aggregate.js
+//
+// Combines the four component scores into the overall Recursive Coherence
+// score Δ−𝑝. The aggregation method is set under `aggregation` in the
+// configuration:
+//
+// - product: the strict product 𝑆(𝑝) · 𝐹(𝑝) · 𝐵(𝑝) · 𝜆(𝑝), with the weights
+//   as exponents, exactly as the Δ−𝑝 formula is written,
+// - geometric: the weighted geometric mean (the default), which keeps the
+//   multiplicative relationship on the components' own scale,
+// - harmonic: the weighted harmonic mean, dominated by the weakest component,
+// - min-gated: the geometric mean, capped at the lowest component when one
+//   falls below `aggregation.gate` ("no component below X"),
+// - confidence: a weighted arithmetic mean in which each component counts in
+//   proportion to its confidence, so that components computed from fallback
+//   scores count for little (see provenance.js).
+//
+// Scores computed with different methods are not comparable, so the method
+// is recorded in each report's metadata. Policy validation rejects weights
+// that are all 0; should they reach the aggregation anyway, the components
+// are weighted equally rather than dividing by zero.
+
+const { defaultConfig } = require('../config');
+const { componentNames } = require('../analyzers');
+
+// Aggregation methods, by name
+const aggregators = {
+  product: components => components.reduce((product, { score, weight }) => product * score ** weight, 1),
+  geometric: geometricMean,
+  harmonic: harmonicMean,
+  'min-gated': minGated,
+  confidence: confidenceWeightedMean
+};
+
+const aggregationMethods = Object.keys(aggregators);
+
+// Calculate overall coherence using the recursive coherence function
+//
+// `confidence` maps component names (signalAlignment...) to their
+// confidence; only the confidence method uses it.
+function calculateOverallCoherence(
+  signalAlignment,
+  feedbackResponsiveness,
+  boundedIntegrity,
+  elasticTolerance,
+  weights = defaultConfig.weights,
+  aggregation = defaultConfig.aggregation,
+  confidence = {}
+) {
+  const scores = { signal: signalAlignment, feedback: feedbackResponsiveness, bounded: boundedIntegrity, elastic: elasticTolerance };
+  const components = Object.entries(scores).map(([component, score]) => ({
+    score,
+    weight: weights[component],
+    confidence: confidence[componentNames[component]] ?? 1
+  }));
+  
+  if (components.every(({ weight }) => !weight)) {
+    components.forEach(component => { component.weight = 1; });
+  }
+  
+  const aggregator = aggregators[aggregation.method];
+  if (!aggregator) {
+    throw new Error(`Unknown aggregation method "${aggregation.method}" (expected one of ${aggregationMethods.join(', ')})`);
+  }
+  
+  return aggregator(components, aggregation);
+}
+
+// Weighted geometric mean of the component scores
+function geometricMean(components) {
+  // Apply the coherence function Δ−𝑝 = 𝑆(𝑝) · 𝐹(𝑝) · 𝐵(𝑝) · 𝜆(𝑝)
+  // We use the weighted geometric mean to implement the multiplicative relationship
+  const product = components.reduce((result, { score, weight }) => result * score ** weight, 1);
+  const totalWeight = components.reduce((sum, { weight }) => sum + weight, 0);
+  
+  // Geometric mean with weights
+  return product ** (1 / totalWeight);
+}
+
+// Weighted harmonic mean of the component scores
+function harmonicMean(components) {
+  const weighted = components.filter(({ weight }) => weight > 0);
+  
+  // A component at zero pulls the harmonic mean to zero
+  if (weighted.some(({ score }) => score === 0)) return 0;
+  
+  const totalWeight = weighted.reduce((sum, { weight }) => sum + weight, 0);
+  return totalWeight / weighted.reduce((sum, { score, weight }) => sum + weight / score, 0);
+}
+
+// Geometric mean, capped at the lowest component if it falls below the gate
+function minGated(components, aggregation) {
+  const gate = aggregation.gate ?? defaultConfig.aggregation.gate;
+  const lowest = Math.min(...components.filter(({ weight }) => weight > 0).map(({ score }) => score));
+  const mean = geometricMean(components);
+  
+  return lowest < gate ? Math.min(mean, lowest) : mean;
+}
+
+// Weighted arithmetic mean that discounts components left at fallback scores
+function confidenceWeightedMean(components) {
+  const totalWeight = components.reduce((sum, { weight, confidence }) => sum + weight * confidence, 0);
+  
+  // Nothing was measured: every component counts at its plain weight
+  if (totalWeight === 0) {
+    return components.reduce((sum, { score, weight }) => sum + score * weight, 0) /
+      components.reduce((sum, { weight }) => sum + weight, 0);
+  }
+  
+  return components.reduce((sum, { score, weight, confidence }) => sum + score * weight * confidence, 0) / totalWeight;
+}
+
+module.exports = {
+  aggregationMethods,
+  calculateOverallCoherence
+};
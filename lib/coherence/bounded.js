@@ -0,0 +1,811 @@
+// bounded.js
+//
+// B(p): Bounded Integrity - how well scope boundaries are maintained
+
+const natural = require('../natural');
+const { createContext } = require('../context');
+const { parseArticleContents } = require('../articles');
+const { parseBlocks, assignSections, locate, splitSentences } = require('../markdown');
+const { loadGlossary } = require('../glossary');
+const { escapeRegExp, stopwords } = require('../text');
+const { sumObservations } = require('./sections');
+const { scoredProvenance } = require('./provenance');
+const { cachedArticleAnalysis } = require('../cache');
+const { resolveSubMetrics, weightedScore } = require('../policy');
+const { runAnalyzers } = require('../analyzers');
+
+// Sub-metrics of B, weighted by config.subMetrics.bounded; see sections.js for
+// per-section scoring and analyzers.js for the plugins that add to them
+const boundedSubMetrics = [
+  {
+    key: 'scopeScore',
+    analysis: 'scopeAnalysis',
+    score: scoreScope,
+    recommendation: 'Ensure content stays within declared scope by focusing on core topics'
+  },
+  {
+    key: 'driftScore',
+    analysis: 'topicDrift',
+    score: scoreDrift,
+    recommendation: 'Reduce topic drift by maintaining consistent focus throughout the article'
+  },
+  {
+    key: 'termScore',
+    analysis: 'termConsistency',
+    score: scoreTerms,
+    recommendation: 'Improve term consistency by using defined terminology throughout the article'
+  },
+  {
+    key: 'methodScore',
+    analysis: 'methodBoundaries',
+    score: scoreMethods,
+    recommendation: 'Maintain methodological boundaries by clarifying approach limitations'
+  }
+];
+
+// Calculate Bounded Integrity (B) - how well scope boundaries are maintained
+async function calculateBoundedIntegrity(options, articles = null) {
+  const ctx = createContext(options);
+  ctx.logger.log('📊 Calculating Bounded Integrity (B)...');
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  // 1. Analyze scope declarations vs. content
+  const scopeAnalysis = await analyzeScopeIntegrity(ctx, articles);
+  
+  // 2. Check for topic drift
+  const topicDriftAnalysis = await analyzeTopicDrift(ctx, articles);
+  
+  // 3. Evaluate term consistency
+  const termConsistency = await evaluateTermConsistency(ctx, articles);
+  
+  // 4. Check methodological boundaries
+  const methodBoundaries = await analyzeMethodBoundaries(ctx, articles);
+  
+  // 5. Run the plugin analyzers that feed B
+  const plugins = await runAnalyzers(ctx, 'bounded', articles);
+  
+  const analyses = { scopeAnalysis, topicDrift: topicDriftAnalysis, termConsistency, methodBoundaries, ...plugins.analyses };
+  const allSubMetrics = [...boundedSubMetrics, ...plugins.subMetrics];
+  const components = Object.fromEntries(allSubMetrics.map(metric => [metric.key, analyses[metric.analysis].score]));
+  const { scopeScore, driftScore, termScore, methodScore } = components;
+  
+  // Weighted average of the enabled sub-metrics
+  const subMetrics = resolveSubMetrics(ctx.config, 'bounded', allSubMetrics);
+  const score = weightedScore(components, subMetrics);
+  
+  const details = [
+    `Scope integrity: ${scopeScore.toFixed(2)}`,
+    `Topic drift: ${driftScore.toFixed(2)}`,
+    `Term consistency: ${termScore.toFixed(2)} (${termConsistency.termVariations} term variants)`,
+    `Methodological boundary maintenance: ${methodScore.toFixed(2)} (${methodBoundaries.boundaryViolations} violations)`,
+    ...plugins.details
+  ];
+  
+  return {
+    score,
+    details,
+    components,
+    subMetrics,
+    ...analyses,
+    // Disabled analyzers report nothing
+    diagnostics: subMetrics.flatMap(metric => analyses[metric.analysis].diagnostics || [])
+  };
+}
+
+// Analyze scope integrity (for Bounded Integrity)
+async function analyzeScopeIntegrity(options, articles = null) {
+  const ctx = createContext(options);
+  
+  // Extract declared scope from metadata
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  // Extract scope from metadata
+  const scopes = [];
+  articles.forEach(article => {
+    if (article.metadata && article.metadata.scope) {
+      if (Array.isArray(article.metadata.scope)) {
+        scopes.push(...article.metadata.scope);
+      } else {
+        scopes.push(article.metadata.scope);
+      }
+    }
+    
+    // Also check for tags or keywords
+    if (article.metadata && article.metadata.tags) {
+      if (Array.isArray(article.metadata.tags)) {
+        scopes.push(...article.metadata.tags);
+      } else {
+        scopes.push(article.metadata.tags);
+      }
+    }
+  });
+  
+  // If no explicit scope is declared, extract one from the title and introduction
+  if (scopes.length === 0 && articles.length > 0) {
+    const mainArticle = articles[0];
+    if (mainArticle.metadata && mainArticle.metadata.title) {
+      // Extract keywords from title
+      const titleWords = mainArticle.metadata.title.split(/\s+/)
+        .filter(word => word.length > 3) // Only consider words longer than 3 chars
+        .map(word => word.toLowerCase());
+      
+      scopes.push(...titleWords);
+    }
+    
+    // Extract topic sentences from introduction
+    const intro = mainArticle.content.split('\n\n').slice(0, 3).join(' ');
+    const introSentences = intro.split(/\.\s+/);
+    
+    // Take first sentence and last sentence of intro
+    if (introSentences.length > 0) {
+      const firstSentence = introSentences[0];
+      const lastSentence = introSentences[introSentences.length - 1];
+      
+      // Extract nouns as potential scope terms (very basic)
+      const extractWords = (text) => {
+        return text.split(/\s+/)
+          .filter(word => word.length > 3)
+          .map(word => word.toLowerCase())
+          .filter(word => !['this', 'that', 'with', 'from', 'about'].includes(word));
+      };
+      
+      scopes.push(...extractWords(firstSentence), ...extractWords(lastSentence));
+    }
+  }
+  
+  // Remove duplicates and normalize
+  const uniqueScopes = [...new Set(scopes.map(s => String(s).toLowerCase()))];
+  
+  // Check content against scope, block by block, noting which terms each mentions
+  const scopeRegexes = uniqueScopes.map(scope => [scope, new RegExp(`\\b${escapeRegExp(scope)}\\b`, 'i')]);
+  const observations = [];
+  
+  articles.forEach(article => {
+    for (const block of parseBlocks(article.content, article.lineOffset || 0)) {
+      observations.push({
+        file: article.file,
+        line: block.line,
+        blocks: 1,
+        scopeTerms: scopeRegexes.filter(([, regex]) => regex.test(block.text)).map(([scope]) => scope)
+      });
+    }
+  });
+  
+  const matched = new Set(observations.flatMap(observation => observation.scopeTerms));
+  const hasDeclaredScope = articles.some(a => a.metadata && (a.metadata.scope || a.metadata.tags));
+  const analysis = {
+    declaredScopes: uniqueScopes,
+    scopeMatchCount: matched.size,
+    scopeCoverage: uniqueScopes.length > 0 ? matched.size / uniqueScopes.length : 0,
+    hasDeclaredScope
+  };
+  
+  return {
+    ...analysis,
+    ...scoredProvenance(scoreScope(observations, analysis), hasDeclaredScope ? 0.5 : 0.3),
+    observations
+  };
+}
+
+// Score scope integrity - combination of having declared scope and covering it
+function scoreScope(observations, analysis) {
+  if (observations.length === 0) return null;
+  
+  const declared = analysis.declaredScopes || [];
+  const matched = new Set(observations.flatMap(observation => observation.scopeTerms));
+  const coverage = declared.length > 0 ? matched.size / declared.length : 0;
+  
+  return Math.min(1, (analysis.hasDeclaredScope ? 0.5 : 0.3) + coverage * 0.5); // Cap at 1.0
+}
+
+// Analyze topic drift
+//
+// Compares every section (split at headings of level 1-3) of every content
+// file with the main topics of its file: the title, tags and keywords in its
+// front matter, or the main article's for files without them.
+async function analyzeTopicDrift(options, articles = null) {
+  const ctx = createContext(options);
+  
+  // Check for consistent focus throughout article sections
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  // Only analyze if we have article content
+  if (articles.length === 0) {
+    return {
+      driftScore: 0,
+      sectionCount: 0,
+      cohesiveCount: 0,
+      cohesionRate: 0,
+      sections: [],
+      score: 0.5, // Neutral score if no content to analyze
+      provenance: 'defaulted',
+      observations: []
+    };
+  }
+  
+  // Extract main topics from title and metadata
+  const topicsOf = metadata => extractTopics(
+    [
+      metadata?.title || '',
+      ...[].concat(metadata?.tags || []),
+      ...[].concat(metadata?.keywords || [])
+    ].join(' ')
+  );
+  const mainArticle = articles.find(article => article.metadata && article.metadata.title) || articles[0];
+  const mainTopics = topicsOf(mainArticle.metadata);
+  
+  const sections = [];
+  
+  for (const article of articles) {
+    const fileTopics = topicsOf(article.metadata);
+    const articleTopics = fileTopics.length > 0 ? fileTopics : mainTopics;
+    
+    for (const { topics, ...rest } of cachedArticleAnalysis(ctx, article, 'section-topics', null, () => findSectionTopics(article))) {
+      // Calculate overlap between section topics and main topics
+      const overlap = calculateTopicOverlap(articleTopics, topics);
+      sections.push({ file: article.file, ...rest, overlap, cohesive: overlap >= 0.3 }); // 30% overlap is considered cohesive
+    }
+  }
+  
+  const observations = sections.map(section => ({
+    file: section.file,
+    line: section.line,
+    sections: 1,
+    cohesive: section.cohesive ? 1 : 0
+  }));
+  
+  // Calculate cohesion rate
+  const cohesiveCount = sections.filter(section => section.cohesive).length;
+  const cohesionRate = sections.length > 0 ? cohesiveCount / sections.length : 0;
+  
+  return {
+    // Drift is the inverse of cohesion
+    driftScore: 1 - cohesionRate,
+    sectionCount: sections.length,
+    cohesiveCount,
+    cohesionRate,
+    sections,
+    ...scoredProvenance(scoreDrift(observations), 0.5),
+    observations
+  };
+}
+
+// Split an article into sections at headings of level 1-3, with their topics
+function findSectionTopics(article) {
+  let section = null;
+  const sections = [];
+  
+  for (const block of parseBlocks(article.content, article.lineOffset || 0)) {
+    if (block.type === 'heading' && block.level <= 3) {
+      section = { title: block.text, line: block.line, text: [block.text] };
+      sections.push(section);
+    } else {
+      // Text before the first heading is a section of its own
+      if (!section) {
+        section = { title: article.metadata?.title || article.file, line: block.line, text: [] };
+        sections.push(section);
+      }
+      section.text.push(block.text);
+    }
+  }
+  
+  return sections.map(({ text, ...rest }) => ({ ...rest, topics: extractTopics(text.join(' ')) }));
+}
+
+// Score topic drift - lower drift is better
+function scoreDrift(observations) {
+  const totals = sumObservations(observations);
+  if (!totals.sections) return null;
+  
+  const driftScore = 1 - totals.cohesive / totals.sections;
+  
+  // Allow some drift (30%) for a perfect score
+  return Math.max(0, Math.min(1, 1 - driftScore * 0.7)); // Ensure score is between 0 and 1
+}
+
+// Extract topics from text
+function extractTopics(text) {
+  // Simple implementation - in practice, would use NLP for topic modeling
+  // For now, just extract frequently occurring substantive words
+  const tokenizer = new natural.WordTokenizer();
+  const tokens = tokenizer.tokenize(text.toLowerCase());
+  
+  // Remove stopwords
+  const filteredTokens = tokens.filter(token => 
+    !stopwords.includes(token) && token.length > 3
+  );
+  
+  // Count frequency
+  const counts = {};
+  filteredTokens.forEach(token => {
+    counts[token] = (counts[token] || 0) + 1;
+  });
+  
+  // Get top 10 topics
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([term]) => term);
+}
+
+// Calculate topic overlap between two sets
+function calculateTopicOverlap(topics1, topics2) {
+  // Count common terms
+  const common = topics1.filter(topic => topics2.includes(topic));
+  
+  // Calculate Jaccard index: |A ∩ B| / |A ∪ B|
+  const union = new Set([...topics1, ...topics2]);
+  
+  return union.size > 0 ? common.length / union.size : 0;
+}
+
+// Evaluate term consistency
+//
+// Checks every use of a glossary term (see glossary.js) in the article prose.
+// A use is consistent when it matches the glossary spelling, casing and
+// hyphenation (a capitalised first letter is allowed); otherwise it is a
+// variant. Declared variants and near-misses count as spelling variants, and
+// declared synonyms as synonym variants. When the article defines a term
+// (bold or italic first mention, "X is defined as", "X (ABBR)"), any use
+// before that definition is reported too.
+async function evaluateTermConsistency(options, articles = null) {
+  const ctx = createContext(options);
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  const glossary = await loadGlossary(ctx, articles);
+  
+  if (glossary.terms.length === 0) {
+    return {
+      glossarySources: [],
+      termCount: 0,
+      uses: 0,
+      consistencyRate: 0,
+      termVariations: 0,
+      variants: [],
+      usedBeforeDefined: [],
+      score: 0.5, // Neutral score if there is no glossary to check against
+      provenance: 'defaulted',
+      observations: [],
+      diagnostics: []
+    };
+  }
+  
+  const occurrences = findTermOccurrences(ctx, articles, glossary.terms);
+  const variants = occurrences.filter(occurrence => occurrence.kind !== 'consistent' && occurrence.kind !== 'definition');
+  const uses = occurrences.length;
+  
+  // A use precedes the definition if it comes earlier in article order
+  const usedBeforeDefined = [];
+  for (const term of glossary.terms) {
+    const termOccurrences = occurrences.filter(occurrence => occurrence.term === term.term);
+    const definition = termOccurrences.find(occurrence => occurrence.kind === 'definition');
+    if (!definition) continue;
+    
+    usedBeforeDefined.push(...termOccurrences.filter(occurrence => comparePositions(occurrence, definition) < 0));
+  }
+  
+  const diagnostics = [
+    ...variants.map(variant => ({
+      rule: `term/${variant.kind}`,
+      severity: 'warning',
+      file: variant.file,
+      line: variant.line,
+      column: variant.column,
+      message: variant.kind === 'synonym'
+        ? `"${variant.text}" is a synonym of glossary term "${variant.term}"; use "${variant.term}"`
+        : `"${variant.text}" is a ${variant.kind} variant of glossary term "${variant.term}"`
+    })),
+    ...usedBeforeDefined.map(use => ({
+      rule: 'term/used-before-defined',
+      severity: 'warning',
+      file: use.file,
+      line: use.line,
+      column: use.column,
+      message: `"${use.text}" is used before "${use.term}" is defined`
+    }))
+  ];
+  
+  const consistentUses = uses - variants.length;
+  const observations = occurrences.map(occurrence => ({
+    file: occurrence.file,
+    line: occurrence.line,
+    uses: 1,
+    issues: (variants.includes(occurrence) ? 1 : 0) + (usedBeforeDefined.includes(occurrence) ? 1 : 0)
+  }));
+  
+  return {
+    glossarySources: glossary.sources,
+    termCount: glossary.terms.length,
+    uses,
+    consistencyRate: uses > 0 ? consistentUses / uses : 1,
+    termVariations: new Set(variants.map(variant => `${variant.term}\u0000${variant.text.toLowerCase()}`)).size,
+    variants: variants.map(({ term, text, kind, file, line, column }) => ({ term, text, kind, file, line, column })),
+    usedBeforeDefined: usedBeforeDefined.map(({ term, text, file, line, column }) => ({ term, text, file, line, column })),
+    ...scoredProvenance(scoreTerms(observations), 1),
+    observations,
+    diagnostics
+  };
+}
+
+// Score term consistency - variants and uses before the definition count against it
+function scoreTerms(observations) {
+  const totals = sumObservations(observations);
+  if (!totals.uses) return null;
+  
+  return Math.max(0, 1 - totals.issues / totals.uses);
+}
+
+// Find every use of every glossary term in the article prose, classified
+function findTermOccurrences(ctx, articles, terms) {
+  return articles
+    .flatMap((article, articleIndex) =>
+      cachedArticleAnalysis(ctx, article, 'term-occurrences', terms, () => findFileTermOccurrences(article, terms))
+        .map(occurrence => ({ ...occurrence, articleIndex })))
+    .sort(comparePositions);
+}
+
+// Find the glossary term uses in one article
+function findFileTermOccurrences(article, terms) {
+  const occurrences = [];
+  const termKeys = new Set(terms.map(term => compactTerm(term.term)));
+  
+  const blocks = parseBlocks(article.content, article.lineOffset || 0)
+    .filter(block => ['paragraph', 'list-item', 'table', 'footnote'].includes(block.type));
+  
+  for (const block of blocks) {
+    // Inline code and link targets are not prose
+    const text = block.text
+      .replace(/`[^`]*`/g, match => ' '.repeat(match.length))
+      .replace(/\]\([^)]*\)/g, match => ']' + ' '.repeat(match.length - 1));
+    const claimed = [];
+    const record = (term, index, matched, kind) => {
+      if (claimed.some(([start, end]) => index < end && index + matched.length > start)) return;
+      claimed.push([index, index + matched.length]);
+      occurrences.push({
+        term: term.term,
+        text: matched,
+        kind,
+        file: article.file,
+        ...locate(block, index)
+      });
+    };
+    
+    // Longer terms first, so "sparse autoencoder" claims its text before "autoencoder"
+    for (const term of [...terms].sort((a, b) => b.term.length - a.term.length)) {
+      for (const match of text.matchAll(termPattern(term.term))) {
+        record(term, match.index, match[0], isDefinition(text, match.index, match[0], term)
+          ? 'definition'
+          : classifyUse(term.term, match[0], text, match.index));
+      }
+      
+      if (term.abbreviation) {
+        for (const match of text.matchAll(new RegExp(`\\b${escapeRegExp(term.abbreviation)}s?\\b`, 'g'))) {
+          record(term, match.index, match[0], 'consistent');
+        }
+      }
+      
+      for (const variant of term.variants) {
+        for (const match of text.matchAll(termPattern(variant))) {
+          record(term, match.index, match[0], 'spelling');
+        }
+      }
+      
+      for (const synonym of term.synonyms) {
+        for (const match of text.matchAll(termPattern(synonym))) {
+          record(term, match.index, match[0], 'synonym');
+        }
+      }
+    }
+    
+    // Near-miss spellings of longer terms (one edit, two for long terms)
+    const words = [...text.matchAll(/[A-Za-z][A-Za-z'’]*/g)];
+    for (const term of terms) {
+      const key = compactTerm(term.term);
+      const size = term.term.split(/\s+/).length;
+      const maxDistance = key.length >= 12 ? 2 : key.length >= 6 ? 1 : 0;
+      if (maxDistance === 0) continue;
+      
+      for (let i = 0; i + size <= words.length; i++) {
+        const start = words[i].index;
+        const end = words[i + size - 1].index + words[i + size - 1][0].length;
+        const candidate = text.slice(start, end);
+        const compact = compactTerm(candidate);
+        
+        if (termKeys.has(compact) || isPluralOf(compact, key) || candidate.includes('\n')) continue;
+        if (Math.abs(compact.length - key.length) > maxDistance) continue;
+        if (natural.LevenshteinDistance(compact, key) <= maxDistance) {
+          record(term, start, candidate, 'spelling');
+        }
+      }
+    }
+  }
+  
+  return occurrences;
+}
+
+// Regex matching a term with any casing, separator or plural ending
+function termPattern(term) {
+  const words = term.trim().split(/[\s\-_]+/).map(escapeRegExp);
+  return new RegExp(`(?<![\\w-])${words.join('[\\s\\-_]*')}(?:s|es)?(?![\\w-])`, 'gi');
+}
+
+// Lowercase a term and drop its separators, for comparing spellings
+function compactTerm(text) {
+  return text.toLowerCase().replace(/[\s\-_'’]+/g, '');
+}
+
+// Check whether a compacted word is a plural of a compacted term
+function isPluralOf(word, key) {
+  return word === `${key}s` || word === `${key}es` || (key.endsWith('y') && word === `${key.slice(0, -1)}ies`);
+}
+
+// Classify a use of a term as consistent, or as a hyphenation or casing variant
+function classifyUse(term, matched, text, index) {
+  // Drop the plural ending the pattern allowed
+  const extra = compactTerm(matched).length - compactTerm(term).length;
+  const stem = extra > 0 ? matched.slice(0, -extra) : matched;
+  const separators = value => value.replace(/[^\s\-_]+/g, 'x').replace(/\s+/g, ' ');
+  
+  if (separators(stem) !== separators(term)) {
+    return 'hyphenation';
+  }
+  
+  if (stem === term) {
+    return 'consistent';
+  }
+  
+  // Glossaries capitalise entries, and sentences capitalise their first word,
+  // so the case of the first letter only matters for lowercase terms mid-sentence
+  const sentenceStart = /(^|[.!?:]\s+|^\W+)$/.test(text.slice(0, index));
+  const firstLetterFree = sentenceStart || term[0] !== term[0].toLowerCase();
+  if (firstLetterFree && stem.slice(1) === term.slice(1) && stem[0].toLowerCase() === term[0].toLowerCase()) {
+    return 'consistent';
+  }
+  
+  return 'casing';
+}
+
+// Check whether a use of a term is where the article defines it
+function isDefinition(text, index, matched, term) {
+  const before = text.slice(Math.max(0, index - 40), index);
+  const after = text.slice(index + matched.length, index + matched.length + 40);
+  
+  return (
+    /(\*\*|__|\*|_)$/.test(before) && /^(\*\*|__|\*|_)/.test(after) ||
+    /^\s*(is|are)\s+defined\s+as\b|^\s*refers?\s+to\b/i.test(after) ||
+    /\b(define|call|term|denote)s?\s+((this|these|it|them)\s+)?(as\s+)?["“]?$/i.test(before) ||
+    Boolean(term.abbreviation) && new RegExp(`^\\s*\\(${escapeRegExp(term.abbreviation)}\\)`).test(after)
+  );
+}
+
+// Order occurrences by article, then line, then column
+function comparePositions(a, b) {
+  return a.articleIndex - b.articleIndex || a.line - b.line || a.column - b.column;
+}
+
+// Section titles whose text describes the article's own methods
+const methodSectionRegex = /\b(methods?|methodology|approach|experimental setup|experiments?|evaluation|study design)\b/i;
+
+// Section titles whose claims are about other work or already bounded
+const exemptSectionRegex = /\b(related work|background|prior work|literature|limitations?|threats to validity|future work|references|acknowledge?ments?)\b/i;
+
+// Study designs that support causal conclusions, and those that do not
+const designCues = {
+  interventional: /\b(randomi[sz]ed|ablat(e|es|ed|ion|ions)|interven(e|es|ed|tion|tions)|activation patching|causal (tracing|mediation|scrubbing)|controlled experiments?|A\/B tests?|counterfactual)\b/i,
+  correlational: /\b(correlat(e|es|ed|ion|ions|ional)|regressions?|observational|surveys?|associations?|prob(e|es|ing) classifiers?|linear probes?|probing)\b/i
+};
+
+// Causal language in a conclusion
+const causalRegex = /\b(causes?|caused by|causal(ly)?|leads? to|led to|results? in|drives?|driven by|(is|are) responsible for|determines?|due to|because of|the effect of|the impact of)\b/i;
+
+// Verbs that turn a sentence into a conclusion about models or data
+const findingRegex = /\b(shows?|showed|shown|demonstrat(e|es|ed)|finds?|found|reveals?|proves?|confirms?|establish(es|ed)?|generali[sz](e|es|ed)|holds?|appl(y|ies)|outperforms?|achieves?|improves?)\b/i;
+
+// Hedged conclusions stay within bounds
+const hedgeRegex = /\b(may|might|could|possibly|likely|suggests?|consistent with|we hypothesi[sz]e|appears? to|seems? to)\b/i;
+
+// Citations mark a sentence as reporting someone else's result
+const citedRegex = /\[\^[^\]]+\]|\[[^\]]*@[\w:.-]+|\\cite[a-z]*\{/;
+
+// Names that look like models or datasets: GPT-2, CIFAR-10, ImageNet, BERT
+const entityRegex = /\b([A-Z][A-Za-z]*(?:[-.]?\d+[A-Za-z]*)+(?:-[A-Za-z0-9.]+)*|[A-Z][a-z]+[A-Z][A-Za-z]*|[A-Z]{3,}[a-z]*)\b/g;
+const entityNounRegex = /\b(models?|datasets?|benchmarks?|corpus|corpora|architectures?|networks?)\b/i;
+
+// Analyze methodological boundaries
+//
+// Collects the declared methods (front-matter `methods`, `models` and
+// `datasets`, and the text of methods sections), then checks conclusions
+// elsewhere in the article for two kinds of overreach: causal language when
+// only correlational designs were declared, and claims about models or
+// datasets the article never evaluated. Hedged and cited sentences are
+// exempt, as are related work and limitations sections.
+async function analyzeMethodBoundaries(options, articles = null) {
+  const ctx = createContext(options);
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  const methods = new Set();
+  const designs = new Set();
+  const evaluated = new Set();
+  const conclusions = [];
+  
+  for (const article of articles) {
+    const metadata = article.metadata || {};
+    
+    for (const method of toArray(metadata.methods)) {
+      const entry = typeof method === 'object' && method !== null ? method : { name: method };
+      if (entry.name) methods.add(String(entry.name));
+      if (entry.design || entry.type) designs.add(String(entry.design || entry.type).toLowerCase());
+      for (const name of [...toArray(entry.models), ...toArray(entry.datasets)]) evaluated.add(String(name).toLowerCase());
+      addDesigns(designs, `${entry.name || ''} ${entry.description || ''}`);
+    }
+    
+    for (const name of [...toArray(metadata.models), ...toArray(metadata.datasets)]) {
+      evaluated.add(String(name).toLowerCase());
+    }
+    
+    const blocks = assignSections(parseBlocks(article.content, article.lineOffset || 0));
+    
+    for (const block of blocks) {
+      const inMethods = block.headings.some(title => methodSectionRegex.test(title));
+      
+      if (inMethods) {
+        if (block.type === 'heading' && !methodSectionRegex.test(block.text)) {
+          methods.add(block.text);
+        }
+        addDesigns(designs, block.text);
+        for (const match of block.text.matchAll(entityRegex)) evaluated.add(match[1].toLowerCase());
+        continue;
+      }
+      
+      if (!['paragraph', 'list-item'].includes(block.type)) continue;
+      if (block.headings.some(title => exemptSectionRegex.test(title))) continue;
+      
+      for (const sentence of splitSentences(block)) {
+        conclusions.push({ ...sentence, file: article.file });
+      }
+    }
+  }
+  
+  if (methods.size === 0 && designs.size === 0 && evaluated.size === 0) {
+    return {
+      methods: [],
+      designs: [],
+      evaluated: [],
+      claimsChecked: 0,
+      boundaryViolations: 0,
+      methodCount: 0,
+      violationRate: 0,
+      violations: [],
+      score: 0.5, // Neutral score if the article declares no methods to check against
+      provenance: 'defaulted',
+      observations: [],
+      diagnostics: []
+    };
+  }
+  
+  // Causal conclusions need an interventional design
+  const causalAllowed = designs.has('interventional') || designs.has('causal') || designs.has('experimental') ||
+    ![...designs].some(design => design === 'correlational' || design === 'observational');
+  
+  const violations = [];
+  const observations = [];
+  let claimsChecked = 0;
+  
+  for (const sentence of conclusions) {
+    if (hedgeRegex.test(sentence.text) || citedRegex.test(sentence.text)) continue;
+    
+    const causal = sentence.text.match(causalRegex);
+    const finding = sentence.text.match(findingRegex);
+    if (!causal && !finding) continue;
+    
+    claimsChecked++;
+    const observation = { file: sentence.file, line: sentence.line, claims: 1, violations: 0 };
+    observations.push(observation);
+    
+    if (causal && !causalAllowed) {
+      observation.violations = 1;
+      violations.push({
+        kind: 'causal-overreach',
+        cue: causal[0],
+        file: sentence.file,
+        line: sentence.line,
+        column: sentence.column,
+        text: sentence.text,
+        message: `Causal claim ("${causal[0]}") but the declared methods are correlational`
+      });
+      continue;
+    }
+    
+    if (finding) {
+      const unevaluated = [...sentence.text.matchAll(entityRegex)]
+        .map(match => match[1])
+        .filter(name => /\d/.test(name) || entityNounRegex.test(sentence.text))
+        .filter(name => !evaluated.has(name.toLowerCase()));
+      
+      if (unevaluated.length > 0) {
+        observation.violations = 1;
+        violations.push({
+          kind: 'unevaluated-scope',
+          cue: finding[0],
+          file: sentence.file,
+          line: sentence.line,
+          column: sentence.column,
+          text: sentence.text,
+          message: `Claim about ${[...new Set(unevaluated)].join(', ')}, which the methods never evaluate`
+        });
+      }
+    }
+  }
+  
+  const violationRate = claimsChecked > 0 ? violations.length / claimsChecked : 0;
+  
+  return {
+    methods: [...methods],
+    designs: [...designs],
+    evaluated: [...evaluated],
+    claimsChecked,
+    boundaryViolations: violations.length,
+    methodCount: methods.size,
+    violationRate,
+    violations,
+    ...scoredProvenance(scoreMethods(observations), 1),
+    observations,
+    diagnostics: violations.map(violation => ({
+      rule: `method/${violation.kind}`,
+      severity: 'warning',
+      file: violation.file,
+      line: violation.line,
+      column: violation.column,
+      message: `${violation.message}: "${violation.text}"`
+    }))
+  };
+}
+
+// Score methodological boundaries - the share of checked claims that stay within them
+function scoreMethods(observations) {
+  const totals = sumObservations(observations);
+  if (!totals.claims) return null;
+  
+  return Math.max(0, 1 - totals.violations / totals.claims);
+}
+
+// Record the study designs a piece of methods text describes
+function addDesigns(designs, text) {
+  for (const [design, cue] of Object.entries(designCues)) {
+    if (cue.test(text)) designs.add(design);
+  }
+}
+
+// Wrap a front-matter value that may be a single item or a list
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  calculateBoundedIntegrity,
+  boundedSubMetrics,
+  analyzeScopeIntegrity,
+  analyzeTopicDrift,
+  extractTopics,
+  calculateTopicOverlap,
+  evaluateTermConsistency,
+  analyzeMethodBoundaries,
+  scoreScope,
+  scoreDrift,
+  scoreTerms,
+  scoreMethods
+};
@@ -0,0 +1,938 @@
+// elastic.js
+//
+// λ(p): Elastic Tolerance - capacity to integrate contradictions
+
+const natural = require('../natural');
+const { createContext } = require('../context');
+const { parseArticleContents } = require('../articles');
+const { parseBlocks, assignSections, locate, splitSentences, extractSentences } = require('../markdown');
+const { loadBibliography } = require('../bibtex');
+const { loadDataManifest } = require('../data');
+const { fetchAllIssues, fetchAllPullRequests } = require('../forge');
+const { findCitations } = require('./signal');
+const { stopwords, lineLocator } = require('../text');
+const { sumObservations } = require('./sections');
+const { scoredProvenance } = require('./provenance');
+const { hashContent, cachedArticleAnalysis, cachedResult } = require('../cache');
+const { resolveSubMetrics, weightedScore } = require('../policy');
+const { runAnalyzers } = require('../analyzers');
+
+// Sub-metrics of λ, weighted by config.subMetrics.elastic; see sections.js for
+// per-section scoring and analyzers.js for the plugins that add to them
+const elasticSubMetrics = [
+  {
+    key: 'contradictionScore',
+    analysis: 'contradictions',
+    score: scoreContradictions,
+    recommendation: 'Better acknowledge and integrate contradictory evidence or perspectives'
+  },
+  {
+    key: 'perspectiveScore',
+    analysis: 'perspectives',
+    score: scorePerspectives,
+    recommendation: 'Include multiple perspectives on controversial or complex topics'
+  },
+  {
+    key: 'uncertaintyScore',
+    analysis: 'uncertainty',
+    score: scoreUncertainty,
+    recommendation: 'More clearly represent uncertainty in findings and conclusions'
+  },
+  {
+    key: 'limitationScore',
+    analysis: 'limitations',
+    score: scoreLimitations,
+    recommendation: 'Acknowledge limitations of the approach, data, or conclusions'
+  }
+];
+
+// Calculate Elastic Tolerance (λ) - capacity to integrate contradictions
+async function calculateElasticTolerance(options, articles = null) {
+  const ctx = createContext(options);
+  ctx.logger.log('📊 Calculating Elastic Tolerance (λ)...');
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  // 1. Analyze acknowledged contradictions
+  const contradictionAnalysis = await analyzeContradictions(ctx, articles);
+  
+  // 2. Check for multi-perspective inclusion
+  const perspectiveAnalysis = await analyzeMultiplePerspectives(ctx, articles);
+  
+  // 3. Evaluate uncertainty representation
+  const uncertaintyAnalysis = await evaluateUncertaintyRepresentation(ctx, articles);
+  
+  // 4. Check limitation acknowledgment
+  const limitationAnalysis = await analyzeLimitationAcknowledgment(ctx, articles);
+  
+  // 5. Run the plugin analyzers that feed λ
+  const plugins = await runAnalyzers(ctx, 'elastic', articles);
+  
+  // Calculate elastic tolerance score
+  const analyses = {
+    contradictions: contradictionAnalysis,
+    perspectives: perspectiveAnalysis,
+    uncertainty: uncertaintyAnalysis,
+    limitations: limitationAnalysis,
+    ...plugins.analyses
+  };
+  const allSubMetrics = [...elasticSubMetrics, ...plugins.subMetrics];
+  const components = Object.fromEntries(allSubMetrics.map(metric => [metric.key, analyses[metric.analysis].score]));
+  const { contradictionScore, perspectiveScore, uncertaintyScore, limitationScore } = components;
+  
+  // Weighted average of the enabled sub-metrics
+  const subMetrics = resolveSubMetrics(ctx.config, 'elastic', allSubMetrics);
+  const score = weightedScore(components, subMetrics);
+  
+  const details = [
+    `Contradiction integration: ${contradictionScore.toFixed(2)} (${contradictionAnalysis.acknowledgedContradictions}/${contradictionAnalysis.contradictions} acknowledged)`,
+    `Multiple perspective inclusion: ${perspectiveScore.toFixed(2)} (${perspectiveAnalysis.perspectiveCount} perspectives)`,
+    `Uncertainty representation: ${uncertaintyScore.toFixed(2)} (${uncertaintyAnalysis.barePointEstimates.length} bare estimates, ${uncertaintyAnalysis.absoluteClaims} absolute claims)`,
+    `Limitation acknowledgment: ${limitationScore.toFixed(2)} (${limitationAnalysis.limitationCount} limitations, ${limitationAnalysis.uncoveredScopes.length} uncovered scopes)`,
+    ...plugins.details
+  ];
+  
+  return {
+    score,
+    details,
+    components,
+    subMetrics,
+    ...analyses,
+    // Disabled analyzers report nothing
+    diagnostics: subMetrics.flatMap(metric => analyses[metric.analysis].diagnostics || [])
+  };
+}
+
+// Words that flip the polarity of a statement
+const negationRegex = /\b(not|no|never|none|cannot|neither|nor|without|fails? to|failed to)\b|n['’]t\b/gi;
+
+// Opposing pairs: a statement using one side conflicts with one using the other
+const antonyms = [
+  ['increase', 'decrease'], ['increases', 'decreases'], ['increased', 'decreased'],
+  ['improve', 'degrade'], ['improves', 'degrades'], ['improved', 'degraded'],
+  ['higher', 'lower'], ['more', 'less'], ['better', 'worse'], ['larger', 'smaller'],
+  ['outperforms', 'underperforms'], ['helps', 'hurts'], ['positive', 'negative'],
+  ['present', 'absent'], ['necessary', 'unnecessary'], ['stable', 'unstable'],
+  ['consistent', 'inconsistent'], ['significant', 'insignificant'], ['robust', 'fragile'],
+  ['sufficient', 'insufficient'], ['rises', 'falls'], ['gains', 'losses']
+];
+const antonymWords = new Set(antonyms.flat());
+
+// Ways the text signals it knows about a tension
+const acknowledgmentRegex = /\b(however|but|although|though|whereas|in contrast|contrasts? with|contrary to|despite|nevertheless|nonetheless|on the other hand|conflicts? with|inconsistent with|at odds with|apparent(ly)? contradict\w*|tension)\b|(^|\s)#\d+\b|\/issues\/\d+/i;
+
+// Analyze contradictions (for Elastic Tolerance)
+//
+// Pairs statements that share most of their content words but disagree:
+// opposite polarity (a negation or an antonym on one side only) or different
+// numbers for the same metric. A pair is acknowledged when either statement,
+// or a sentence next to one, signals the tension ("however", "this contrasts
+// with", a linked issue). The score is the share of pairs acknowledged.
+//
+// Only statements sharing at least two content stems can conflict, so they
+// are bucketed by stem and only pairs that meet in two buckets are compared.
+// Each comparison is cached by the hashes of the two statements.
+async function analyzeContradictions(options, articles = null) {
+  const ctx = createContext(options);
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  // Statements are the article's declarative sentences, in reading order
+  const sentences = [];
+  const described = [];
+  
+  for (const article of articles) {
+    const fileSentences = extractSentences(article.content, article.lineOffset || 0);
+    const descriptions = cachedArticleAnalysis(ctx, article, 'statements', null, () =>
+      fileSentences.map(sentence => serializeStatement(sentence.text)));
+    
+    fileSentences.forEach((sentence, index) => {
+      // A cache entry out of step with the text describes the sentence afresh
+      const cached = Array.isArray(descriptions) ? descriptions[index] : null;
+      const description = cached && Array.isArray(cached.stems) ? cached : serializeStatement(sentence.text);
+      
+      sentences.push({ ...sentence, file: article.file });
+      described.push({
+        ...sentence,
+        file: article.file,
+        index: sentences.length - 1,
+        hash: hashContent(sentence.text),
+        ...description,
+        stems: new Map(description.stems)
+      });
+    });
+  }
+  
+  const statements = described.filter(statement => !statement.text.endsWith('?') && statement.stems.size >= 2);
+  
+  const pairs = [];
+  
+  for (const [i, j] of candidatePairs(statements)) {
+    const [first, second] = [statements[i], statements[j]];
+    const conflict = cachedResult(ctx, 'statement-pairs', [first.hash, second.hash], () => findConflict(first, second));
+    if (!conflict) continue;
+    
+    const nearby = [first, second].flatMap(statement => [statement.index - 1, statement.index, statement.index + 1]
+      .map(index => sentences[index])
+      .filter(sentence => sentence && sentence.block === statement.block));
+    const acknowledgment = nearby
+      .map(sentence => sentence.text.match(acknowledgmentRegex))
+      .find(Boolean);
+    
+    pairs.push({
+      kind: conflict.kind,
+      subject: conflict.subject,
+      acknowledged: Boolean(acknowledgment),
+      acknowledgment: acknowledgment ? acknowledgment[0].trim() : null,
+      first: { file: first.file, line: first.line, column: first.column, text: first.text },
+      second: { file: second.file, line: second.line, column: second.column, text: second.text }
+    });
+  }
+  
+  const acknowledged = pairs.filter(pair => pair.acknowledged).length;
+  const observations = pairs.map(pair => ({
+    file: pair.second.file,
+    line: pair.second.line,
+    pairs: 1,
+    acknowledged: pair.acknowledged ? 1 : 0
+  }));
+  
+  return {
+    contradictions: pairs.length,
+    acknowledgedContradictions: acknowledged,
+    unacknowledgedContradictions: pairs.length - acknowledged,
+    integrationRate: pairs.length > 0 ? acknowledged / pairs.length : 1,
+    pairs,
+    ...scoredProvenance(scoreContradictions(observations), 1), // No tensions left unaddressed
+    observations,
+    diagnostics: pairs.filter(pair => !pair.acknowledged).map(pair => ({
+      rule: `contradiction/unacknowledged-${pair.kind}`,
+      severity: 'warning',
+      file: pair.second.file,
+      line: pair.second.line,
+      column: pair.second.column,
+      message: `"${pair.second.text}" conflicts with "${pair.first.text}" (${pair.first.file}:${pair.first.line}) about ${pair.subject} without acknowledging it`
+    }))
+  };
+}
+
+// Index pairs of statements sharing at least two content stems, in order
+function candidatePairs(statements) {
+  const buckets = new Map();
+  statements.forEach((statement, index) => {
+    for (const stem of statement.stems.keys()) {
+      if (!buckets.has(stem)) buckets.set(stem, []);
+      buckets.get(stem).push(index);
+    }
+  });
+  
+  const pairs = [];
+  statements.forEach((statement, i) => {
+    const shared = new Map();
+    for (const stem of statement.stems.keys()) {
+      for (const j of buckets.get(stem)) {
+        if (j > i) shared.set(j, (shared.get(j) || 0) + 1);
+      }
+    }
+    
+    for (const [j, count] of [...shared].sort((a, b) => a[0] - b[0])) {
+      if (count >= 2) pairs.push([i, j]);
+    }
+  });
+  
+  return pairs;
+}
+
+// Score contradiction integration - the share of conflicting pairs acknowledged
+function scoreContradictions(observations) {
+  const totals = sumObservations(observations);
+  if (!totals.pairs) return null;
+  
+  return totals.acknowledged / totals.pairs;
+}
+
+// Describe a statement in the JSON-serialisable form the analysis cache keeps
+function serializeStatement(text) {
+  const { stems, ...description } = describeStatement(text);
+  return { ...description, stems: [...stems] };
+}
+
+// Reduce a sentence to its content stems, polarity and quoted quantities
+function describeStatement(text) {
+  const tokenizer = new natural.WordTokenizer();
+  
+  // Citations, links and inline code say nothing about polarity or quantities
+  const prose = text
+    .replace(/\[\^[^\]]+\]|\[[^\]]*@[^\]]*\]|\\cite[a-z]*\{[^}]*\}|`[^`]*`/g, ' ')
+    .replace(/\]\([^)]*\)/g, ']');
+  const words = tokenizer.tokenize(prose.toLowerCase());
+  
+  // Content stems, each mapped back to the first word that produced it
+  const stems = new Map();
+  words
+    .filter(word => !stopwords.includes(word) && !antonymWords.has(word) && !/^\d/.test(word) && word.length > 2)
+    .filter(word => !/^(not|no|never|none|cannot|neither|nor|without|fail|fails|failed|don|doesn|didn|isn|aren|wasn|weren)$/.test(word))
+    .forEach(word => {
+      const stem = natural.PorterStemmer.stem(word);
+      if (!stems.has(stem)) stems.set(stem, word);
+    });
+  
+  const orientation = {};
+  antonyms.forEach(([positive, negative], index) => {
+    const hasPositive = words.includes(positive);
+    const hasNegative = words.includes(negative);
+    if (hasPositive !== hasNegative) orientation[index] = hasPositive ? 1 : -1;
+  });
+  
+  const quantities = [];
+  for (const match of prose.matchAll(/(?<![\w.#-])(\d+(?:\.\d+)?)\s*(%|[a-zA-Z]+)?/g)) {
+    const value = Number(match[1]);
+    const unit = (match[2] || '').toLowerCase();
+    const before = prose.slice(0, match.index);
+    
+    // Years, and numbers that label figures, tables or sections, are not measurements
+    if (!unit && Number.isInteger(value) && value >= 1900 && value <= 2100) continue;
+    if (/\b(fig(ure)?s?|tables?|sections?|eqs?|equations?|appendix|step|layer|head|chapter)\.?\s*$/i.test(before)) continue;
+    
+    const metric = tokenizer.tokenize(before.split(/[,;:()]/).pop().toLowerCase())
+      .filter(word => !stopwords.includes(word) && !/^\d/.test(word) && word.length > 2)
+      .slice(-3)
+      .map(word => natural.PorterStemmer.stem(word));
+    
+    if (metric.length > 0) quantities.push({ value, unit, metric, text: match[0].trim() });
+  }
+  
+  return {
+    stems,
+    negations: (prose.match(negationRegex) || []).length,
+    orientation,
+    quantities
+  };
+}
+
+// Decide whether two statements conflict, and about what
+function findConflict(a, b) {
+  const shared = [...a.stems.keys()].filter(stem => b.stems.has(stem));
+  const overlap = shared.length / new Set([...a.stems.keys(), ...b.stems.keys()]).size;
+  const subject = shared.map(stem => a.stems.get(stem)).join(' ');
+  
+  if (shared.length >= 2 && overlap >= 0.6) {
+    const aNegated = a.negations % 2 === 1 ? -1 : 1;
+    const bNegated = b.negations % 2 === 1 ? -1 : 1;
+    const opposed = Object.keys(a.orientation).filter(index => index in b.orientation);
+    
+    if (opposed.some(index => a.orientation[index] * aNegated !== b.orientation[index] * bNegated) ||
+        (opposed.length === 0 && aNegated !== bNegated)) {
+      return { kind: 'polarity', subject };
+    }
+  }
+  
+  if (shared.length >= 2 && overlap >= 0.4) {
+    for (const x of a.quantities) {
+      for (const y of b.quantities) {
+        const sameMetric = x.unit === y.unit && x.metric.some(stem => y.metric.includes(stem));
+        const differs = Math.abs(x.value - y.value) > 0.01 * Math.max(Math.abs(x.value), Math.abs(y.value));
+        
+        if (sameMetric && differs) {
+          return { kind: 'numeric', subject: `${x.metric.filter(stem => y.metric.includes(stem)).map(stem => a.stems.get(stem) || stem).join(' ')} (${x.text} vs ${y.text})` };
+        }
+      }
+    }
+  }
+  
+  return null;
+}
+
+// Passages that engage a viewpoint other than the authors'
+const alternativeViewRegex = /\b(alternative (views?|explanations?|interpretations?|accounts?|hypothes[ie]s)|critics (argue|contend|point out|note)|others (argue|contend|suggest|have argued)|opposing views?|counter-?arguments?|competing (hypothes[ie]s|explanations?|accounts?)|on the other hand|skeptics? (argue|note|point out)|(some|other) (researchers|authors) (argue|disagree|contend)|a different (view|perspective|interpretation)|one could (argue|object)|it (could|might) be argued|objections?)\b/i;
+
+// Claims the text itself marks as open to dispute
+const contestedRegex = /\b(debated?|debates|controvers(y|ial)|contested|disputed?|open question|unclear whether|remains? unresolved|disagreements?|no consensus)\b/i;
+
+// Analyze multiple perspectives
+//
+// Counts the viewpoints the article engages with from three sources: the
+// spread of first authors and venues among cited bibliography entries,
+// explicit alternative-view passages, and linked extension issues, fork pull
+// requests and discussions. Claims the text marks as contested are one-sided
+// unless their paragraph also cites two first authors or presents another view.
+async function analyzeMultiplePerspectives(options, articles = null) {
+  const ctx = createContext(options);
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  const bibliography = await loadBibliography(ctx);
+  const entries = new Map(bibliography.entries.map(entry => [entry.key, entry]));
+  
+  const observations = [];
+  const alternativeViews = [];
+  const contested = [];
+  const links = [];
+  
+  for (const article of articles) {
+    const lineOf = lineLocator(article.content);
+    const lineAt = index => (article.lineOffset || 0) + lineOf(index);
+    for (const match of article.content.matchAll(/(?:^|[\s(])#(\d+)\b|\/(?:issues|pull)\/(\d+)/g)) {
+      links.push({ type: 'issue', number: Number(match[1] || match[2]), file: article.file, line: lineAt(match.index) });
+    }
+    for (const match of article.content.matchAll(/\/discussions\/(\d+)/g)) {
+      links.push({ type: 'discussion', number: Number(match[1]), file: article.file, line: lineAt(match.index) });
+    }
+    
+    for (const block of parseBlocks(article.content, article.lineOffset || 0)) {
+      if (!['paragraph', 'list-item', 'footnote'].includes(block.type)) continue;
+      
+      const citations = findCitations(block).filter(citation => entries.has(citation.key));
+      observations.push(...citations.map(citation => {
+        const entry = entries.get(citation.key);
+        return {
+          file: article.file,
+          line: citation.line,
+          citations: 1,
+          key: citation.key,
+          firstAuthor: firstAuthor(entry),
+          authors: authorsOf(entry),
+          venue: venueOf(entry)
+        };
+      }));
+      
+      const sentences = splitSentences(block);
+      const blockAlternatives = sentences.filter(sentence => alternativeViewRegex.test(sentence.text));
+      alternativeViews.push(...blockAlternatives.map(sentence => ({
+        file: article.file,
+        line: sentence.line,
+        column: sentence.column,
+        text: sentence.text
+      })));
+      observations.push(...blockAlternatives.map(sentence => ({ file: article.file, line: sentence.line, alternatives: 1 })));
+      
+      for (const sentence of sentences.filter(sentence => contestedRegex.test(sentence.text))) {
+        // Balanced if the paragraph presents another view or the claim cites two first authors
+        const end = locate(block, sentence.end);
+        const authors = new Set(citations
+          .filter(citation => comparePositions(citation, sentence) >= 0 && comparePositions(citation, end) <= 0)
+          .map(citation => firstAuthor(entries.get(citation.key)))
+          .filter(Boolean));
+        const balanced = blockAlternatives.length > 0 || authors.size >= 2;
+        
+        contested.push({
+          file: article.file,
+          line: sentence.line,
+          column: sentence.column,
+          text: sentence.text,
+          cue: sentence.text.match(contestedRegex)[0],
+          balanced
+        });
+        observations.push({ file: article.file, line: sentence.line, contested: 1, oneSided: balanced ? 0 : 1 });
+      }
+    }
+  }
+  
+  // Extension issues and fork pull requests the article links to
+  const linked = links.filter(link => link.type === 'discussion');
+  const linkedNumbers = new Set(links.filter(link => link.type === 'issue').map(link => link.number));
+  if (linkedNumbers.size > 0) {
+    try {
+      const issues = await fetchAllIssues(ctx);
+      const extensions = new Map(issues
+        .filter(issue => linkedNumbers.has(issue.number) && isExtensionIssue(issue))
+        .map(issue => [issue.number, { type: 'extension', title: issue.title }]));
+      
+      const pulls = await fetchAllPullRequests(ctx);
+      const forks = new Map(pulls
+        .filter(pull => linkedNumbers.has(pull.number) && isForkPullRequest(pull))
+        .map(pull => [pull.number, { type: 'fork', title: pull.title }]));
+      
+      for (const link of links.filter(link => link.type === 'issue')) {
+        const found = extensions.get(link.number) || forks.get(link.number);
+        if (found) linked.push({ ...link, ...found });
+      }
+    } catch (error) {
+      ctx.logger.warn('Warning: Could not fetch linked discussions:', error.message);
+    }
+  }
+  
+  // A discussion counts once, at its first link
+  const discussions = [];
+  for (const link of linked) {
+    if (discussions.some(discussion => discussion.number === link.number)) continue;
+    discussions.push({ type: link.type, number: link.number, ...(link.title ? { title: link.title } : {}) });
+    observations.push({ file: link.file, line: link.line, discussions: 1 });
+  }
+  
+  const oneSided = contested.filter(claim => !claim.balanced);
+  const parts = perspectiveParts(observations);
+  
+  return {
+    perspectiveCount: parts.firstAuthors + alternativeViews.length + discussions.length,
+    citedSources: parts.citedSources,
+    distinctFirstAuthors: parts.firstAuthors,
+    distinctVenues: parts.venues,
+    authorDiversity: parts.authorDiversity,
+    venueDiversity: parts.venueDiversity,
+    alternativeViews,
+    discussions,
+    contestedClaims: contested.length,
+    oneSidedClaims: oneSided,
+    balanceScore: parts.balanceScore,
+    ...scoredProvenance(scorePerspectives(observations), 0.3), // Nothing cited, linked or contested
+    observations,
+    diagnostics: oneSided.map(claim => ({
+      rule: 'perspective/one-sided',
+      severity: 'warning',
+      file: claim.file,
+      line: claim.line,
+      column: claim.column,
+      message: `Contested claim ("${claim.cue}") presents only one side: "${claim.text}"`
+    }))
+  };
+}
+
+// Source diversity, engagement and balance of a set of perspective observations
+function perspectiveParts(observations) {
+  const totals = sumObservations(observations);
+  
+  // Source diversity among cited entries
+  const cited = [...new Map(observations.filter(observation => observation.key)
+    .map(observation => [observation.key, observation])).values()];
+  const authorCounts = new Map();
+  for (const entry of cited) {
+    for (const author of new Set(entry.authors)) {
+      authorCounts.set(author, (authorCounts.get(author) || 0) + 1);
+    }
+  }
+  const firstAuthors = new Set(cited.map(entry => entry.firstAuthor).filter(Boolean));
+  const venues = new Set(cited.map(entry => entry.venue).filter(Boolean));
+  const authorConcentration = cited.length > 0 && authorCounts.size > 0
+    ? Math.max(...authorCounts.values()) / cited.length
+    : 1;
+  const authorDiversity = Math.min(1, cited.length > 1 ? 1 - authorConcentration + 1 / cited.length : 0);
+  const venueDiversity = cited.length > 0 ? venues.size / cited.length : 0;
+  
+  return {
+    citedSources: cited.length,
+    firstAuthors: firstAuthors.size,
+    venues: venues.size,
+    authorDiversity,
+    venueDiversity,
+    sourceScore: (authorDiversity + venueDiversity) / 2,
+    engagementScore: Math.min(1, ((totals.alternatives || 0) + (totals.discussions || 0)) / 2),
+    balanceScore: totals.contested ? 1 - totals.oneSided / totals.contested : 1
+  };
+}
+
+// Score multiple perspectives from source diversity, engagement and balance
+function scorePerspectives(observations) {
+  if (observations.length === 0) return null;
+  
+  const parts = perspectiveParts(observations);
+  return parts.sourceScore * 0.4 + parts.engagementScore * 0.3 + parts.balanceScore * 0.3;
+}
+
+// Order two text positions by line, then column
+function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+// Surnames of a bibliography entry's authors, lowercased
+function authorsOf(entry) {
+  const field = entry && (entry.fields.author || entry.fields.editor);
+  if (!field) return [];
+  
+  return field.replace(/[{}]/g, '').split(/\s+and\s+/i).map(name => {
+    const trimmed = name.trim();
+    return (trimmed.includes(',') ? trimmed.split(',')[0] : trimmed.split(/\s+/).pop()).trim().toLowerCase();
+  }).filter(name => name && name !== 'others');
+}
+
+// Surname of a bibliography entry's first author
+function firstAuthor(entry) {
+  return authorsOf(entry)[0] || null;
+}
+
+// Where a bibliography entry was published, normalised for comparison
+function venueOf(entry) {
+  const fields = entry.fields;
+  const venue = fields.journal || fields.journaltitle || fields.booktitle || fields.publisher ||
+    fields.howpublished || fields.archiveprefix || fields.eprinttype || fields.institution;
+  return venue ? venue.replace(/[{}]/g, '').replace(/\s+/g, ' ').trim().toLowerCase() : null;
+}
+
+// Issues opened with the extension critique template
+function isExtensionIssue(issue) {
+  const labels = (issue.labels || []).map(label => typeof label === 'string' ? label : label.name);
+  return labels.includes('critique:extension') || /^\[EXTENSION\]/i.test(issue.title || '');
+}
+
+// Pull requests opened from a fork of the article repository
+function isForkPullRequest(pull) {
+  const head = pull.head && pull.head.repo;
+  const base = pull.base && pull.base.repo;
+  return Boolean(head && (head.fork || (base && head.full_name !== base.full_name)));
+}
+
+// Ways a reported number carries its uncertainty
+const uncertaintyMarkers = {
+  'plus-minus': /±|\+\/-|\+-/,
+  'confidence interval': /\b(CI|confidence intervals?|credible intervals?)\b|\[\s*-?\d+(\.\d+)?%?\s*,\s*-?\d+(\.\d+)?%?\s*\]/i,
+  'standard error': /\b(SEM?|standard errors?)\b/,
+  'standard deviation': /\b(SD|std\.?|standard deviations?)\b/,
+  'seeds': /\b(random )?seeds?\b/i,
+  'sample size': /\b[nN]\s*=\s*\d+|\b\d+\s+(runs|trials|samples|participants|examples|prompts|repetitions)\b/i,
+  'p-value': /\bp\s*[<=>≤]\s*0?\.\d+/,
+  'error bars': /\berror bars?\b/i
+};
+
+// Markers that qualify every number in their sentence, not just the nearest
+const sentenceWideMarkers = ['seeds', 'sample size', 'error bars'];
+
+// Hedged language, and language that claims certainty
+const hedgedRegex = /\b(may|might|could|suggests?|likely|possibly|perhaps|appears? to|seems? to|we hypothesi[sz]e|tentative(ly)?|preliminary|approximately|roughly)\b/i;
+const absoluteRegex = /\b(always|never|clearly|obviously|undoubtedly|certainly|definitively|conclusively|proves?|proven|guarantee[sd]?|beyond (any )?doubt|without exception|in all cases|impossible|completely (solves?|eliminates?))\b/i;
+
+// Evaluate uncertainty representation
+//
+// Reported results are decimals and percentages in the article prose. Each
+// should carry its uncertainty: a ± value, confidence interval or standard
+// error next to it, or seeds, sample size or error bars stated in the same
+// sentence. Separately, hedged statements are weighed against absolute ones.
+// Bare point estimates and absolute claims are reported at their lines.
+async function evaluateUncertaintyRepresentation(options, articles = null) {
+  const ctx = createContext(options);
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  const markerCounts = {};
+  const observations = [];
+  const barePointEstimates = [];
+  const absoluteStatements = [];
+  let quantitativeResults = 0;
+  let hedgedStatements = 0;
+  
+  for (const article of articles) {
+    for (const sentence of extractSentences(article.content, article.lineOffset || 0)) {
+      // Citations, links and inline code are not part of the claim
+      const text = sentence.text
+        .replace(/\[\^[^\]]+\]|\[[^\]]*@[^\]]*\]|\\cite[a-z]*\{[^}]*\}|`[^`]*`/g, match => ' '.repeat(match.length))
+        .replace(/\]\([^)]*\)/g, match => ']' + ' '.repeat(match.length - 1));
+      
+      for (const [type, regex] of Object.entries(uncertaintyMarkers)) {
+        const count = (text.match(new RegExp(regex.source, `${regex.flags}g`)) || []).length;
+        if (count > 0) markerCounts[type] = (markerCounts[type] || 0) + count;
+      }
+      
+      const absolute = text.match(absoluteRegex);
+      if (absolute) {
+        absoluteStatements.push({
+          file: article.file,
+          line: sentence.line,
+          column: sentence.column,
+          cue: absolute[0],
+          text: sentence.text
+        });
+        observations.push({ file: article.file, line: sentence.line, absolute: 1 });
+      } else if (hedgedRegex.test(text)) {
+        hedgedStatements++;
+        observations.push({ file: article.file, line: sentence.line, hedged: 1 });
+      }
+      
+      const results = findReportedNumbers(text);
+      if (results.length === 0) continue;
+      
+      const bareBefore = barePointEstimates.length;
+      const sentenceWide = sentenceWideMarkers.some(type => uncertaintyMarkers[type].test(text));
+      
+      results.forEach((result, index) => {
+        quantitativeResults++;
+        
+        // The span a number owns runs up to the next reported number
+        const next = results[index + 1];
+        const span = text.slice(result.index + result.text.length, next ? next.index : text.length);
+        const covered = sentenceWide || Object.values(uncertaintyMarkers).some(regex => regex.test(span.slice(0, 60)));
+        
+        if (!covered) {
+          const location = locate(sentence.block, sentence.start + result.index);
+          barePointEstimates.push({
+            file: article.file,
+            ...location,
+            value: result.text,
+            text: sentence.text
+          });
+        }
+      });
+      
+      observations.push({
+        file: article.file,
+        line: sentence.line,
+        results: results.length,
+        bare: barePointEstimates.length - bareBefore
+      });
+    }
+  }
+  
+  const resultsWithUncertainty = quantitativeResults - barePointEstimates.length;
+  const uncertaintyCoverage = quantitativeResults > 0 ? resultsWithUncertainty / quantitativeResults : null;
+  const qualifiedStatements = hedgedStatements + absoluteStatements.length;
+  const hedgeBalance = qualifiedStatements > 0 ? hedgedStatements / qualifiedStatements : null;
+  
+  return {
+    quantitativeResults,
+    resultsWithUncertainty,
+    uncertaintyCoverage,
+    uncertaintyMarkers: Object.values(markerCounts).reduce((sum, count) => sum + count, 0),
+    markerTypes: Object.keys(markerCounts),
+    hedgedStatements,
+    absoluteClaims: absoluteStatements.length,
+    hedgeBalance,
+    barePointEstimates,
+    absoluteStatements,
+    // Neutral score if the article reports no numbers and makes no qualified claims
+    ...scoredProvenance(scoreUncertainty(observations), 0.5),
+    observations,
+    diagnostics: [
+      ...barePointEstimates.map(estimate => ({
+        rule: 'uncertainty/bare-estimate',
+        severity: 'warning',
+        file: estimate.file,
+        line: estimate.line,
+        column: estimate.column,
+        message: `Reported value ${estimate.value} has no confidence interval, error or sample size`
+      })),
+      ...absoluteStatements.map(statement => ({
+        rule: 'uncertainty/absolute-claim',
+        severity: 'warning',
+        file: statement.file,
+        line: statement.line,
+        column: statement.column,
+        message: `Absolute claim ("${statement.cue}"): "${statement.text}"`
+      }))
+    ]
+  };
+}
+
+// Score uncertainty representation - the mean of result coverage and hedge balance
+function scoreUncertainty(observations) {
+  const totals = sumObservations(observations);
+  const qualified = (totals.hedged || 0) + (totals.absolute || 0);
+  const parts = [
+    totals.results ? 1 - totals.bare / totals.results : null,
+    qualified > 0 ? (totals.hedged || 0) / qualified : null
+  ].filter(part => part !== null);
+  
+  return parts.length > 0 ? parts.reduce((sum, part) => sum + part, 0) / parts.length : null;
+}
+
+// Find decimals and percentages reported as results, skipping those that
+// are themselves uncertainty (± values, interval bounds, p-values, n = ...)
+function findReportedNumbers(text) {
+  // Interval bounds such as [0.91, 0.95] or (91–95%) belong to the estimate before them
+  const masked = text.replace(/\[\s*-?\d+(\.\d+)?%?\s*,\s*-?\d+(\.\d+)?%?\s*\]|\(\s*-?\d+(\.\d+)?%?\s*[–-]\s*-?\d+(\.\d+)?%?\s*\)/g, match => ' '.repeat(match.length));
+  
+  const numbers = [];
+  for (const match of masked.matchAll(/(?<![\w.±/-])-?\d+(?:\.\d+)?\s*%|(?<![\w.±/-])-?\d+\.\d+(?!\w|\.\d)/g)) {
+    const before = masked.slice(0, match.index);
+    const after = masked.slice(match.index + match[0].length);
+    if (/(±|\+\/?-|\b[nNpP]\s*[<=>≤]|\b(SEM?|SD|std\.?|seeds?|v|version)\s*[:=]?)\s*$/.test(before)) continue;
+    // The level of a confidence interval, as in "95% CI"
+    if (/^\s*(CI|confidence|credible)\b/i.test(after)) continue;
+    numbers.push({ index: match.index, text: match[0].trim() });
+  }
+  
+  return numbers;
+}
+
+// Headings and section files that hold the article's limitations
+const limitationSectionRegex = /\b(limitations?|threats to validity|validity threats|caveats|shortcomings|weaknesses)\b/i;
+
+// Sentences that state a limitation rather than introduce the list
+const limitationCueRegex = /\b(limit\w*|only|not|cannot|restrict\w*|assum\w*|unclear|small|narrow|single|bias\w*|threat\w*|caveat\w*|future work|do(es)? not|may not|fail\w*|lack\w*)\b/i;
+
+// Analyze limitation acknowledgment
+//
+// Finds limitations or threats-to-validity sections at any heading level, and
+// files under content/sections/ named after them. Each top-level list item,
+// subheading or limitation sentence in them counts as one limitation. The
+// datasets, methods, models and scope terms the article declares should each
+// be mentioned there; those that are not are reported.
+async function analyzeLimitationAcknowledgment(options, articles = null) {
+  const ctx = createContext(options);
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  const sections = [];
+  const limitations = [];
+  const sectionText = [];
+  
+  for (const article of articles) {
+    const wholeFile = /(^|\/)sections\//.test(article.file) &&
+      limitationSectionRegex.test(article.file.split('/').pop().replace(/[-_]/g, ' '));
+    const blocks = assignSections(parseBlocks(article.content, article.lineOffset || 0));
+    
+    if (wholeFile) {
+      sections.push({ file: article.file, line: (article.lineOffset || 0) + 1, title: article.metadata?.title || article.file });
+    }
+    
+    for (const block of blocks) {
+      const inSection = wholeFile || block.headings.some(title => limitationSectionRegex.test(title));
+      if (!inSection) continue;
+      
+      if (block.type === 'heading' && limitationSectionRegex.test(block.text) && !wholeFile &&
+          !block.headings.slice(0, -1).some(title => limitationSectionRegex.test(title))) {
+        sections.push({ file: article.file, line: block.line, title: block.text });
+        continue;
+      }
+      
+      sectionText.push(block.text);
+      
+      if (block.type === 'heading' || (block.type === 'list-item' && block.indent === 0)) {
+        limitations.push({ file: article.file, line: block.line, text: block.text });
+      } else if (block.type === 'paragraph') {
+        for (const sentence of splitSentences(block)) {
+          if (!sentence.text.endsWith(':') && limitationCueRegex.test(sentence.text)) {
+            limitations.push({ file: article.file, line: sentence.line, text: sentence.text });
+          }
+        }
+      }
+    }
+  }
+  
+  // Drop limitations that repeat one already listed
+  const distinct = [];
+  for (const limitation of limitations) {
+    const stems = contentStems(limitation.text);
+    const repeated = distinct.some(other => {
+      const shared = [...stems].filter(stem => other.stems.has(stem)).length;
+      return shared / Math.max(1, new Set([...stems, ...other.stems]).size) >= 0.8;
+    });
+    if (!repeated) distinct.push({ ...limitation, stems });
+  }
+  
+  // Everything the article declares it works with or on
+  const declared = await collectDeclaredScopes(ctx, articles);
+  const limitationStems = contentStems(sectionText.join(' '));
+  const uncoveredScopes = declared.filter(scope => {
+    const stems = contentStems(scope.name);
+    return stems.size > 0 && ![...stems].every(stem => limitationStems.has(stem));
+  });
+  
+  const hasLimitationsSection = sections.length > 0;
+  const observations = [
+    ...sections.map(section => ({ file: section.file, line: section.line, limitationSections: 1 })),
+    ...distinct.map(limitation => ({ file: limitation.file, line: limitation.line, limitations: 1 }))
+  ];
+  const coverage = declared.length > 0 ? 1 - uncoveredScopes.length / declared.length : 1;
+  const anchor = sections[0] || (articles[0] && { file: articles[0].file, line: (articles[0].lineOffset || 0) + 1 });
+  
+  const diagnostics = [];
+  if (!hasLimitationsSection && anchor) {
+    diagnostics.push({
+      rule: 'limitation/missing-section',
+      severity: 'warning',
+      file: anchor.file,
+      line: anchor.line,
+      column: 1,
+      message: 'The article has no limitations or threats-to-validity section'
+    });
+  }
+  if (anchor) {
+    diagnostics.push(...uncoveredScopes.map(scope => ({
+      rule: 'limitation/uncovered-scope',
+      severity: hasLimitationsSection ? 'warning' : 'info',
+      file: anchor.file,
+      line: anchor.line,
+      column: 1,
+      message: `Declared ${scope.kind} "${scope.name}" has no corresponding limitation`
+    })));
+  }
+  
+  return {
+    hasLimitationsSection,
+    sections,
+    limitationCount: distinct.length,
+    limitations: distinct.map(({ file, line, text }) => ({ file, line, text })),
+    declaredScopes: declared.length,
+    coverage,
+    uncoveredScopes,
+    ...scoredProvenance(scoreLimitations(observations, { coverage }), 0),
+    observations,
+    diagnostics
+  };
+}
+
+// Score limitation acknowledgment
+//
+// Three distinct limitations that cover every declared scope make a full
+// score. Coverage is judged over the whole article, since one limitations
+// section answers for every declared scope.
+function scoreLimitations(observations, analysis) {
+  const totals = sumObservations(observations);
+  if (!totals.limitationSections && !totals.limitations) return null;
+  
+  return 0.5 * Math.min(1, (totals.limitations || 0) / 3) + 0.5 * analysis.coverage;
+}
+
+// Collect the datasets, methods, models and scope terms an article declares
+async function collectDeclaredScopes(ctx, articles) {
+  const scopes = new Map();
+  const add = (kind, name) => {
+    const label = typeof name === 'object' && name !== null ? name.name || name.id : name;
+    if (label && !scopes.has(String(label).toLowerCase())) {
+      scopes.set(String(label).toLowerCase(), { kind, name: String(label) });
+    }
+  };
+  const list = value => value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]);
+  
+  for (const article of articles) {
+    const metadata = article.metadata || {};
+    list(metadata.scope).forEach(name => add('scope', name));
+    list(metadata.datasets).forEach(name => add('dataset', name));
+    list(metadata.models).forEach(name => add('model', name));
+    list(metadata.methods).forEach(method => {
+      add('method', method);
+      if (typeof method === 'object' && method !== null) {
+        list(method.datasets).forEach(name => add('dataset', name));
+        list(method.models).forEach(name => add('model', name));
+      }
+    });
+  }
+  
+  try {
+    const manifest = await loadDataManifest(ctx);
+    if (manifest) manifest.datasets.forEach(dataset => add('dataset', dataset.id));
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not read data manifest:', error.message);
+  }
+  
+  return [...scopes.values()];
+}
+
+// Stemmed content words of a piece of text
+function contentStems(text) {
+  const tokenizer = new natural.WordTokenizer();
+  return new Set(tokenizer.tokenize(text.toLowerCase())
+    .filter(word => !stopwords.includes(word) && (word.length > 2 || /\d/.test(word)))
+    .map(word => natural.PorterStemmer.stem(word)));
+}
+
+module.exports = {
+  elasticSubMetrics,
+  calculateElasticTolerance,
+  analyzeContradictions,
+  analyzeMultiplePerspectives,
+  evaluateUncertaintyRepresentation,
+  analyzeLimitationAcknowledgment,
+  scoreContradictions,
+  scorePerspectives,
+  scoreUncertainty,
+  scoreLimitations
+};
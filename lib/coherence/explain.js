@@ -0,0 +1,199 @@
+// explain.js
+//
+// Explainable coherence. Δ−𝑝 combines the components multiplicatively, so
+// how much a sub-metric matters depends on every other score: raising a
+// weak component helps far more than polishing a strong one. This module
+// re-evaluates the coherence function, with the report's aggregation
+// method, on changed scores to give
+//
+// - each component's and sub-metric's marginal effect: the change in Δ−𝑝 if
+//   its score rose by 0.1 (capped at 1),
+// - its gain if resolved: the change in Δ−𝑝 if its score reached 1,
+// - what-if answers for any set of changes: "if citationScore reached 0.8,
+//   overall coherence would be 0.71".
+//
+// Everything works from a model of the scores and weights, built either from
+// a report (meta/coherence.json) or from the component results.
+
+const { defaultConfig } = require('../config');
+const { componentNames } = require('../analyzers');
+const { weightedScore } = require('../policy');
+const { calculateOverallCoherence } = require('./aggregate');
+const { describeProvenance, componentConfidence } = require('./provenance');
+
+// Step used for marginal effects
+const marginalStep = 0.1;
+
+// Build the explanation model from a coherence report
+//
+// Sub-metric weights come from the policy recorded in the report, so older
+// reports without one are explained with `config`.
+function reportModel(report, config = defaultConfig) {
+  const policy = (report.metadata && report.metadata.policy) || {
+    weights: config.weights,
+    subMetrics: config.subMetrics,
+    disabledAnalyzers: Object.keys(config.analyzers).filter(key => config.analyzers[key] === false)
+  };
+  
+  // Reports from before aggregation methods were selectable used the geometric mean
+  const aggregation = (report.metadata && report.metadata.aggregation) || { method: 'geometric' };
+  
+  const metricWeights = {};
+  for (const [component, name] of Object.entries(componentNames)) {
+    const weights = policy.subMetrics[component] || {};
+    metricWeights[name] = Object.fromEntries(Object.keys((report.subMetrics || {})[name] || {})
+      .filter(key => !policy.disabledAnalyzers.includes(key))
+      .map(key => [key, weights[key] ?? 0]));
+  }
+  
+  return {
+    overallScore: report.overallScore,
+    components: report.components,
+    subMetrics: report.subMetrics || {},
+    metricWeights,
+    // Reports from before provenance was recorded are taken as measured
+    confidences: Object.fromEntries(Object.entries(report.provenance || {}).map(([name, metrics]) => [
+      name,
+      Object.fromEntries(Object.entries(metrics).map(([key, metric]) => [key, metric.confidence]))
+    ])),
+    weights: policy.weights,
+    aggregation
+  };
+}
+
+// Build the explanation model from component results
+function resultsModel(results, config = defaultConfig) {
+  const model = { components: {}, subMetrics: {}, metricWeights: {}, confidences: {}, weights: config.weights, aggregation: config.aggregation };
+  
+  for (const [component, name] of Object.entries(componentNames)) {
+    const result = results[name];
+    model.components[name] = result.score;
+    model.subMetrics[name] = result.components;
+    model.confidences[name] = result.subMetrics
+      ? Object.fromEntries(Object.entries(describeProvenance(result)).map(([key, metric]) => [key, metric.confidence]))
+      : {};
+    
+    // Results carry their resolved sub-metrics; fall back to the configured weights
+    model.metricWeights[name] = result.subMetrics
+      ? Object.fromEntries(result.subMetrics.map(metric => [metric.key, metric.weight]))
+      : Object.fromEntries(Object.keys(result.components)
+        .filter(key => config.analyzers[key] !== false)
+        .map(key => [key, (config.subMetrics[component] || {})[key] ?? 0]));
+  }
+  
+  model.overallScore = evaluateModel(model, {}).overallScore;
+  return model;
+}
+
+// Re-evaluate the coherence function with some component or sub-metric scores changed
+//
+// Changed scores count as measured, with full confidence.
+function evaluateModel(model, changes) {
+  const components = { ...model.components };
+  const subMetrics = {};
+  const confidence = {};
+  
+  for (const name of Object.values(componentNames)) {
+    const scores = { ...model.subMetrics[name] };
+    const confidences = { ...model.confidences[name] };
+    const changed = Object.keys(scores).filter(key => key in changes);
+    changed.forEach(key => {
+      scores[key] = changes[key];
+      confidences[key] = 1;
+    });
+    subMetrics[name] = scores;
+    
+    const metrics = Object.entries(model.metricWeights[name]).map(([key, weight]) => ({ key, weight }));
+    confidence[name] = name in changes ? 1 : componentConfidence(confidences, metrics);
+    
+    if (name in changes) {
+      components[name] = changes[name];
+    } else if (changed.length > 0) {
+      components[name] = weightedScore(scores, metrics);
+    }
+  }
+  
+  const overallScore = calculateOverallCoherence(
+    components.signalAlignment,
+    components.feedbackResponsiveness,
+    components.boundedIntegrity,
+    components.elasticTolerance,
+    model.weights,
+    model.aggregation,
+    confidence
+  );
+  
+  return { overallScore, components, subMetrics };
+}
+
+// Explain a model: each component's and sub-metric's effect on Δ−𝑝
+//
+// Sub-metrics are listed by their gain if resolved, largest first; `weight`
+// is their share of their component.
+function explainCoherence(model) {
+  const effect = (key, score) => ({
+    marginalEffect: evaluateModel(model, { [key]: Math.min(1, score + marginalStep) }).overallScore - model.overallScore,
+    gainIfResolved: evaluateModel(model, { [key]: 1 }).overallScore - model.overallScore
+  });
+  
+  const components = {};
+  const subMetrics = [];
+  
+  for (const [name, score] of Object.entries(model.components)) {
+    components[name] = { score, ...effect(name, score) };
+    
+    const weights = model.metricWeights[name] || {};
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    for (const [key, weight] of Object.entries(weights)) {
+      const metricScore = model.subMetrics[name][key];
+      subMetrics.push({
+        component: name,
+        key,
+        score: metricScore,
+        weight: total > 0 ? weight / total : 0,
+        ...effect(key, metricScore)
+      });
+    }
+  }
+  
+  subMetrics.sort((a, b) => b.gainIfResolved - a.gainIfResolved);
+  
+  return { overallScore: model.overallScore, components, subMetrics };
+}
+
+// Answer a what-if question about a coherence report
+//
+// `changes` maps sub-metric keys (citationScore) or component names
+// (signalAlignment) to hypothetical scores between 0 and 1.
+function whatIf(report, changes, config = defaultConfig) {
+  const model = reportModel(report, config);
+  const known = new Set([
+    ...Object.keys(model.components),
+    ...Object.values(model.subMetrics).flatMap(scores => Object.keys(scores))
+  ]);
+  
+  for (const [key, value] of Object.entries(changes)) {
+    if (!known.has(key)) {
+      throw new Error(`Unknown sub-metric or component "${key}"`);
+    }
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      throw new Error(`Score for ${key} must be between 0 and 1, got ${value}`);
+    }
+  }
+  
+  const result = evaluateModel(model, changes);
+  
+  return {
+    changes,
+    ...result,
+    change: result.overallScore - report.overallScore
+  };
+}
+
+module.exports = {
+  reportModel,
+  resultsModel,
+  evaluateModel,
+  explainCoherence,
+  whatIf
+};
@@ -0,0 +1,492 @@
+// feedback.js
+//
+// F(p): Feedback Responsiveness - how well criticism is incorporated
+
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const { createContext } = require('../context');
+const { parseArticleContents } = require('../articles');
+const { resolveSubMetrics, weightedScore } = require('../policy');
+const { runAnalyzers } = require('../analyzers');
+const { loadIdentities, isAuthor } = require('../identity');
+const { sampleProvenance } = require('./provenance');
+const { critiqueShell } = require('./shells');
+
+// Sub-metrics of F, weighted by config.subMetrics.feedback. F is measured on
+// the repository rather than the text, so they have no per-section scorers;
+// see analyzers.js for the plugins that add to them.
+const feedbackSubMetrics = [
+  {
+    key: 'openIssuesScore',
+    analysis: 'openIssues',
+    recommendation: 'Address open issues more promptly to improve feedback engagement'
+  },
+  {
+    key: 'issueResolutionScore',
+    analysis: 'issueResolution',
+    recommendation: 'Improve issue resolution rate by incorporating feedback into revisions'
+  },
+  {
+    key: 'prReviewScore',
+    analysis: 'prReviews',
+    recommendation: 'Better integrate PR review feedback into content updates'
+  },
+  {
+    key: 'historyScore',
+    analysis: 'contentHistory',
+    recommendation: 'Ensure content evolution reflects engagement with critical feedback'
+  },
+  {
+    key: 'latencyScore',
+    analysis: 'responseTimes',
+    recommendation: recommendResponseTimes
+  }
+];
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Calculate Feedback Responsiveness (F) - how well criticism is incorporated
+//
+// The built-in sub-metrics read the repository, and the articles only for
+// who their authors are; `articles` is parsed when not given.
+async function calculateFeedbackResponsiveness(options, articles = null) {
+  const ctx = createContext(options);
+  ctx.logger.log('📊 Calculating Feedback Responsiveness (F)...');
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  const identities = await loadIdentities(ctx, articles);
+  
+  // 1. Analyze open issues
+  const openIssuesAnalysis = await analyzeOpenIssues(ctx, identities);
+  
+  // 2. Analyze issue resolution
+  const issueResolutionAnalysis = await analyzeIssueResolution(ctx);
+  
+  // 3. Analyze PR reviews and responses
+  const prReviewAnalysis = await analyzePRReviews(ctx);
+  
+  // 4. Check for feedback incorporation in content history
+  const feedbackInHistory = await analyzeContentHistory(ctx);
+  
+  // 5. Measure how quickly critiques are answered and resolved
+  const responseTimes = await analyzeResponseTimes(ctx, identities);
+  
+  // 6. Run the plugin analyzers that feed F
+  const plugins = await runAnalyzers(ctx, 'feedback', articles);
+  
+  // Calculate overall feedback responsiveness
+  const openIssuesScore = openIssuesAnalysis.score;
+  const issueResolutionScore = issueResolutionAnalysis.score;
+  const prReviewScore = prReviewAnalysis.score;
+  const historyScore = feedbackInHistory.score;
+  const latencyScore = responseTimes.score;
+  
+  // Weighted average of the enabled sub-metrics
+  const components = { openIssuesScore, issueResolutionScore, prReviewScore, historyScore, latencyScore, ...plugins.components };
+  const subMetrics = resolveSubMetrics(ctx.config, 'feedback', [...feedbackSubMetrics, ...plugins.subMetrics]);
+  const score = weightedScore(components, subMetrics);
+  
+  const details = [
+    `Open issues response rate: ${openIssuesAnalysis.responseRate.toFixed(2)}`,
+    `Issue resolution rate: ${issueResolutionAnalysis.resolutionRate.toFixed(2)}`,
+    `PR review integration: ${prReviewAnalysis.integrationRate.toFixed(2)}`,
+    `Content revisions from feedback: ${feedbackInHistory.revisionRate.toFixed(2)}`,
+    `Median time to first response: ${formatDays(responseTimes.firstResponse.median)}, to resolution: ${formatDays(responseTimes.resolution.median)}`,
+    ...Object.entries(responseTimes.shells).map(([shell, { firstResponse, resolution, unanswered }]) =>
+      `  ${shell}: first response ${formatLatency(firstResponse)}, resolution ${formatLatency(resolution)}` +
+      (unanswered > 0 ? `, ${unanswered} closed without an author response` : '')),
+    ...plugins.details
+  ];
+  
+  return {
+    score,
+    details,
+    components,
+    subMetrics,
+    openIssues: openIssuesAnalysis,
+    issueResolution: issueResolutionAnalysis,
+    prReviews: prReviewAnalysis,
+    contentHistory: feedbackInHistory,
+    responseTimes,
+    ...plugins.analyses,
+    diagnostics: subMetrics.flatMap(metric => (plugins.analyses[metric.analysis] || {}).diagnostics || [])
+  };
+}
+
+// Analyze open issues (for Feedback Responsiveness)
+//
+// An issue counts as answered once a listed author or delegated maintainer
+// other than the issue's own author has commented on it (see identity.js),
+// as in analyzeResponseTimes. With no open issues there is nothing waiting
+// for an answer, which is a measurement rather than a missing sample.
+async function analyzeOpenIssues(options, identities = null) {
+  const ctx = createContext(options);
+  
+  try {
+    if (!identities) {
+      identities = await loadIdentities(ctx, await parseArticleContents(ctx));
+    }
+    
+    // Fetch open issues from the forge
+    const openIssues = await ctx.forge.listIssues({ state: 'open' });
+    
+    // Count issues with author responses
+    let issuesWithResponses = 0;
+    
+    for (const issue of openIssues) {
+      // Fetch comments for this issue
+      const comments = await ctx.forge.listIssueComments(issue.number);
+      
+      // Check if any comments are from the article authors or maintainers other than the issue's author
+      const authorComments = comments.filter(comment =>
+        comment.user.login !== (issue.user || {}).login && isAuthor(identities, { login: comment.user.login }));
+      
+      if (authorComments.length > 0) {
+        issuesWithResponses++;
+      }
+    }
+    
+    // Calculate response rate
+    const responseRate = openIssues.length > 0 ? issuesWithResponses / openIssues.length : 1;
+    
+    // Calculate score based on response rate
+    // A perfect score if all issues have responses, 0.5 if none do
+    const score = 0.5 + (responseRate * 0.5);
+    
+    return {
+      openIssueCount: openIssues.length,
+      issuesWithResponses,
+      responseRate,
+      score,
+      ...(openIssues.length > 0 ? sampleProvenance(openIssues.length) : { provenance: 'measured', confidence: 1 })
+    };
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not analyze open issues:', error.message);
+    return {
+      openIssueCount: 0,
+      issuesWithResponses: 0,
+      responseRate: 1,
+      score: 0.5, // Neutral score if we can't analyze
+      provenance: 'errored'
+    };
+  }
+}
+
+// Analyze issue resolution
+async function analyzeIssueResolution(options) {
+  const ctx = createContext(options);
+  
+  try {
+    // Fetch closed issues from the forge
+    const closedIssues = await ctx.forge.listIssues({ state: 'closed' });
+    
+    // Count issues with references in commits
+    let issuesWithReferences = 0;
+    
+    for (const issue of closedIssues) {
+      // Check if any commits reference this issue
+      try {
+        // Look for commits that mention the issue number
+        const { stdout } = await exec(`git log --grep="#${issue.number}" --oneline`, { cwd: ctx.cwd });
+        
+        if (stdout.trim().length > 0) {
+          issuesWithReferences++;
+        }
+      } catch (error) {
+        // Git command failed, continue with next issue
+        ctx.logger.warn(`Warning: Could not check commits for issue #${issue.number}:`, error.message);
+      }
+    }
+    
+    // Calculate resolution rate
+    const resolutionRate = closedIssues.length > 0 ? issuesWithReferences / closedIssues.length : 1;
+    
+    // Calculate score based on resolution rate
+    // A perfect score if all closed issues have commit references, 0.5 if none do
+    const score = 0.5 + (resolutionRate * 0.5);
+    
+    return {
+      closedIssueCount: closedIssues.length,
+      issuesWithReferences,
+      resolutionRate,
+      score,
+      ...sampleProvenance(closedIssues.length)
+    };
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not analyze issue resolution:', error.message);
+    return {
+      closedIssueCount: 0,
+      issuesWithReferences: 0,
+      resolutionRate: 1,
+      score: 0.5, // Neutral score if we can't analyze
+      provenance: 'errored'
+    };
+  }
+}
+
+// Analyze PR reviews
+async function analyzePRReviews(options) {
+  const ctx = createContext(options);
+  
+  try {
+    // Fetch closed PRs from the forge
+    const closedPRs = await ctx.forge.listPullRequests({ state: 'closed' });
+    
+    // Filter to get only merged PRs
+    const mergedPRs = closedPRs.filter(pr => pr.merged_at);
+    
+    // Count PRs with review comments
+    let prsWithReviewComments = 0;
+    let prsWithChangesAfterReview = 0;
+    
+    for (const pr of mergedPRs) {
+      // Fetch review comments for this PR
+      const reviewComments = await ctx.forge.listPullRequestReviewComments(pr.number);
+      
+      if (reviewComments.length > 0) {
+        prsWithReviewComments++;
+        
+        // Check if there were commits after the earliest review comment
+        const earliestReviewDate = new Date(Math.min(
+          ...reviewComments.map(comment => new Date(comment.created_at).getTime())
+        ));
+        
+        // Fetch commits for this PR
+        const commits = await ctx.forge.listPullRequestCommits(pr.number);
+        
+        // Check if any commits came after the earliest review
+        const commitsAfterReview = commits.filter(commit => 
+          new Date(commit.commit.committer.date) > earliestReviewDate
+        );
+        
+        if (commitsAfterReview.length > 0) {
+          prsWithChangesAfterReview++;
+        }
+      }
+    }
+    
+    // Calculate integration rate
+    const integrationRate = prsWithReviewComments > 0 ? 
+      prsWithChangesAfterReview / prsWithReviewComments : 1;
+    
+    // Calculate score based on integration rate
+    // A perfect score if all PRs with reviews had subsequent changes, 0.5 if none did
+    const score = 0.5 + (integrationRate * 0.5);
+    
+    return {
+      mergedPRCount: mergedPRs.length,
+      prsWithReviewComments,
+      prsWithChangesAfterReview,
+      integrationRate,
+      score,
+      ...sampleProvenance(prsWithReviewComments)
+    };
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not analyze PR reviews:', error.message);
+    return {
+      mergedPRCount: 0,
+      prsWithReviewComments: 0,
+      prsWithChangesAfterReview: 0,
+      integrationRate: 1,
+      score: 0.5, // Neutral score if we can't analyze
+      provenance: 'errored'
+    };
+  }
+}
+
+// Analyze content history for feedback incorporation
+async function analyzeContentHistory(options) {
+  const ctx = createContext(options);
+  
+  try {
+    // Look at commit messages for signs of feedback incorporation
+    const { stdout: commitMessages } = await exec('git log --pretty=format:"%s"', { cwd: ctx.cwd });
+    
+    // Count feedback-related commits
+    const feedbackCommits = commitMessages.split('\n').filter(message => 
+      /\b(address|fix|improve|update|respond|incorporate|feedback|review|suggestion|comment)\b/i.test(message)
+    );
+    
+    // Calculate revision rate
+    const totalCommits = commitMessages.split('\n').length;
+    const revisionRate = totalCommits > 0 ? feedbackCommits.length / totalCommits : 0;
+    
+    // Calculate score based on revision rate
+    // Ideal rate is around 30-50% of commits being feedback-related
+    const score = Math.min(1, revisionRate * 2.5); // 40% feedback commits gives a perfect score
+    
+    return {
+      totalCommits,
+      feedbackCommits: feedbackCommits.length,
+      revisionRate,
+      score: Math.max(0, Math.min(1, score)), // Ensure score is between 0 and 1
+      ...sampleProvenance(totalCommits)
+    };
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not analyze content history:', error.message);
+    return {
+      totalCommits: 0,
+      feedbackCommits: 0,
+      revisionRate: 0,
+      score: 0.5, // Neutral score if we can't analyze
+      provenance: 'errored'
+    };
+  }
+}
+
+// Measure how quickly critique shells get a first author response and are closed
+//
+// Each issue is classified by its shell type (from its label or title
+// prefix, "other" otherwise) and its latencies are scored against the shell's
+// service levels in config.sla, in days: 1 within the SLA, falling in
+// proportion beyond it, so a reply after six months scores far below one
+// after a day. Open issues still waiting for a response count with their age
+// so far. Issues closed without any author response breach the first-response
+// SLA outright: they count with their time to close and score 0, and are
+// listed as unanswered. The score is the mean over all latencies, and the
+// analysis reports median and p90 latencies per shell type.
+async function analyzeResponseTimes(options, identities = null) {
+  const ctx = createContext(options);
+  
+  try {
+    if (!identities) {
+      identities = await loadIdentities(ctx, await parseArticleContents(ctx));
+    }
+    
+    const issues = (await ctx.forge.listIssues({ state: 'all' }))
+      .filter(issue => !issue.pull_request && issue.created_at);
+    const now = Date.now();
+    const samples = {};
+    const fits = [];
+    const unanswered = [];
+    
+    const record = (shell, measure, days, breached = false) => {
+      const sla = serviceLevel(ctx.config, shell, measure);
+      samples[shell] = samples[shell] || { firstResponse: [], resolution: [], unanswered: 0 };
+      samples[shell][measure].push(days);
+      fits.push(breached ? 0 : days <= sla ? 1 : sla / days);
+    };
+    
+    for (const issue of issues) {
+      const shell = critiqueShell(issue);
+      const opened = new Date(issue.created_at).getTime();
+      
+      // The first comment from an author or maintainer other than the issue's own author
+      const comments = await ctx.forge.listIssueComments(issue.number);
+      const responses = comments
+        .filter(comment => comment.user.login !== (issue.user || {}).login && isAuthor(identities, { login: comment.user.login }))
+        .map(comment => new Date(comment.created_at).getTime())
+        .filter(Number.isFinite);
+      
+      const closed = issue.state === 'closed' && issue.closed_at ? new Date(issue.closed_at).getTime() : null;
+      
+      if (responses.length > 0) {
+        record(shell, 'firstResponse', (Math.min(...responses) - opened) / dayMs);
+      } else if (issue.state === 'open') {
+        record(shell, 'firstResponse', (now - opened) / dayMs);
+      } else if (closed !== null) {
+        // Closed without a word from the authors: it waited until it was closed
+        record(shell, 'firstResponse', (closed - opened) / dayMs, true);
+        samples[shell].unanswered++;
+        unanswered.push({ number: issue.number, shell });
+      }
+      
+      if (closed !== null) {
+        record(shell, 'resolution', (closed - opened) / dayMs);
+      }
+    }
+    
+    const all = Object.values(samples);
+    
+    return {
+      shells: Object.fromEntries(Object.entries(samples).map(([shell, measures]) => [shell, {
+        firstResponse: { ...distribution(measures.firstResponse), sla: serviceLevel(ctx.config, shell, 'firstResponse') },
+        resolution: { ...distribution(measures.resolution), sla: serviceLevel(ctx.config, shell, 'resolution') },
+        unanswered: measures.unanswered
+      }])),
+      unanswered,
+      firstResponse: distribution(all.flatMap(measures => measures.firstResponse)),
+      resolution: distribution(all.flatMap(measures => measures.resolution)),
+      withinSla: fits.filter(fit => fit === 1).length,
+      score: fits.length > 0 ? fits.reduce((sum, fit) => sum + fit, 0) / fits.length : 0.5,
+      ...sampleProvenance(fits.length)
+    };
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not analyze response times:', error.message);
+    return {
+      shells: {},
+      firstResponse: distribution([]),
+      resolution: distribution([]),
+      unanswered: [],
+      withinSla: 0,
+      score: 0.5, // Neutral score if we can't analyze
+      provenance: 'errored'
+    };
+  }
+}
+
+// Service level of a shell for first responses or resolution, in days
+function serviceLevel(config, shell, measure) {
+  const overrides = config.sla.shells[shell] || {};
+  return overrides[measure] ?? config.sla[measure];
+}
+
+// Median and p90 of latencies in days, by the nearest-rank method
+function distribution(days) {
+  const sorted = [...days].sort((a, b) => a - b);
+  const rank = p => sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+  
+  return {
+    count: sorted.length,
+    median: sorted.length > 0 ? rank(0.5) : null,
+    p90: sorted.length > 0 ? rank(0.9) : null
+  };
+}
+
+// Format a latency in days for details and recommendations
+function formatDays(days) {
+  return days === null ? 'n/a' : `${days.toFixed(1)} days`;
+}
+
+// Format a latency distribution against its SLA
+function formatLatency({ median, p90, sla }) {
+  return median === null ? 'n/a' : `median ${formatDays(median)}, p90 ${formatDays(p90)} (SLA ${sla} days)`;
+}
+
+// Recommend answering unanswered critiques, else the shell whose median
+// latency overruns its SLA the most
+function recommendResponseTimes(analysis) {
+  // Critiques closed without an answer come first
+  const unanswered = Object.entries(analysis.shells || {})
+    .filter(([, measures]) => measures.unanswered > 0)
+    .sort((a, b) => b[1].unanswered - a[1].unanswered);
+  if (unanswered.length > 0) {
+    const [shell, { unanswered: count }] = unanswered[0];
+    return `Answer critiques before closing them: ${count} ${shell} ${count === 1 ? 'issue was' : 'issues were'} closed without an author response`;
+  }
+  
+  const overruns = Object.entries(analysis.shells || {}).flatMap(([shell, measures]) =>
+    ['firstResponse', 'resolution']
+      .filter(measure => measures[measure].median !== null && measures[measure].median > measures[measure].sla)
+      .map(measure => ({ shell, measure, ...measures[measure], ratio: measures[measure].median / measures[measure].sla })));
+  
+  if (overruns.length === 0) {
+    return 'Respond to and resolve critiques within their service levels';
+  }
+  
+  const worst = overruns.sort((a, b) => b.ratio - a.ratio)[0];
+  const [verb, what] = worst.measure === 'firstResponse' ? ['Respond to', 'first response'] : ['Resolve', 'resolution'];
+  return `${verb} ${worst.shell} critiques faster: median ${what} is ${formatDays(worst.median)} against a ${worst.sla}-day SLA`;
+}
+
+module.exports = {
+  feedbackSubMetrics,
+  calculateFeedbackResponsiveness,
+  analyzeOpenIssues,
+  analyzeIssueResolution,
+  analyzePRReviews,
+  analyzeContentHistory,
+  analyzeResponseTimes
+};
@@ -0,0 +1,342 @@
+// coherence-check
+//
+// This module implements the Recursive Coherence function (Δ−𝑝) = 𝑆(𝑝) · 𝐹(𝑝) · 𝐵(𝑝) · 𝜆(𝑝)
+// to measure and maintain the epistemological integrity of articles.
+//
+// S(p): Signal Alignment - how well assertions align with evidence
+// F(p): Feedback Responsiveness - how well criticism is incorporated
+// B(p): Bounded Integrity - how well scope boundaries are maintained
+// λ(p): Elastic Tolerance - capacity to integrate contradictions
+
+const fs = require('fs');
+const matter = require('gray-matter');
+const { defaultConfig } = require('../config');
+const { createContext, resolvePath } = require('../context');
+const { parseArticleContents } = require('../articles');
+const { buildSectionTree, weakestSections } = require('./sections');
+const { loadAnalysisCache, saveAnalysisCache } = require('../cache');
+const { applyArticlePolicy, resolveSubMetrics, describePolicy } = require('../policy');
+const { aggregationMethods, calculateOverallCoherence } = require('./aggregate');
+const { sampleProvenance, describeProvenance, describeConfidence, unmeasuredSubMetrics } = require('./provenance');
+const explain = require('./explain');
+const signal = require('./signal');
+const feedback = require('./feedback');
+const bounded = require('./bounded');
+const elastic = require('./elastic');
+
+// Main function - returns the coherence report and writes it to meta/coherence.json
+async function checkCoherence(options = {}) {
+  const ctx = createContext(options);
+  const { report } = await calculateCoherence(ctx);
+  
+  saveAnalysisCache(ctx);
+  
+  // Save coherence report
+  if (ctx.write) {
+    const metaDir = resolvePath(ctx, ctx.config.paths.meta);
+    if (!fs.existsSync(metaDir)) {
+      fs.mkdirSync(metaDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(
+      resolvePath(ctx, ctx.config.paths.coherenceOutput), 
+      JSON.stringify(report, null, 2)
+    );
+  }
+  
+  return report;
+}
+
+// Calculate the coherence report without writing anything
+//
+// Also returns the full component results, the S, B and λ results paired
+// with their sub-metric descriptors, whose analyses carry the located
+// observations the report's scores are built from, and the repository's
+// configuration (articles' front-matter overrides apply to their own files'
+// scores only).
+async function calculateCoherence(options = {}) {
+  const baseCtx = createContext(options);
+  baseCtx.logger.log('🜏 Recursive Coherence Check: Initializing...');
+  
+  // Parse the content once, and reuse per-file results of unchanged files
+  const cache = await loadAnalysisCache(baseCtx);
+  const articles = await parseArticleContents(baseCtx);
+  
+  // Articles may override the policy in their front matter
+  const ctx = applyArticlePolicy(baseCtx, articles);
+  
+  // Calculate each component of the coherence function
+  const signalAlignment = await signal.calculateSignalAlignment(ctx, articles);
+  const feedbackResponsiveness = await feedback.calculateFeedbackResponsiveness(ctx, articles);
+  const boundedIntegrity = await bounded.calculateBoundedIntegrity(ctx, articles);
+  const elasticTolerance = await elastic.calculateElasticTolerance(ctx, articles);
+  
+  const results = { signalAlignment, feedbackResponsiveness, boundedIntegrity, elasticTolerance };
+  
+  // Where each sub-metric score comes from, and how far each component can be trusted
+  const provenance = Object.fromEntries(Object.entries(results).map(([name, result]) => [name, describeProvenance(result)]));
+  const confidence = describeConfidence(
+    provenance,
+    Object.fromEntries(Object.entries(results).map(([name, result]) => [name, result.subMetrics])),
+    ctx.config.weights
+  );
+  
+  // Calculate overall coherence using the recursive coherence function
+  const overallScore = calculateOverallCoherence(
+    signalAlignment.score,
+    feedbackResponsiveness.score,
+    boundedIntegrity.score,
+    elasticTolerance.score,
+    ctx.config.weights,
+    ctx.config.aggregation,
+    confidence.components
+  );
+  
+  // Score every file and section with the same sub-metrics
+  const components = [
+    { name: 'signalAlignment', component: 'signal', subMetrics: signalAlignment.subMetrics, result: signalAlignment },
+    { name: 'boundedIntegrity', component: 'bounded', subMetrics: boundedIntegrity.subMetrics, result: boundedIntegrity },
+    { name: 'elasticTolerance', component: 'elastic', subMetrics: elasticTolerance.subMetrics, result: elasticTolerance }
+  ];
+  const sections = buildSectionTree(
+    articles,
+    components,
+    (scores, config) => calculateOverallCoherence(
+      scores.signalAlignment,
+      feedbackResponsiveness.score,
+      scores.boundedIntegrity,
+      scores.elasticTolerance,
+      (config || ctx.config).weights,
+      ctx.config.aggregation,
+      confidence.components
+    ),
+    ctx.articleConfigs
+  );
+  
+  // Rank the recommendations by how much they would raise Δ−𝑝
+  const recommendations = rankRecommendations(results, ctx.config);
+  
+  // Prepare detailed coherence report
+  const coherenceReport = {
+    overallScore,
+    components: {
+      signalAlignment: signalAlignment.score,
+      feedbackResponsiveness: feedbackResponsiveness.score,
+      boundedIntegrity: boundedIntegrity.score,
+      elasticTolerance: elasticTolerance.score
+    },
+    subMetrics: {
+      signalAlignment: signalAlignment.components,
+      feedbackResponsiveness: feedbackResponsiveness.components,
+      boundedIntegrity: boundedIntegrity.components,
+      elasticTolerance: elasticTolerance.components
+    },
+    provenance,
+    confidence,
+    details: {
+      signalAlignment: signalAlignment.details,
+      feedbackResponsiveness: feedbackResponsiveness.details,
+      boundedIntegrity: boundedIntegrity.details,
+      elasticTolerance: elasticTolerance.details
+    },
+    diagnostics: [signalAlignment, feedbackResponsiveness, boundedIntegrity, elasticTolerance]
+      .flatMap(component => component.diagnostics || []),
+    sections,
+    recommendations: recommendations.map(recommendation => recommendation.text),
+    explanation: {
+      ...explain.explainCoherence(explain.resultsModel(results, ctx.config)),
+      recommendations
+    },
+    metadata: {
+      timestamp: new Date().toISOString(),
+      repository: `${ctx.owner}/${ctx.repo}`,
+      version: ctx.version,
+      recursiveDepth: determineRecursiveDepth(ctx),
+      // Scores aggregated with different methods are not comparable
+      aggregation: ctx.config.aggregation,
+      policy: describePolicy(ctx),
+      ...(cache ? {
+        cache: {
+          changedSince: ctx.changedSince,
+          changedFiles: cache.changed ? [...cache.changed].sort() : null,
+          hits: cache.hits,
+          misses: cache.misses
+        }
+      } : {})
+    }
+  };
+  
+  return {
+    report: coherenceReport,
+    results,
+    components,
+    articles,
+    config: ctx.config
+  };
+}
+
+// Decide whether a coherence report passes, fails or is inconclusive
+//
+// A report whose overall confidence is below thresholds.confidence rests on
+// too many fallback scores to pass or fail. The report's own policy wins,
+// since the caller's options can override the thresholds.
+function coherenceVerdict(report, config) {
+  const policy = report.metadata && report.metadata.policy;
+  const thresholds = policy ? policy.thresholds : config.thresholds;
+  
+  if (report.confidence && report.confidence.overall < (thresholds.confidence ?? 0)) {
+    return 'inconclusive';
+  }
+  
+  return report.overallScore >= thresholds.overall ? 'pass' : 'fail';
+}
+
+// Check whether a coherence report meets the overall threshold
+function isCoherencePassing(report, config) {
+  return coherenceVerdict(report, config) === 'pass';
+}
+
+// Print the coherence summary box for a report
+function printCoherenceSummary(report, options) {
+  const ctx = createContext(options);
+  const { components, overallScore } = report;
+  const symbol = score => getStatusSymbol(score, ctx.config);
+  
+  ctx.logger.log(`🜏 Recursive Coherence Score: ${overallScore.toFixed(2)}`);
+  ctx.logger.log(`┌───────────────────────────────────────┐`);
+  ctx.logger.log(`│ Signal Alignment (S): ${components.signalAlignment.toFixed(2).padStart(5)} ${symbol(components.signalAlignment)} │`);
+  ctx.logger.log(`│ Feedback Response (F): ${components.feedbackResponsiveness.toFixed(2).padStart(5)} ${symbol(components.feedbackResponsiveness)} │`);
+  ctx.logger.log(`│ Bounded Integrity (B): ${components.boundedIntegrity.toFixed(2).padStart(5)} ${symbol(components.boundedIntegrity)} │`);
+  ctx.logger.log(`│ Elastic Tolerance (λ): ${components.elasticTolerance.toFixed(2).padStart(5)} ${symbol(components.elasticTolerance)} │`);
+  ctx.logger.log(`├───────────────────────────────────────┤`);
+  ctx.logger.log(`│ Overall Coherence:     ${overallScore.toFixed(2).padStart(5)} ${symbol(overallScore)} │`);
+  ctx.logger.log(`└───────────────────────────────────────┘`);
+  
+  if (report.confidence) {
+    const unmeasured = Object.entries(unmeasuredSubMetrics(report))
+      .map(([provenance, keys]) => `${provenance}: ${keys.join(', ')}`);
+    ctx.logger.log(`Confidence: ${report.confidence.overall.toFixed(2)}${unmeasured.length > 0 ? ` (${unmeasured.join('; ')})` : ''}`);
+  }
+  
+  const weakest = weakestSections(report.sections || []);
+  if (weakest.length > 0) {
+    ctx.logger.log('Weakest sections:');
+    for (const section of weakest) {
+      // Sections of a file that overrides the policy are judged by its threshold
+      const sectionSymbol = section.threshold === undefined
+        ? symbol(section.overallScore)
+        : getStatusSymbol(section.overallScore, { thresholds: { overall: section.threshold } });
+      ctx.logger.log(`  ${section.overallScore.toFixed(2)} ${sectionSymbol} ${section.file}:${section.line} ${section.title}`);
+    }
+  }
+  
+  const ranked = ((report.explanation && report.explanation.recommendations) || []).slice(0, 3);
+  if (ranked.length > 0) {
+    ctx.logger.log('Highest-gain fixes:');
+    for (const recommendation of ranked) {
+      ctx.logger.log(`  +${recommendation.expectedGain.toFixed(3)} ${recommendation.text} (${recommendation.subMetric} ${recommendation.score.toFixed(2)})`);
+    }
+  }
+}
+
+// Generate recommendations based on coherence analysis
+//
+// For each component below its threshold, every sub-metric that counts
+// towards it and scores below 0.7 contributes its recommendation, built-in
+// and plugin analyzers alike. The recommendations come ranked by expected
+// gain, see rankRecommendations.
+function generateRecommendations(analysis, config = defaultConfig) {
+  return rankRecommendations(analysis, config).map(recommendation => recommendation.text);
+}
+
+// Rank the recommendations by expected gain
+//
+// The expected gain is how much Δ−𝑝 would rise if the sub-metric behind a
+// recommendation were fully resolved. Returns { text, component, subMetric,
+// score, expectedGain } objects, largest gain first.
+function rankRecommendations(analysis, config = defaultConfig) {
+  const recommendations = [];
+  const model = explain.resultsModel(analysis, config);
+  
+  const components = [
+    ['signalAlignment', 'signal', signal.signalSubMetrics],
+    ['feedbackResponsiveness', 'feedback', feedback.feedbackSubMetrics],
+    ['boundedIntegrity', 'bounded', bounded.boundedSubMetrics],
+    ['elasticTolerance', 'elastic', elastic.elasticSubMetrics]
+  ];
+  
+  for (const [name, threshold, builtIn] of components) {
+    const result = analysis[name];
+    if (result.score >= config.thresholds[threshold]) continue;
+    
+    for (const metric of result.subMetrics || resolveSubMetrics(config, threshold, builtIn)) {
+      if (metric.weight === 0 || !(result.components[metric.key] < 0.7)) continue;
+      
+      const text = typeof metric.recommendation === 'function'
+        ? metric.recommendation(result[metric.analysis], result)
+        : metric.recommendation;
+      if (!text) continue;
+      
+      recommendations.push({
+        text,
+        component: name,
+        subMetric: metric.key,
+        score: result.components[metric.key],
+        expectedGain: explain.evaluateModel(model, { [metric.key]: 1 }).overallScore - model.overallScore
+      });
+    }
+  }
+  
+  // Stable sort keeps the component order between equal gains
+  return recommendations.sort((a, b) => b.expectedGain - a.expectedGain);
+}
+
+// Determine recursive depth of the article
+function determineRecursiveDepth(options) {
+  const ctx = createContext(options);
+  
+  // Check metadata for explicit recursive depth
+  try {
+    const indexContent = fs.readFileSync(resolvePath(ctx, `${ctx.config.paths.content}index.md`), 'utf8');
+    const { data } = matter(indexContent);
+    
+    if (data && data.recursion && typeof data.recursion.depth === 'number') {
+      return data.recursion.depth;
+    }
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not read index.md to determine recursive depth:', error.message);
+  }
+  
+  // Default to a recursive depth of 1
+  return 1;
+}
+
+// Helper function for status symbols in output
+function getStatusSymbol(score, config = defaultConfig) {
+  if (score >= 0.85) return '✓';
+  if (score >= config.thresholds.overall) return '⚠';
+  return '✗';
+}
+
+module.exports = {
+  checkCoherence,
+  calculateCoherence,
+  coherenceVerdict,
+  isCoherencePassing,
+  printCoherenceSummary,
+  aggregationMethods,
+  calculateOverallCoherence,
+  sampleProvenance,
+  describeProvenance,
+  describeConfidence,
+  unmeasuredSubMetrics,
+  generateRecommendations,
+  rankRecommendations,
+  determineRecursiveDepth,
+  getStatusSymbol,
+  ...explain,
+  ...signal,
+  ...feedback,
+  ...bounded,
+  ...elastic
+};
@@ -0,0 +1,124 @@
+// provenance.js
+//
+// Where each sub-metric score comes from, and how far it can be trusted. An
+// analysis records its provenance:
+//
+// - measured: computed from the article or the repository,
+// - defaulted: a fallback score, because there was nothing to measure (no
+//   glossary, no declared methods, no data manifest, no issues...), which
+//   is what a scorer returning null means,
+// - errored: a fallback score after the analysis failed, e.g. when GitHub
+//   could not be reached,
+//
+// and may give a confidence between 0 and 1; otherwise its provenance's
+// default applies. Rates measured on a handful of issues or pull requests
+// carry less confidence than rates measured on many.
+//
+// A component's confidence is the weighted mean of its sub-metrics', and the
+// overall confidence the weighted mean of the components'. A check whose
+// overall confidence is below thresholds.confidence neither passes nor fails.
+
+const { componentNames } = require('../analyzers');
+
+// Default confidence of each provenance
+const provenances = {
+  measured: 1,
+  defaulted: 0,
+  errored: 0
+};
+
+// Issues or pull requests a rate needs to be measured with full confidence
+const fullSample = 5;
+
+// Score and provenance of a sub-metric from its scorer's result
+//
+// A scorer returns null when it has nothing to judge; the fallback score
+// then stands in, as defaulted.
+function scoredProvenance(measured, fallback) {
+  return measured === null
+    ? { score: fallback, provenance: 'defaulted' }
+    : { score: measured, provenance: 'measured' };
+}
+
+// Provenance and confidence of a rate measured on `count` items
+function sampleProvenance(count) {
+  return {
+    provenance: count > 0 ? 'measured' : 'defaulted',
+    confidence: Math.min(1, count / fullSample)
+  };
+}
+
+// Provenance and confidence of each enabled sub-metric of a component result
+//
+// Analyses that record no provenance are taken as measured.
+function describeProvenance(result) {
+  return Object.fromEntries(result.subMetrics.map(metric => {
+    const analysis = result[metric.analysis] || {};
+    const provenance = analysis.provenance in provenances ? analysis.provenance : 'measured';
+    const confidence = typeof analysis.confidence === 'number'
+      ? Math.max(0, Math.min(1, analysis.confidence))
+      : provenances[provenance];
+    
+    return [metric.key, { provenance, confidence }];
+  }));
+}
+
+// Weighted mean confidence of a component's sub-metrics
+//
+// `confidences` maps sub-metric keys to their confidence; a component with
+// no weighted sub-metrics does not constrain Δ−p, and is fully confident.
+function componentConfidence(confidences, subMetrics) {
+  const total = subMetrics.reduce((sum, metric) => sum + metric.weight, 0);
+  if (total === 0) return 1;
+  
+  return subMetrics.reduce((sum, metric) => sum + (confidences[metric.key] ?? 1) * metric.weight, 0) / total;
+}
+
+// Confidence of the components and overall, from their sub-metrics' provenance
+//
+// `subMetrics` maps component names to their weighted sub-metrics.
+function describeConfidence(provenance, subMetrics, weights) {
+  const components = {};
+  for (const name of Object.values(componentNames)) {
+    const confidences = Object.fromEntries(Object.entries(provenance[name] || {})
+      .map(([key, metric]) => [key, metric.confidence]));
+    components[name] = componentConfidence(confidences, subMetrics[name]);
+  }
+  
+  return { overall: overallConfidence(components, weights), components };
+}
+
+// Overall confidence: the component confidences, weighted like the components
+function overallConfidence(components, weights) {
+  const entries = Object.entries(componentNames).map(([component, name]) => [components[name], weights[component]]);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) return 1;
+  
+  return entries.reduce((sum, [confidence, weight]) => sum + confidence * weight, 0) / total;
+}
+
+// List the sub-metrics of a report that were not measured, by provenance
+function unmeasuredSubMetrics(report) {
+  const unmeasured = {};
+  
+  for (const metrics of Object.values(report.provenance || {})) {
+    for (const [key, { provenance }] of Object.entries(metrics)) {
+      if (provenance !== 'measured') {
+        unmeasured[provenance] = [...(unmeasured[provenance] || []), key];
+      }
+    }
+  }
+  
+  return unmeasured;
+}
+
+module.exports = {
+  provenances,
+  scoredProvenance,
+  sampleProvenance,
+  describeProvenance,
+  componentConfidence,
+  describeConfidence,
+  overallConfidence,
+  unmeasuredSubMetrics
+};
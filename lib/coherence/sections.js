@@ -0,0 +1,172 @@
+// sections.js
+//
+// Per-file and per-section coherence scores.
+//
+// Every S, B and λ analyzer records located observations (a paragraph, a
+// citation, a claim, a term use...) with the counts its score is built from,
+// and exports a scorer that turns any subset of them into a score. The
+// article-level sub-metric is the scorer applied to all observations; a
+// section's is the scorer applied to the observations inside it. A scorer
+// returns null when a section holds nothing it can judge.
+//
+// Feedback Responsiveness is measured on the repository, not the text, so
+// sections inherit the article's F score.
+//
+// A file whose front matter overrides the policy (see policy.js) has itself
+// and its sections scored with its own weights, sub-metric weights and
+// analyzers; such nodes record the file the override came from and the
+// overall threshold it sets.
+
+const { parseBlocks } = require('../markdown');
+
+// Sum the numeric fields of a list of observations
+function sumObservations(observations) {
+  const totals = {};
+  
+  for (const observation of observations) {
+    for (const [key, value] of Object.entries(observation)) {
+      if (typeof value === 'number' && key !== 'line' && key !== 'column') {
+        totals[key] = (totals[key] || 0) + value;
+      }
+    }
+  }
+  
+  return totals;
+}
+
+// Collect the located observations of every sub-metric, tagged with its key
+function collectObservations(components) {
+  const observations = [];
+  for (const component of components) {
+    for (const metric of component.subMetrics) {
+      const analysis = component.result[metric.analysis] || {};
+      for (const observation of analysis.observations || []) {
+        observations.push({ ...observation, metric: metric.key });
+      }
+    }
+  }
+  return observations;
+}
+
+// Build the section tree for meta/coherence.json
+//
+// `components` lists the S, B and λ results with their component key
+// (signal...) and sub-metric descriptors ({ key, weight, analysis, score });
+// `combine(scores, config)` turns component scores into an overall score,
+// with the file's own configuration or null for the repository's.
+// `articleConfigs` maps files to the configuration their front matter sets.
+// Each file gets a node, each heading a child node, and files that only hold
+// observations (a data manifest, say) a node without children.
+function buildSectionTree(articles, components, combine, articleConfigs = {}) {
+  const observations = collectObservations(components);
+  
+  const files = articles.map(article => fileNode(article));
+  for (const file of new Set(observations.map(observation => observation.file))) {
+    if (file && !files.some(node => node.file === file)) {
+      files.push({ title: file, file, level: 0, line: 1, endLine: Infinity, children: [] });
+    }
+  }
+  
+  const score = (node, config) => {
+    const inside = observations.filter(observation =>
+      observation.file === node.file && observation.line >= node.line && observation.line <= node.endLine);
+    
+    const subMetrics = {};
+    const componentScores = {};
+    
+    for (const component of components) {
+      let weighted = 0;
+      let weights = 0;
+      
+      for (const metric of component.subMetrics) {
+        const value = metric.score(
+          inside.filter(observation => observation.metric === metric.key),
+          component.result[metric.analysis] || {}
+        );
+        subMetrics[metric.key] = value;
+        
+        const weight = config ? articleWeight(config, component.component, metric.key) : metric.weight;
+        if (value !== null) {
+          weighted += value * weight;
+          weights += weight;
+        }
+      }
+      
+      componentScores[component.name] = weights > 0 ? weighted / weights : null;
+    }
+    
+    // Components a section says nothing about count at the article's level
+    const overallScore = combine(Object.fromEntries(components.map(component => [
+      component.name,
+      componentScores[component.name] === null ? component.result.score : componentScores[component.name]
+    ])), config);
+    
+    return {
+      title: node.title,
+      file: node.file,
+      level: node.level,
+      line: node.line,
+      endLine: Number.isFinite(node.endLine) ? node.endLine : null,
+      overallScore,
+      ...(config ? { policy: node.file, threshold: config.thresholds.overall } : {}),
+      components: componentScores,
+      subMetrics,
+      observations: inside.length,
+      children: node.children.map(child => score(child, config))
+    };
+  };
+  
+  return files.map(node => score(node, articleConfigs[node.file] || null));
+}
+
+// Weight of a sub-metric under a file's own configuration
+function articleWeight(config, component, key) {
+  if (config.analyzers[key] === false) return 0;
+  return (config.subMetrics[component] || {})[key] ?? 0;
+}
+
+// Nest an article's headings into a tree of line ranges
+function fileNode(article) {
+  const root = {
+    title: (article.metadata && article.metadata.title) || article.file,
+    file: article.file,
+    level: 0,
+    line: 1,
+    endLine: Infinity,
+    children: []
+  };
+  const stack = [root];
+  
+  for (const block of parseBlocks(article.content, article.lineOffset || 0)) {
+    if (block.type !== 'heading') continue;
+    
+    while (stack.length > 1 && stack[stack.length - 1].level >= block.level) {
+      stack.pop().endLine = block.line - 1;
+    }
+    
+    const node = { title: block.text, file: article.file, level: block.level, line: block.line, endLine: Infinity, children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+  
+  return root;
+}
+
+// Flatten a section tree into its heading sections, weakest first
+function weakestSections(tree, limit = 3) {
+  const sections = [];
+  const walk = node => {
+    if (node.level > 0 && node.observations > 0) sections.push(node);
+    node.children.forEach(walk);
+  };
+  tree.forEach(walk);
+  
+  return sections.sort((a, b) => a.overallScore - b.overallScore).slice(0, limit);
+}
+
+module.exports = {
+  sumObservations,
+  collectObservations,
+  buildSectionTree,
+  weakestSections
+};
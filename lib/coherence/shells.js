@@ -0,0 +1,31 @@
+// shells.js
+//
+// Critique shells: the issue templates readers file critiques with. Each
+// shell type is recognised by its label, or failing that by the title prefix
+// its template sets; issues that match neither are "other".
+
+// Critique shell types, by label and title prefix
+const critiqueShells = {
+  semantic: { label: 'critique:semantic', title: /^\[SEMANTIC\]/i },
+  empirical: { label: 'critique:empirical', title: /^\[EMPIRICAL\]/i },
+  coherence: { label: 'critique:coherence', title: /^\[COHERENCE\]/i },
+  extension: { label: 'critique:extension', title: /^\[EXTENSION\]/i },
+  residue: { label: 'meta:residue', title: /^\[RESIDUE\]/i }
+};
+
+const shellTypes = [...Object.keys(critiqueShells), 'other'];
+
+// Classify an issue as one of the critique shells, or "other"
+function critiqueShell(issue) {
+  const labels = (issue.labels || []).map(label => typeof label === 'string' ? label : label.name);
+  const match = Object.entries(critiqueShells).find(([, shell]) =>
+    labels.includes(shell.label) || shell.title.test(issue.title || ''));
+  
+  return match ? match[0] : 'other';
+}
+
+module.exports = {
+  critiqueShells,
+  shellTypes,
+  critiqueShell
+};
@@ -0,0 +1,756 @@
+// signal.js
+//
+// S(p): Signal Alignment - how well assertions align with evidence
+
+const fs = require('fs');
+const { createContext, resolvePath } = require('../context');
+const { findFiles, parseArticleContents } = require('../articles');
+const { parseBlocks, locate, splitSentences, extractSentences } = require('../markdown');
+const { loadBibliography } = require('../bibtex');
+const { escapeRegExp } = require('../text');
+const { sumObservations } = require('./sections');
+const { scoredProvenance } = require('./provenance');
+const { cachedAnalysis, fileFingerprint } = require('../cache');
+const { resolveSubMetrics, weightedScore } = require('../policy');
+const { runAnalyzers } = require('../analyzers');
+const {
+  loadDataManifest,
+  parseChecksum,
+  hashFile,
+  normalizeSchema,
+  readRecords,
+  validateSchema
+} = require('../data');
+const {
+  readResultsManifest,
+  locateDeclaration,
+  findResultQuotes,
+  parseQuotedNumber,
+  readOutputValue,
+  compareQuotedValue,
+  lastModified
+} = require('../results');
+
+// Sub-metrics of S, weighted by config.subMetrics.signal; see sections.js for
+// per-section scoring and analyzers.js for the plugins that add to them
+const signalSubMetrics = [
+  {
+    key: 'citationScore',
+    analysis: 'citations',
+    score: scoreCitations,
+    recommendation: 'Strengthen citation network by adding more references to support claims'
+  },
+  {
+    key: 'claimsScore',
+    analysis: 'claimAnalysis',
+    score: scoreClaims,
+    recommendation: 'Address unsupported claims by providing evidence or clarifying as hypotheses'
+  },
+  {
+    key: 'dataScore',
+    analysis: 'dataIntegrity',
+    score: scoreData,
+    recommendation: 'Improve data integrity by including source data and validation steps'
+  },
+  {
+    key: 'codeScore',
+    analysis: 'codeConsistency',
+    score: scoreCode,
+    recommendation: 'Ensure code and results are consistent by updating analysis or clarifying discrepancies'
+  }
+];
+
+// Calculate Signal Alignment (S) - how well assertions align with evidence
+async function calculateSignalAlignment(options, articles = null) {
+  const ctx = createContext(options);
+  ctx.logger.log('📊 Calculating Signal Alignment (S)...');
+  
+  // 1. Parse article contents
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  // 2. Analyze citation connections against the bibliography
+  const bibliography = await loadBibliography(ctx);
+  const citationAnalysis = analyzeArticleCitations(articles, bibliography);
+  
+  // 3. Check for unsupported claims
+  const unsupportedClaims = findUnsupportedClaims(articles);
+  
+  // 4. Analyze data integrity
+  const dataIntegrity = await analyzeDataIntegrity(ctx, articles);
+  
+  // 5. Evaluate code-result consistency
+  const codeConsistency = await evaluateCodeConsistency(ctx, articles);
+  
+  // 6. Run the plugin analyzers that feed S
+  const plugins = await runAnalyzers(ctx, 'signal', articles);
+  
+  // Calculate signal alignment score
+  const citationScore = citationAnalysis.score;
+  const claimsScore = unsupportedClaims.score;
+  const dataScore = dataIntegrity.score;
+  const codeScore = codeConsistency.score;
+  
+  // Weighted average of the enabled factors
+  const components = { citationScore, claimsScore, dataScore, codeScore, ...plugins.components };
+  const subMetrics = resolveSubMetrics(ctx.config, 'signal', [...signalSubMetrics, ...plugins.subMetrics]);
+  const score = weightedScore(components, subMetrics);
+  
+  const details = [
+    `Citation network density: ${citationAnalysis.density.toFixed(2)}`,
+    `Unresolved citation keys: ${citationAnalysis.unresolved.length}`,
+    `Unsupported claims: ${unsupportedClaims.unsupportedClaims}`,
+    `Data integrity score: ${dataScore.toFixed(2)} (${dataIntegrity.verified}/${dataIntegrity.datasets.length} datasets verified)`,
+    `Code-result consistency: ${codeScore.toFixed(2)} (${codeConsistency.verified}/${codeConsistency.entries} results verified)`,
+    ...plugins.details
+  ];
+  
+  const analyses = {
+    citations: citationAnalysis,
+    claimAnalysis: unsupportedClaims,
+    dataIntegrity,
+    codeConsistency,
+    ...plugins.analyses
+  };
+  
+  return {
+    score,
+    details,
+    components,
+    subMetrics,
+    ...analyses,
+    unsupportedClaims: unsupportedClaims.claims,
+    // Disabled analyzers report nothing
+    diagnostics: subMetrics.flatMap(metric => analyses[metric.analysis].diagnostics || [])
+  };
+}
+
+// Analyze citation connections
+//
+// Recognises footnote references ([^key]), Pandoc citations ([@key; @other])
+// and LaTeX \cite{key} forms. Footnote keys resolve against footnote
+// definitions or bibliography entries; the other forms against the
+// bibliography. Only resolved citations count towards density.
+function analyzeArticleCitations(articles, bibliography = { entries: [] }) {
+  const bibKeys = new Map();
+  const duplicateEntries = [];
+  const entriesByDoi = new Map();
+  
+  // Index bibliography entries, noting duplicate keys and DOIs
+  for (const entry of bibliography.entries) {
+    const original = bibKeys.get(entry.key);
+    if (original) {
+      duplicateEntries.push({ key: entry.key, file: entry.file, line: entry.line, reason: 'key', duplicateOf: { file: original.file, line: original.line } });
+      continue;
+    }
+    bibKeys.set(entry.key, entry);
+    
+    const doi = entry.fields.doi && entry.fields.doi.toLowerCase();
+    if (doi && entriesByDoi.has(doi)) {
+      const first = entriesByDoi.get(doi);
+      duplicateEntries.push({ key: entry.key, file: entry.file, line: entry.line, reason: 'doi', duplicateOf: { key: first.key, file: first.file, line: first.line } });
+    } else if (doi) {
+      entriesByDoi.set(doi, entry);
+    }
+  }
+  
+  // Collect citation occurrences, footnote definitions and per-section counts
+  const occurrences = [];
+  const observations = [];
+  const footnoteLabels = new Set();
+  const sections = [];
+  let totalParagraphs = 0;
+  
+  articles.forEach(article => {
+    let section = { file: article.file, title: article.metadata?.title || article.file, level: 0, line: (article.lineOffset || 0) + 1, citations: 0, resolvedCitations: 0, paragraphs: 0 };
+    sections.push(section);
+    
+    for (const block of parseBlocks(article.content, article.lineOffset || 0)) {
+      if (block.type === 'heading') {
+        section = { file: article.file, title: block.text, level: block.level, line: block.line, citations: 0, resolvedCitations: 0, paragraphs: 0 };
+        sections.push(section);
+        continue;
+      }
+      
+      if (block.type === 'footnote') {
+        footnoteLabels.add(block.label);
+        continue;
+      }
+      
+      if (block.type === 'paragraph' || block.type === 'list-item') {
+        section.paragraphs++;
+        totalParagraphs++;
+        // Claims are what citations support, so sections without any are not judged on them
+        const claims = splitSentences(block).filter(sentence => claimRegex.test(sentence.text)).length;
+        observations.push({ file: article.file, line: block.line, paragraphs: 1, claims });
+      }
+      
+      for (const citation of findCitations(block)) {
+        occurrences.push({ ...citation, file: article.file, section });
+      }
+    }
+  });
+  
+  const citedKeys = new Set();
+  const unresolved = [];
+  let resolvedCitations = 0;
+  
+  for (const occurrence of occurrences) {
+    const resolved = bibKeys.has(occurrence.key) ||
+      (occurrence.form === 'footnote' && footnoteLabels.has(occurrence.key));
+    
+    citedKeys.add(occurrence.key);
+    occurrence.section.citations++;
+    
+    if (resolved) {
+      resolvedCitations++;
+      occurrence.section.resolvedCitations++;
+      observations.push({ file: occurrence.file, line: occurrence.line, resolved: 1 });
+    } else {
+      unresolved.push({ key: occurrence.key, form: occurrence.form, file: occurrence.file, line: occurrence.line, column: occurrence.column });
+    }
+  }
+  
+  const unusedEntries = [...bibKeys.values()]
+    .filter(entry => !citedKeys.has(entry.key))
+    .map(entry => ({ key: entry.key, file: entry.file, line: entry.line }));
+  
+  // Calculate network density based on resolved citations per paragraph
+  const density = totalParagraphs > 0 ? resolvedCitations / totalParagraphs : 0;
+  
+  
+  const diagnostics = [
+    ...unresolved.map(u => ({
+      rule: 'citation/unresolved-key',
+      severity: 'error',
+      file: u.file,
+      line: u.line,
+      column: u.column,
+      message: `Citation key "${u.key}" does not match any bibliography entry${u.form === 'footnote' ? ' or footnote definition' : ''}`
+    })),
+    ...duplicateEntries.map(d => ({
+      rule: 'citation/duplicate-entry',
+      severity: 'warning',
+      file: d.file,
+      line: d.line,
+      column: 1,
+      message: d.reason === 'key'
+        ? `Bibliography key "${d.key}" is already defined at ${d.duplicateOf.file}:${d.duplicateOf.line}`
+        : `Bibliography entry "${d.key}" has the same DOI as "${d.duplicateOf.key}" (${d.duplicateOf.file}:${d.duplicateOf.line})`
+    })),
+    ...unusedEntries.map(e => ({
+      rule: 'citation/unused-entry',
+      severity: 'info',
+      file: e.file,
+      line: e.line,
+      column: 1,
+      message: `Bibliography entry "${e.key}" is never cited`
+    })),
+    ...(bibliography.errors || []).map(e => ({
+      rule: 'citation/bibtex-syntax',
+      severity: 'warning',
+      file: e.file,
+      line: e.line,
+      column: 1,
+      message: e.message
+    }))
+  ];
+  
+  return {
+    citations: occurrences.length,
+    resolvedCitations,
+    paragraphs: totalParagraphs,
+    density,
+    ...scoredProvenance(scoreCitations(observations), 0),
+    unresolved,
+    unusedEntries,
+    duplicateEntries,
+    sections: sections
+      .filter(section => section.paragraphs > 0 || section.citations > 0)
+      .map(section => ({
+        ...section,
+        density: section.paragraphs > 0 ? section.resolvedCitations / section.paragraphs : 0
+      })),
+    observations,
+    diagnostics
+  };
+}
+
+// Score citation density: resolved citations per paragraph
+//
+// Text that makes no claims and cites nothing (a methods description, say)
+// has nothing to judge; at the article level that still scores 0.
+function scoreCitations(observations) {
+  const totals = sumObservations(observations);
+  if (!totals.paragraphs || (!totals.claims && !totals.resolved)) return null;
+  
+  // 0.5 citations per paragraph is considered optimal
+  return Math.min(1, (totals.resolved || 0) / totals.paragraphs / 0.5);
+}
+
+// Find citation occurrences in a block, with their file positions
+function findCitations(block) {
+  const citations = [];
+  const add = (key, form, offset) => {
+    citations.push({ key, form, ...locate(block, offset) });
+  };
+  
+  for (const match of block.text.matchAll(/\[\^([^\]\s]+)\]/g)) {
+    add(match[1], 'footnote', match.index);
+  }
+  
+  // Pandoc: [@key], [see @key, p. 3; -@other]
+  for (const match of block.text.matchAll(/\[([^\[\]^]*@[^\[\]]*)\]/g)) {
+    for (const key of match[1].matchAll(/(^|[\s;-])@([A-Za-z0-9_][\w:.#$%&+?<>~/-]*)/g)) {
+      add(key[2].replace(/[.:]+$/, ''), 'pandoc', match.index + 1 + key.index + key[1].length);
+    }
+  }
+  
+  // LaTeX: \cite{a,b}, \citep[p. 3]{a}
+  for (const match of block.text.matchAll(/\\(?:cite|citep|citet|parencite|textcite|autocite|footcite)\*?(?:\[[^\]]*\])*\{([^}]+)\}/g)) {
+    for (const key of match[1].split(',')) {
+      if (key.trim()) add(key.trim(), 'latex', match.index);
+    }
+  }
+  
+  return citations;
+}
+
+// Words and phrases that mark a sentence as an evidential claim
+const claimCues = [
+  'show[s]?', 'shown', 'demonstrat(e|es|ed)', 'prove[sn]?', 'proved', 'evidence',
+  'find(s|ing|ings)?', 'found', 'suggest(s|ed)?', 'indicat(e|es|ed)', 'reveal(s|ed)?',
+  'establish(es|ed)?', 'confirm(s|ed)?', 'conclude[sd]?', 'well[- ]known',
+  'it is known', 'research shows', 'studies (show|indicate)'
+];
+
+const claimRegex = new RegExp(`\\b(${claimCues.join('|')})\\b`, 'i');
+
+// Citations, links and references to the article's own figures, tables and equations
+const supportRegex = /\[\^[^\]]+\]|\[@[^\]]+\]|\\cite[a-z]*\{[^}]+\}|\]\([^)]+\)|\b([Ff]ig(ure)?s?|[Tt]ables?|[Ee]qs?|[Ee]quations?|[Aa]ppendix)\.?\s*\(?(\d|[A-Z]\b)/;
+
+// Find unsupported claims
+function findUnsupportedClaims(articles) {
+  let totalClaims = 0;
+  const claims = [];
+  const observations = [];
+  
+  articles.forEach(article => {
+    const sentences = extractSentences(article.content, article.lineOffset || 0);
+    
+    sentences.forEach((sentence, index) => {
+      // Check if sentence contains claim indicators
+      const cue = sentence.text.match(claimRegex);
+      if (!cue) return;
+      
+      totalClaims++;
+      
+      // Supported if the sentence, or the next one in the same block, cites evidence
+      const next = sentences[index + 1];
+      const hasSupport = supportRegex.test(sentence.text) ||
+        (next && next.block === sentence.block && supportRegex.test(next.text));
+      observations.push({ file: article.file, line: sentence.line, claims: 1, unsupported: hasSupport ? 0 : 1 });
+      
+      if (!hasSupport) {
+        claims.push({
+          file: article.file,
+          line: sentence.line,
+          column: sentence.column,
+          cue: cue[0],
+          text: sentence.text
+        });
+      }
+    });
+  });
+  
+  const unsupportedRate = totalClaims > 0 ? claims.length / totalClaims : 0;
+  
+  return {
+    totalClaims,
+    unsupportedClaims: claims.length,
+    unsupportedRate,
+    ...scoredProvenance(scoreClaims(observations), 1),
+    claims,
+    observations,
+    diagnostics: claims.map(claim => ({
+      rule: 'claim/unsupported',
+      severity: 'warning',
+      file: claim.file,
+      line: claim.line,
+      column: claim.column,
+      message: `Unsupported claim "${claim.text.length > 80 ? `${claim.text.slice(0, 77)}...` : claim.text}": cite evidence or state it as a hypothesis`
+    }))
+  };
+}
+
+// Score claims - lower is better for unsupported claims
+function scoreClaims(observations) {
+  const totals = sumObservations(observations);
+  if (!totals.claims) return null;
+  
+  // Allow up to 50% unsupported claims for a 0 score
+  return Math.max(0, 1 - Math.min(1, (totals.unsupported / totals.claims) * 2));
+}
+
+// Analyze data integrity
+//
+// Checks the data manifest (see data.js): every declared dataset must exist,
+// match its checksum and schema, name its source and license, and be
+// referenced from the article; every file under data/raw and data/processed
+// must be declared. Each check that fails is its own diagnostic, and the
+// score is the share of checks that pass. Without a manifest the data cannot
+// be verified and scores 0.5.
+async function analyzeDataIntegrity(options, articles = null) {
+  const ctx = createContext(options);
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  const dataDir = ctx.config.paths.data;
+  const dataFiles = await findFiles(ctx, `${dataDir}{raw,processed}/**/*`);
+  const diagnostics = [];
+  
+  let manifest;
+  let provenance = 'defaulted';
+  try {
+    manifest = await loadDataManifest(ctx);
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not read data manifest:', error.message);
+    manifest = null;
+    provenance = 'errored';
+  }
+  
+  if (!manifest) {
+    if (dataFiles.length > 0) {
+      diagnostics.push({
+        rule: 'data/missing-manifest',
+        severity: 'warning',
+        file: dataFiles[0],
+        line: 1,
+        column: 1,
+        message: `${dataFiles.length} data file(s) have no manifest; declare them in ${ctx.config.paths.dataManifest}`
+      });
+    }
+    
+    return {
+      manifest: null,
+      dataFiles: dataFiles.length,
+      datasets: [],
+      verified: 0,
+      score: 0.5,
+      provenance,
+      observations: [],
+      diagnostics
+    };
+  }
+  
+  const articleText = articles.map(article => `${article.content}\n${JSON.stringify(article.metadata)}`).join('\n');
+  const datasets = [];
+  const observations = [];
+  
+  for (const dataset of manifest.datasets) {
+    const result = { id: dataset.id, path: dataset.path, failures: [] };
+    const location = { file: manifest.file, line: dataset.line, column: 1 };
+    const check = (passed, rule, severity, message, at = location) => {
+      observations.push({ file: at.file, line: at.line, checks: 1, failed: passed ? 0 : 1 });
+      if (passed) return true;
+      result.failures.push(rule);
+      diagnostics.push({ rule, severity, ...at, message });
+      return false;
+    };
+    
+    datasets.push(result);
+    
+    check(dataset.source, 'data/missing-source', 'warning', `Dataset "${dataset.id}" does not declare its source`);
+    check(dataset.license, 'data/missing-license', 'warning', `Dataset "${dataset.id}" does not declare a license`);
+    
+    const basename = dataset.path.split('/').pop();
+    check(
+      [dataset.path, basename].some(name => articleText.includes(name)) ||
+        new RegExp(`\\b${escapeRegExp(dataset.id)}\\b`).test(articleText),
+      'data/unreferenced',
+      'warning',
+      `Dataset "${dataset.id}" is not referenced from the article`
+    );
+    
+    if (!check(fs.existsSync(resolvePath(ctx, dataset.path)), 'data/missing-file', 'error', `Dataset file not found: ${dataset.path}`)) {
+      continue;
+    }
+    
+    // Hashing and reading large datasets is the expensive part, so it is cached
+    const checksum = parseChecksum(dataset);
+    const columns = normalizeSchema(dataset.schema);
+    const verification = cachedAnalysis(
+      ctx,
+      dataset.path,
+      () => fileFingerprint(ctx, dataset.path),
+      'dataset',
+      { checksum, columns },
+      () => verifyDataset(ctx, dataset.path, checksum, columns)
+    );
+    
+    if (check(checksum, 'data/missing-checksum', 'warning', `Dataset "${dataset.id}" has no checksum`)) {
+      const actual = verification.digest;
+      check(
+        actual === checksum.digest,
+        'data/checksum-mismatch',
+        'error',
+        `${dataset.path} does not match its ${checksum.algorithm} checksum (got ${actual})`
+      );
+    }
+    
+    const problems = verification.problems;
+    if (problems) {
+      observations.push({
+        file: dataset.path,
+        line: problems.length > 0 ? problems[0].line : 1,
+        checks: 1,
+        failed: problems.length > 0 ? 1 : 0
+      });
+      for (const problem of problems) {
+        result.failures.push('data/schema-mismatch');
+        diagnostics.push({
+          rule: 'data/schema-mismatch',
+          severity: 'error',
+          file: dataset.path,
+          line: problem.line,
+          column: 1,
+          message: `${dataset.path} does not match its declared schema: ${problem.message}`
+        });
+      }
+    }
+  }
+  
+  // Every raw and processed file needs provenance
+  const declared = new Set(manifest.datasets.map(dataset => dataset.path.replace(/^\.\//, '')));
+  const undeclared = dataFiles.filter(file => !declared.has(file));
+  for (const file of undeclared) {
+    observations.push({ file, line: 1, checks: 1, failed: 1 });
+    diagnostics.push({
+      rule: 'data/undeclared-file',
+      severity: 'warning',
+      file,
+      line: 1,
+      column: 1,
+      message: `${file} is not declared in ${manifest.file}`
+    });
+  }
+  
+  return {
+    manifest: manifest.file,
+    dataFiles: dataFiles.length,
+    datasets,
+    verified: datasets.filter(dataset => dataset.failures.length === 0).length,
+    undeclared,
+    ...scoredProvenance(scoreData(observations), 0.5),
+    observations,
+    diagnostics
+  };
+}
+
+// Hash a dataset and check it against its declared schema
+function verifyDataset(ctx, file, checksum, columns) {
+  let digest = null;
+  if (checksum) {
+    try {
+      digest = hashFile(ctx, file, checksum.algorithm);
+    } catch (error) {
+      digest = `unsupported algorithm ${checksum.algorithm}`;
+    }
+  }
+  
+  let problems = null;
+  if (columns && /\.(csv|tsv|json)$/i.test(file)) {
+    try {
+      const { header, records } = readRecords(ctx, file);
+      problems = validateSchema(header, records, columns);
+    } catch (error) {
+      problems = [{ line: 1, message: `could not be read (${error.message})` }];
+    }
+  }
+  
+  return { digest, problems };
+}
+
+// Score data integrity: the share of manifest checks that pass
+function scoreData(observations) {
+  const totals = sumObservations(observations);
+  return totals.checks ? (totals.checks - totals.failed) / totals.checks : null;
+}
+
+// Evaluate code-result consistency
+//
+// Checks each entry of the front-matter `results` manifest (see results.js):
+// the script and output must exist, the output must not be older than the
+// script, and every value quoted in the text must match the output within
+// tolerance. Without a manifest the result cannot be verified and scores 0.5.
+async function evaluateCodeConsistency(options, articles = null) {
+  const ctx = createContext(options);
+  
+  if (!articles) {
+    articles = await parseArticleContents(ctx);
+  }
+  
+  const entries = readResultsManifest(articles);
+  const quotes = findResultQuotes(articles);
+  const diagnostics = [];
+  const results = [];
+  
+  if (entries.length === 0) {
+    if (quotes.length > 0) {
+      diagnostics.push(...quotes.map(quote => ({
+        rule: 'result/unknown-id',
+        severity: 'error',
+        file: quote.file,
+        line: quote.line,
+        column: quote.column,
+        message: `Quoted result "${quote.id}" is not declared in a results manifest`
+      })));
+    }
+    
+    const observations = unknownResultObservations(quotes);
+    
+    return {
+      entries: 0,
+      verified: 0,
+      quotes: quotes.length,
+      results,
+      ...scoredProvenance(scoreCode(observations), 0.5),
+      observations,
+      diagnostics
+    };
+  }
+  
+  const entryIds = new Set(entries.map(entry => entry.id));
+  
+  for (const entry of entries) {
+    const declaration = { file: entry.declaredIn, line: locateDeclaration(ctx, entry), column: 1 };
+    const entryQuotes = quotes.filter(quote => quote.id === entry.id);
+    const result = { id: entry.id, script: entry.script, output: entry.output, status: 'ok', file: declaration.file, line: declaration.line, quotes: [] };
+    const fail = (status, rule, message, location = declaration) => {
+      // A result is located where it last failed, so mismatches point at the quote
+      Object.assign(result, { status, file: location.file, line: location.line });
+      diagnostics.push({ rule, severity: 'error', ...location, message });
+    };
+    
+    results.push(result);
+    
+    if (!entry.output || !fs.existsSync(resolvePath(ctx, entry.output))) {
+      fail('missing-output', 'result/missing-output', `Output for result "${entry.id}" not found: ${entry.output || '(none declared)'}`);
+      continue;
+    }
+    
+    if (entry.script) {
+      if (!fs.existsSync(resolvePath(ctx, entry.script))) {
+        fail('missing-script', 'result/missing-script', `Script for result "${entry.id}" not found: ${entry.script}`);
+        continue;
+      }
+      
+      if (await lastModified(ctx, entry.script) > await lastModified(ctx, entry.output)) {
+        fail('stale', 'result/stale', `Output ${entry.output} is older than ${entry.script}; re-run the script to refresh result "${entry.id}"`);
+      }
+    }
+    
+    if (entryQuotes.length === 0) {
+      diagnostics.push({
+        rule: 'result/unquoted',
+        severity: 'info',
+        ...declaration,
+        message: `Result "${entry.id}" is declared but never quoted in the text`
+      });
+      continue;
+    }
+    
+    // Figures and other non-numeric outputs are checked for existence and freshness only
+    const quotedNumbers = entryQuotes
+      .map(quote => ({ quote, quoted: parseQuotedNumber(quote.text) }))
+      .filter(({ quoted }) => quoted);
+    if (quotedNumbers.length === 0) continue;
+    
+    let recorded;
+    try {
+      recorded = readOutputValue(ctx, entry);
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not read ${entry.output}:`, error.message);
+      recorded = NaN;
+    }
+    
+    if (!Number.isFinite(recorded)) {
+      fail('unreadable', 'result/unreadable-value', `Could not read a numeric value for result "${entry.id}" from ${entry.output}`);
+      continue;
+    }
+    
+    for (const { quote, quoted } of quotedNumbers) {
+      const comparison = compareQuotedValue(quoted, recorded, entry.tolerance);
+      result.quotes.push({ file: quote.file, line: quote.line, text: quote.text, ...comparison });
+      
+      if (!comparison.matches) {
+        fail('mismatch', 'result/mismatch', `Quoted "${quote.text}" for result "${entry.id}" does not match ${entry.output} (${comparison.expected})`, {
+          file: quote.file,
+          line: quote.line,
+          column: quote.column
+        });
+      }
+    }
+  }
+  
+  for (const quote of quotes.filter(quote => !entryIds.has(quote.id))) {
+    diagnostics.push({
+      rule: 'result/unknown-id',
+      severity: 'error',
+      file: quote.file,
+      line: quote.line,
+      column: quote.column,
+      message: `Quoted result "${quote.id}" is not declared in the results manifest`
+    });
+  }
+  
+  const verified = results.filter(result => result.status === 'ok').length;
+  const observations = [
+    ...results.map(result => ({ file: result.file, line: result.line, results: 1, failed: result.status === 'ok' ? 0 : 1 })),
+    ...unknownResultObservations(quotes.filter(quote => !entryIds.has(quote.id)))
+  ];
+  
+  return {
+    entries: entries.length,
+    verified,
+    stale: results.filter(result => result.status === 'stale').length,
+    mismatched: results.filter(result => result.status === 'mismatch').length,
+    quotes: quotes.length,
+    results,
+    ...scoredProvenance(scoreCode(observations), 0.5),
+    observations,
+    diagnostics
+  };
+}
+
+// One failed observation per undeclared result id, at its first quote
+function unknownResultObservations(quotes) {
+  const seen = new Set();
+  
+  return quotes
+    .filter(quote => !seen.has(quote.id) && seen.add(quote.id))
+    .map(quote => ({ file: quote.file, line: quote.line, results: 1, failed: 1 }));
+}
+
+// Score code-result consistency: the share of results that verify
+function scoreCode(observations) {
+  const totals = sumObservations(observations);
+  return totals.results ? (totals.results - totals.failed) / totals.results : null;
+}
+
+module.exports = {
+  signalSubMetrics,
+  calculateSignalAlignment,
+  analyzeArticleCitations,
+  findCitations,
+  findUnsupportedClaims,
+  analyzeDataIntegrity,
+  evaluateCodeConsistency,
+  scoreCitations,
+  scoreClaims,
+  scoreData,
+  scoreCode
+};
@@ -0,0 +1,102 @@
+// config.js
+//
+// Default configuration shared by the coherence check, attribution map,
+// residue analysis and coherence report. A coherence.config.(json|yml|js)
+// policy file in the article repository overrides it (see policy.js), and
+// callers override any subset of both through the `config` option; nested
+// objects are merged key by key.
+
+const defaultConfig = {
+  thresholds: {
+    signal: 0.7,      // Minimum signal alignment score
+    feedback: 0.7,    // Minimum feedback responsiveness score
+    bounded: 0.7,     // Minimum bounded integrity score
+    elastic: 0.7,     // Minimum elastic tolerance score
+    overall: 0.7,     // Minimum overall coherence score
+    confidence: 0     // Minimum overall confidence for the check to pass or fail
+  },
+  weights: {
+    signal: 1.0,      // Weight for signal alignment
+    feedback: 1.0,    // Weight for feedback responsiveness
+    bounded: 1.0,     // Weight for bounded integrity
+    elastic: 1.0      // Weight for elastic tolerance
+  },
+  // How the components combine into Δ−p: product, geometric, harmonic,
+  // min-gated or confidence (see coherence/aggregate.js)
+  aggregation: {
+    method: 'geometric',
+    gate: 0.5         // Lowest component score min-gated allows before capping Δ−p
+  },
+  // Weight of each sub-metric within its component; each component's
+  // weights are normalised, so they need not sum to 1
+  subMetrics: {
+    signal: { citationScore: 0.3, claimsScore: 0.3, dataScore: 0.2, codeScore: 0.2 },
+    feedback: { openIssuesScore: 0.2, issueResolutionScore: 0.3, prReviewScore: 0.3, historyScore: 0.2, latencyScore: 0.2 },
+    bounded: { scopeScore: 0.3, driftScore: 0.3, termScore: 0.2, methodScore: 0.2 },
+    elastic: { contradictionScore: 0.25, perspectiveScore: 0.25, uncertaintyScore: 0.25, limitationScore: 0.25 }
+  },
+  // Service levels for critique shells, in days: how soon an issue should get
+  // a first author response and be closed; `shells` overrides them per shell
+  // type, e.g. { empirical: { resolution: 60 } }
+  sla: {
+    firstResponse: 7,
+    resolution: 30,
+    shells: {}
+  },
+  // Analyzers to leave out, by the sub-metric they produce: { codeScore: false }
+  analyzers: {},
+  // Analyzer plugin modules, as paths or package names (see analyzers.js)
+  plugins: [],
+  paths: {
+    content: 'content/',
+    meta: 'meta/',
+    issues: '.github/ISSUE_TEMPLATE/',
+    bibliography: 'content/**/*.bib',
+    data: 'data/',
+    dataManifest: 'data/manifest.{yml,yaml,json}',
+    glossary: 'glossary.{yml,yaml,json}',
+    lexicon: 'wiki/*{Lexicon,Glossary}*.md',
+    metadata: 'content/metadata.{yml,yaml}',
+    codeowners: '{.github/,docs/,}CODEOWNERS',
+    mailmap: '.mailmap',
+    coherenceOutput: 'meta/coherence.json',
+    coherenceDiffOutput: 'meta/coherence-diff.json',
+    attributionOutput: 'meta/attribution.json',
+    residueOutput: 'meta/residue.json',
+    coherenceHistory: 'meta/coherence-history.json',
+    coherenceReport: 'meta/coherence-report.json',
+    snapshot: 'meta/snapshot/',
+    cache: '.cache/coherence.json'
+  },
+  reportPeriod: {
+    days: 7 // Weekly report by default
+  }
+};
+
+// Merge configuration overrides into a copy of the defaults
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value === undefined) continue;
+    
+    if (isPlainObject(value) && isPlainObject(base[key])) {
+      merged[key] = mergeConfig(base[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  
+  return merged;
+}
+
+// Check whether a value is a plain object (not an array or null)
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  defaultConfig,
+  mergeConfig,
+  isPlainObject
+};
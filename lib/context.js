@@ -0,0 +1,80 @@
+// context.js
+//
+// Every library function takes a context describing the article repository it
+// works on: where it lives on disk, which GitHub repository backs it, the
+// effective configuration (defaults, the repository's coherence policy and the
+// caller's overrides; see policy.js), the forge provider and logger to use,
+// whether results are written to meta/, and the per-file analysis cache (see
+// cache.js).
+
+const path = require('path');
+const { defaultConfig, mergeConfig } = require('./config');
+const { createGitHubForge, createSnapshotForge, memoizeForge } = require('./forge');
+const { loadPolicy } = require('./policy');
+const { analyzerWeights } = require('./analyzers');
+
+// Create a context from caller options, falling back to the environment
+function createContext(options = {}) {
+  // Already a context - pass it through unchanged
+  if (options.isContext) {
+    return options;
+  }
+  
+  const cwd = path.resolve(options.cwd || process.cwd());
+  const repository = options.repository || process.env.GITHUB_REPOSITORY || 'recursive-distill/test-article';
+  const [owner, repo] = repository.split('/');
+  
+  // Only talk to GitHub when no other forge provider was given
+  const offline = Boolean(options.forge || options.snapshot);
+  const octokit = options.octokit || (offline ? null : createOctokit(options.token));
+  
+  // `policy: false` skips the policy file, a path names one explicitly;
+  // `plugins` adds analyzer plugins to those the policy lists
+  const policyFile = typeof options.policy === 'string' || options.policy === false ? options.policy : null;
+  const policy = loadPolicy(cwd, policyFile, options.plugins);
+  
+  let forge = options.forge;
+  if (!forge) {
+    forge = options.snapshot
+      ? createSnapshotForge(path.resolve(cwd, options.snapshot))
+      : createGitHubForge({ octokit, owner, repo });
+  }
+  
+  return {
+    isContext: true,
+    cwd,
+    owner,
+    repo,
+    version: options.version || process.env.GITHUB_SHA || 'local',
+    config: mergeConfig(mergeConfig(mergeConfig(defaultConfig, analyzerWeights(policy.plugins)), policy.policy), options.config),
+    policy: { file: policy.file, articles: [], overrides: options.config || {} },
+    plugins: policy.plugins,
+    octokit,
+    // Each listing is fetched once per run, however many analyses read it
+    forge: memoizeForge(forge),
+    logger: options.logger || console,
+    write: options.write !== false,
+    changedSince: options.changedSince || null,
+    analysisCache: options.cache === false ? null : { files: null, changed: null, dirty: false, hits: 0, misses: 0 }
+  };
+}
+
+// Create an Octokit client authenticated with the given or ambient token
+function createOctokit(token) {
+  const { Octokit } = require('@octokit/rest');
+  
+  return new Octokit({
+    auth: token || process.env.GITHUB_TOKEN,
+  });
+}
+
+// Resolve a repository-relative path against the context's working directory
+function resolvePath(ctx, relativePath) {
+  return path.resolve(ctx.cwd, relativePath);
+}
+
+module.exports = {
+  createContext,
+  createOctokit,
+  resolvePath
+};
@@ -0,0 +1,182 @@
+// data.js
+//
+// Data manifests. The manifest (data/manifest.yml by default) lists every
+// dataset the article relies on, with its provenance and expected shape:
+//
+//   datasets:
+//     - id: attention-scores
+//       path: data/raw/attention.csv
+//       checksum: sha256:9f86d081884c7d659a2feaa0c55ad015...
+//       source: https://example.org/attention-scores
+//       license: CC-BY-4.0
+//       schema:
+//         head: integer
+//         layer: integer
+//         score: number
+//
+// `schema` maps column names to types (string, number, integer, boolean,
+// date); the list form `[{ name, type, required }]` is accepted too. JSON
+// datasets are checked as arrays of records with the same fields.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { resolvePath } = require('./context');
+const { findFiles } = require('./articles');
+const { escapeRegExp, parseStructured, parseDelimited } = require('./text');
+
+const columnTypes = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' ? Number.isFinite(value) : String(value).trim() !== '' && Number.isFinite(Number(value)),
+  integer: value => Number.isInteger(typeof value === 'number' ? value : (String(value).trim() === '' ? NaN : Number(value))),
+  boolean: value => typeof value === 'boolean' || /^(true|false)$/i.test(value),
+  date: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+// Load the data manifest, or null if the repository has none
+async function loadDataManifest(ctx) {
+  const [file] = await findFiles(ctx, ctx.config.paths.dataManifest);
+  if (!file) return null;
+  
+  const text = fs.readFileSync(resolvePath(ctx, file), 'utf8');
+  const manifest = parseStructured(text, file) || {};
+  const datasets = Array.isArray(manifest.datasets) ? manifest.datasets : [];
+  const lines = text.split('\n');
+  
+  return {
+    file,
+    datasets: datasets.filter(dataset => dataset && dataset.path).map(dataset => ({
+      ...dataset,
+      id: String(dataset.id || dataset.path),
+      line: findLine(lines, dataset.path)
+    }))
+  };
+}
+
+// Line of the manifest that mentions a dataset path
+function findLine(lines, value) {
+  const pattern = new RegExp(`\\b${escapeRegExp(String(value))}\\b`);
+  const index = lines.findIndex(line => pattern.test(line));
+  return index === -1 ? 1 : index + 1;
+}
+
+// Split a checksum such as "sha256:abc..." into algorithm and digest
+function parseChecksum(dataset) {
+  for (const algorithm of ['sha256', 'sha512', 'sha1', 'md5']) {
+    if (dataset[algorithm]) {
+      return { algorithm, digest: String(dataset[algorithm]).toLowerCase() };
+    }
+  }
+  
+  if (!dataset.checksum) return null;
+  
+  const [algorithm, digest] = String(dataset.checksum).includes(':')
+    ? String(dataset.checksum).split(':')
+    : ['sha256', String(dataset.checksum)];
+  
+  return { algorithm: algorithm.toLowerCase(), digest: digest.trim().toLowerCase() };
+}
+
+// Hash a file with the given algorithm
+function hashFile(ctx, file, algorithm) {
+  return crypto.createHash(algorithm).update(fs.readFileSync(resolvePath(ctx, file))).digest('hex');
+}
+
+// Normalise a declared schema to a list of { name, type, required } columns
+function normalizeSchema(schema) {
+  if (!schema) return null;
+  
+  const columns = Array.isArray(schema)
+    ? schema
+    : Array.isArray(schema.columns)
+      ? schema.columns
+      : Object.entries(schema.columns || schema).map(([name, type]) =>
+        typeof type === 'object' ? { name, ...type } : { name, type });
+  
+  return columns.map(column => ({
+    name: String(column.name),
+    type: String(column.type || 'string').toLowerCase(),
+    required: Boolean(column.required)
+  }));
+}
+
+// Read a CSV, TSV or JSON dataset as a header and records
+//
+// Records carry their 1-based row and, for delimited files, their file line.
+function readRecords(ctx, file) {
+  const text = fs.readFileSync(resolvePath(ctx, file), 'utf8');
+  
+  if (/\.json$/i.test(file)) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new Error('expected an array of records');
+    }
+    
+    const header = [...new Set(data.flatMap(record => Object.keys(record || {})))];
+    return { header, records: data.map((record, index) => ({ values: record || {}, row: index + 1, line: 1 })) };
+  }
+  
+  const rows = parseDelimited(text.replace(/\s+$/, ''), /\.tsv$/i.test(file) ? '\t' : ',');
+  const header = (rows[0] || []).map(cell => cell.trim());
+  
+  return {
+    header,
+    records: rows.slice(1).map((row, index) => ({
+      values: Object.fromEntries(header.map((name, column) => [name, row[column] === undefined ? '' : row[column].trim()])),
+      row: index + 1,
+      line: index + 2
+    }))
+  };
+}
+
+// Check a dataset's columns and values against its declared schema
+//
+// Returns one problem per missing or undeclared column, and one per column
+// whose values do not match the declared type (reporting the first bad row).
+function validateSchema(header, records, columns) {
+  const problems = [];
+  
+  for (const column of columns) {
+    if (!header.includes(column.name)) {
+      problems.push({ line: 1, message: `missing column "${column.name}"` });
+      continue;
+    }
+    
+    const check = columnTypes[column.type];
+    if (!check) {
+      problems.push({ line: 1, message: `unknown type "${column.type}" for column "${column.name}"` });
+      continue;
+    }
+    
+    const invalid = records.filter(({ values }) => {
+      const value = values[column.name];
+      if (value === undefined || value === null || value === '') return column.required;
+      return !check(value);
+    });
+    
+    if (invalid.length > 0) {
+      problems.push({
+        line: invalid[0].line,
+        message: `${invalid.length} value(s) in column "${column.name}" are not ${column.type}` +
+          ` (first at row ${invalid[0].row}: ${JSON.stringify(invalid[0].values[column.name] === undefined ? null : invalid[0].values[column.name])})`
+      });
+    }
+  }
+  
+  for (const name of header) {
+    if (!columns.some(column => column.name === name)) {
+      problems.push({ line: 1, message: `undeclared column "${name}"` });
+    }
+  }
+  
+  return problems;
+}
+
+module.exports = {
+  columnTypes,
+  loadDataManifest,
+  parseChecksum,
+  hashFile,
+  normalizeSchema,
+  readRecords,
+  validateSchema
+};
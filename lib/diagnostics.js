@@ -0,0 +1,173 @@
+// diagnostics.js
+//
+// Export formats for coherence and residue diagnostics. Every analyzer
+// reports its findings as { rule, severity, file, line, column, message },
+// with severity one of error, warning or info and file relative to the
+// article repository. They can be written as:
+//
+// - SARIF 2.1.0, for GitHub code scanning and other SARIF viewers,
+// - GitHub workflow commands (::warning file=...,line=...::message), which
+//   Actions shows as annotations on the pull request diff,
+// - JSON Lines, one diagnostic per line.
+//
+// In Actions the article may be a subdirectory of the checkout, so paths are
+// made relative to $GITHUB_WORKSPACE when the article lies inside it.
+
+const path = require('path');
+const { resolvePath } = require('./context');
+const { hashContent } = require('./cache');
+
+// Diagnostic formats the CLI accepts besides text and json
+const diagnosticFormats = ['sarif', 'annotations', 'jsonl'];
+
+// What each rule family checks, for SARIF rule descriptions
+const ruleFamilies = {
+  citation: { component: 'signalAlignment', description: 'Citations resolve against a well-formed bibliography' },
+  claim: { component: 'signalAlignment', description: 'Claims are supported by citations, links or figure references' },
+  data: { component: 'signalAlignment', description: 'Datasets are declared, documented and match their checksums and schemas' },
+  result: { component: 'signalAlignment', description: 'Quoted results match the outputs of the scripts that produce them' },
+  term: { component: 'boundedIntegrity', description: 'Glossary terms are used consistently and defined before use' },
+  method: { component: 'boundedIntegrity', description: 'Conclusions stay within the declared methods, models and datasets' },
+  contradiction: { component: 'elasticTolerance', description: 'Conflicting statements are acknowledged' },
+  perspective: { component: 'elasticTolerance', description: 'Contested claims present alternative views' },
+  uncertainty: { component: 'elasticTolerance', description: 'Reported numbers carry uncertainty and claims are hedged' },
+  limitation: { component: 'elasticTolerance', description: 'Limitations cover the declared datasets, methods and scope' },
+  residue: { component: 'residue', description: 'Symbolic residue marked by the author or detected in the text' },
+  plugin: { component: 'plugins', description: 'Analyzer plugins run without errors and report valid scores' }
+};
+
+// SARIF levels and workflow commands for each severity
+const sarifLevels = { error: 'error', warning: 'warning', info: 'note' };
+const annotationCommands = { error: 'error', warning: 'warning', info: 'notice' };
+
+// Format diagnostics in one of the diagnostic formats
+function formatDiagnostics(format, diagnostics, ctx) {
+  switch (format) {
+    case 'sarif':
+      return JSON.stringify(toSarif(diagnostics, ctx), null, 2);
+    case 'annotations':
+      return toAnnotations(diagnostics, ctx);
+    case 'jsonl':
+      return toJsonLines(diagnostics, ctx);
+    default:
+      throw new Error(`Unknown diagnostic format "${format}"`);
+  }
+}
+
+// Build a SARIF 2.1.0 log with one run for the diagnostics
+function toSarif(diagnostics, ctx) {
+  const ruleIds = [...new Set(diagnostics.map(diagnostic => diagnostic.rule))].sort();
+  
+  const rules = ruleIds.map(id => {
+    const family = ruleFamilies[id.split('/')[0]];
+    const severity = diagnostics.find(diagnostic => diagnostic.rule === id).severity;
+    
+    return {
+      id,
+      name: id.replace(/[/-](\w)/g, (match, letter) => letter.toUpperCase()),
+      shortDescription: { text: describeRule(id) },
+      ...(family ? { fullDescription: { text: family.description } } : {}),
+      defaultConfiguration: { level: sarifLevels[severity] || 'warning' },
+      properties: { tags: family ? ['coherence', family.component] : ['coherence'] }
+    };
+  });
+  
+  const results = diagnostics.map(diagnostic => {
+    const uri = workspacePath(ctx, diagnostic.file);
+    
+    return {
+      ruleId: diagnostic.rule,
+      ruleIndex: ruleIds.indexOf(diagnostic.rule),
+      level: sarifLevels[diagnostic.severity] || 'warning',
+      message: { text: diagnostic.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+          region: { startLine: diagnostic.line || 1, startColumn: diagnostic.column || 1 }
+        }
+      }],
+      // Stable across edits that only move the finding to another line
+      partialFingerprints: {
+        'coherenceFinding/v1': hashContent(diagnostic.rule, uri, stripLineNumbers(diagnostic.message))
+      }
+    };
+  });
+  
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'distill',
+          fullName: 'Recursive Distill coherence check',
+          informationUri: 'https://github.com/recursive-distill',
+          rules
+        }
+      },
+      automationDetails: { id: `coherence/${ctx.version}` },
+      results
+    }]
+  };
+}
+
+// Format diagnostics as GitHub workflow commands, one per line
+function toAnnotations(diagnostics, ctx) {
+  return diagnostics.map(diagnostic => {
+    const properties = [
+      `file=${escapeProperty(workspacePath(ctx, diagnostic.file))}`,
+      `line=${diagnostic.line || 1}`,
+      `col=${diagnostic.column || 1}`,
+      `title=${escapeProperty(diagnostic.rule)}`
+    ].join(',');
+    
+    return `::${annotationCommands[diagnostic.severity] || 'warning'} ${properties}::${escapeData(diagnostic.message)}`;
+  }).join('\n');
+}
+
+// Format diagnostics as JSON Lines with workspace-relative paths
+function toJsonLines(diagnostics, ctx) {
+  return diagnostics
+    .map(diagnostic => JSON.stringify({ ...diagnostic, file: workspacePath(ctx, diagnostic.file) }))
+    .join('\n');
+}
+
+// Describe a rule from its id, e.g. term/used-before-defined
+function describeRule(id) {
+  const [family, name = ''] = id.split('/');
+  const text = `${family}: ${name.replace(/-/g, ' ')}`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Make a file path relative to the Actions workspace, or to the article
+function workspacePath(ctx, file) {
+  const absolute = resolvePath(ctx, file || '.');
+  const workspace = process.env.GITHUB_WORKSPACE;
+  const root = workspace && !path.relative(workspace, absolute).startsWith('..') ? workspace : ctx.cwd;
+  
+  return path.relative(root, absolute).split(path.sep).join('/');
+}
+
+// Drop line numbers from a message so it identifies the finding, not its position
+function stripLineNumbers(message) {
+  return message.replace(/:\d+/g, '');
+}
+
+// Escape a workflow command message
+function escapeData(text) {
+  return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+// Escape a workflow command property value
+function escapeProperty(text) {
+  return escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+module.exports = {
+  diagnosticFormats,
+  ruleFamilies,
+  formatDiagnostics,
+  toSarif,
+  toAnnotations,
+  toJsonLines
+};
@@ -0,0 +1,454 @@
+// coherence-diff
+//
+// PR diff mode. Runs the coherence check on a pull request's base and on its
+// head (the working tree), reports the change in every component and
+// sub-metric, and attributes the change to the diff hunks that caused it:
+// the observations (paragraphs, claims, citations, term uses...) inside a
+// hunk's new lines are counted against those inside its old lines, and
+// diagnostics that appear or disappear there are listed with it.
+//
+// The base is checked out into a temporary git worktree at the merge base of
+// the base ref and HEAD, so changes on the base branch since the pull request
+// forked are not attributed to it. Changes no hunk accounts for (a citation
+// elsewhere that a removed bibliography entry leaves unresolved, say) are
+// reported as unattributed.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const execFile = util.promisify(require('child_process').execFile);
+const { createContext, resolvePath } = require('./context');
+const { calculateCoherence } = require('./coherence');
+const { collectObservations, sumObservations } = require('./coherence/sections');
+const { saveAnalysisCache } = require('./cache');
+const { parseBlocks } = require('./markdown');
+
+// What an observation count measures, for hunk summaries
+const observationLabels = {
+  unsupported: ['unsupported claim', 'unsupported claims'],
+  resolved: ['resolved citation', 'resolved citations'],
+  failed: ['failed data or result check', 'failed data or result checks'],
+  issues: ['inconsistent term use', 'inconsistent term uses'],
+  violations: ['methodological boundary violation', 'methodological boundary violations'],
+  pairs: ['conflicting statement pair', 'conflicting statement pairs'],
+  oneSided: ['one-sided contested claim', 'one-sided contested claims'],
+  bare: ['bare point estimate', 'bare point estimates'],
+  absolute: ['absolute claim', 'absolute claims'],
+  limitations: ['limitation', 'limitations'],
+  alternatives: ['alternative view', 'alternative views']
+};
+
+// Untracked files larger than this are not read into hunks
+const MAX_UNTRACKED_BYTES = 1024 * 1024;
+
+// Names of the Markdown blocks a hunk can consist of
+const blockNames = {
+  heading: 'heading',
+  paragraph: 'paragraph',
+  'list-item': 'list item',
+  table: 'table',
+  footnote: 'footnote'
+};
+
+// Main function - returns the coherence diff and writes it to meta/coherence-diff.json
+//
+// `base` is the ref the pull request merges into; it defaults to
+// origin/$GITHUB_BASE_REF in Actions and origin/main elsewhere.
+async function diffCoherence(options = {}) {
+  const ctx = createContext(options);
+  const base = options.base ||
+    (process.env.GITHUB_BASE_REF ? `origin/${process.env.GITHUB_BASE_REF}` : 'origin/main');
+  
+  ctx.logger.log(`🜏 Coherence Diff: comparing against ${base}...`);
+  
+  // Refs come from the command line or the CI environment, so git gets them as arguments
+  const { stdout: mergeBase } = await execFile('git', ['merge-base', base, 'HEAD'], { cwd: ctx.cwd });
+  const baseCommit = mergeBase.trim();
+  
+  const head = await calculateCoherence(ctx);
+  saveAnalysisCache(ctx);
+  const before = await calculateAtCommit(ctx, baseCommit, head.config);
+  const files = await readDiffHunks(ctx, baseCommit);
+  
+  const diff = {
+    base: { ref: base, commit: baseCommit, ...summarize(before.report) },
+    head: { ref: 'HEAD', commit: ctx.version, ...summarize(head.report) },
+    delta: {
+      overallScore: head.report.overallScore - before.report.overallScore,
+      components: subtract(head.report.components, before.report.components),
+      subMetrics: Object.fromEntries(Object.keys(head.report.subMetrics).map(name => [
+        name,
+        subtract(head.report.subMetrics[name], before.report.subMetrics[name] || {})
+      ]))
+    },
+    ...attributeChanges(files, before, head),
+    metadata: {
+      timestamp: new Date().toISOString(),
+      repository: `${ctx.owner}/${ctx.repo}`,
+      filesChanged: files.length
+    }
+  };
+  
+  if (ctx.write) {
+    const metaDir = resolvePath(ctx, ctx.config.paths.meta);
+    if (!fs.existsSync(metaDir)) {
+      fs.mkdirSync(metaDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(
+      resolvePath(ctx, ctx.config.paths.coherenceDiffOutput),
+      JSON.stringify(diff, null, 2)
+    );
+  }
+  
+  return diff;
+}
+
+// Calculate coherence on a commit, checked out into a temporary worktree
+//
+// `config` is the head's effective configuration, so the base is checked
+// with the head's policy rather than its own.
+async function calculateAtCommit(ctx, commit, config) {
+  const { stdout: prefix } = await execFile('git', ['rev-parse', '--show-prefix'], { cwd: ctx.cwd });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-base-'));
+  
+  await execFile('git', ['worktree', 'add', '--detach', dir, commit], { cwd: ctx.cwd });
+  
+  try {
+    // Same forge and configuration, so only the content differs
+    return await calculateCoherence(createContext({
+      cwd: path.join(dir, prefix.trim()),
+      repository: `${ctx.owner}/${ctx.repo}`,
+      forge: ctx.forge,
+      config,
+      policy: false,
+      plugins: ctx.plugins,
+      logger: ctx.logger,
+      version: commit,
+      write: false,
+      cache: false
+    }));
+  } finally {
+    try {
+      await execFile('git', ['worktree', 'remove', '--force', dir], { cwd: ctx.cwd });
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not remove worktree ${dir}:`, error.message);
+    }
+  }
+}
+
+// Read the hunks between a commit and the working tree, untracked files included
+//
+// Untracked files are read only when they are text and at most
+// MAX_UNTRACKED_BYTES long; git reports binary tracked files without hunks.
+async function readDiffHunks(ctx, commit) {
+  const { stdout } = await execFile('git', ['-c', 'core.quotePath=false', 'diff', '-U0', '--relative', commit, '--'], {
+    cwd: ctx.cwd,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  const files = parseUnifiedDiff(stdout);
+  
+  const { stdout: untracked } = await execFile('git', ['ls-files', '-z', '--others', '--exclude-standard'], { cwd: ctx.cwd });
+  for (const file of untracked.split('\0').filter(Boolean)) {
+    const fullPath = resolvePath(ctx, file);
+    if (fs.statSync(fullPath).size > MAX_UNTRACKED_BYTES) continue;
+    
+    const content = fs.readFileSync(fullPath);
+    // Git's own test: a NUL byte near the start means binary
+    if (content.subarray(0, 8000).includes(0)) continue;
+    
+    const lines = content.toString('utf8').replace(/\n$/, '').split('\n');
+    files.push({
+      oldFile: null,
+      file,
+      hunks: [{ oldStart: 0, oldLines: 0, newStart: 1, newLines: lines.length, removed: [], added: lines }]
+    });
+  }
+  
+  return files;
+}
+
+// Parse `git diff -U0` output into files and their hunks
+function parseUnifiedDiff(text) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+  
+  for (const line of text.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      current = { oldFile: null, file: null, hunks: [] };
+      files.push(current);
+      hunk = null;
+    } else if (current && !hunk && line.startsWith('--- ')) {
+      current.oldFile = diffPath(line.slice(4), 'a/');
+    } else if (current && !hunk && line.startsWith('+++ ')) {
+      current.file = diffPath(line.slice(4), 'b/');
+    } else if (current && line.startsWith('@@')) {
+      const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      hunk = {
+        oldStart: Number(match[1]),
+        oldLines: match[2] === undefined ? 1 : Number(match[2]),
+        newStart: Number(match[3]),
+        newLines: match[4] === undefined ? 1 : Number(match[4]),
+        removed: [],
+        added: []
+      };
+      current.hunks.push(hunk);
+    } else if (hunk && line.startsWith('-')) {
+      hunk.removed.push(line.slice(1));
+    } else if (hunk && line.startsWith('+')) {
+      hunk.added.push(line.slice(1));
+    }
+  }
+  
+  // Binary files and pure renames have no hunks
+  return files.filter(file => file.hunks.length > 0);
+}
+
+// Read a path from a `---` or `+++` header, or null for /dev/null
+//
+// Git ends names containing spaces with a tab and C-quotes names with quotes,
+// backslashes, control characters or (without core.quotePath=false)
+// non-ASCII characters, as "a/na\303\257ve.md".
+function diffPath(header, prefix) {
+  let name = header.replace(/\t$/, '');
+  if (name === '/dev/null') return null;
+  
+  if (name.startsWith('"') && name.endsWith('"')) {
+    const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+    const bytes = [];
+    for (let i = 1; i < name.length - 1; i++) {
+      if (name[i] !== '\\') {
+        bytes.push(...Buffer.from(name[i]));
+      } else if (/[0-7]{3}/.test(name.slice(i + 1, i + 4))) {
+        bytes.push(parseInt(name.slice(i + 1, i + 4), 8));
+        i += 3;
+      } else {
+        bytes.push(escapes[name[i + 1]] === undefined ? name.charCodeAt(i + 1) : escapes[name[i + 1]]);
+        i++;
+      }
+    }
+    name = Buffer.from(bytes).toString('utf8');
+  }
+  
+  return name.startsWith(prefix) ? name.slice(prefix.length) : name;
+}
+
+// Attribute observation and diagnostic changes to the hunks that caused them
+function attributeChanges(files, before, head) {
+  const baseObservations = collectObservations(before.components);
+  const headObservations = collectObservations(head.components);
+  const { introduced, resolved } = compareDiagnostics(before.report.diagnostics, head.report.diagnostics);
+  
+  const inside = (item, file, start, count) =>
+    file !== null && item.file === file && item.line >= start && item.line < start + count;
+  const claimed = new Set();
+  
+  const hunks = files.flatMap(file => file.hunks.map(hunk => {
+    const changes = countChanges(
+      baseObservations.filter(observation => inside(observation, file.oldFile, hunk.oldStart, hunk.oldLines)),
+      headObservations.filter(observation => inside(observation, file.file, hunk.newStart, hunk.newLines))
+    );
+    const hunkIntroduced = introduced.filter(diagnostic => inside(diagnostic, file.file, hunk.newStart, hunk.newLines));
+    const hunkResolved = resolved.filter(diagnostic => inside(diagnostic, file.oldFile, hunk.oldStart, hunk.oldLines));
+    [...hunkIntroduced, ...hunkResolved].forEach(diagnostic => claimed.add(diagnostic));
+    
+    const description = describeHunk(file, hunk);
+    return {
+      file: file.file || file.oldFile,
+      oldFile: file.oldFile,
+      oldStart: hunk.oldStart,
+      oldLines: hunk.oldLines,
+      newStart: hunk.newStart,
+      newLines: hunk.newLines,
+      description,
+      changes,
+      introduced: hunkIntroduced,
+      resolved: hunkResolved,
+      summary: summarizeChange(description, changes, hunkIntroduced, hunkResolved)
+    };
+  })).filter(hunk => Object.keys(hunk.changes).length > 0 || hunk.introduced.length > 0 || hunk.resolved.length > 0);
+  
+  // Whatever the hunks do not account for happened elsewhere
+  const total = countChanges(baseObservations, headObservations);
+  const unattributed = {};
+  for (const [metric, counts] of Object.entries(total)) {
+    for (const [key, value] of Object.entries(counts)) {
+      const attributed = hunks.reduce((sum, hunk) => sum + ((hunk.changes[metric] || {})[key] || 0), 0);
+      if (value !== attributed) {
+        unattributed[metric] = { ...unattributed[metric], [key]: value - attributed };
+      }
+    }
+  }
+  
+  return {
+    hunks,
+    unattributed: {
+      changes: unattributed,
+      introduced: introduced.filter(diagnostic => !claimed.has(diagnostic)),
+      resolved: resolved.filter(diagnostic => !claimed.has(diagnostic))
+    }
+  };
+}
+
+// List every diagnostic a coherence diff introduces, in hunk order
+function introducedDiagnostics(diff) {
+  return [...diff.hunks.flatMap(hunk => hunk.introduced), ...diff.unattributed.introduced];
+}
+
+// Count the change in each sub-metric's observation totals
+function countChanges(baseObservations, headObservations) {
+  const changes = {};
+  const metrics = new Set([...baseObservations, ...headObservations].map(observation => observation.metric));
+  
+  for (const metric of metrics) {
+    const before = sumObservations(baseObservations.filter(observation => observation.metric === metric));
+    const after = sumObservations(headObservations.filter(observation => observation.metric === metric));
+    
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const delta = (after[key] || 0) - (before[key] || 0);
+      if (delta !== 0) {
+        changes[metric] = { ...changes[metric], [key]: delta };
+      }
+    }
+  }
+  
+  return changes;
+}
+
+// Split diagnostics into those the head introduces and those it resolves
+//
+// Diagnostics match on rule, file and message, ignoring line numbers quoted
+// in the message, so ones that merely moved are neither.
+function compareDiagnostics(baseDiagnostics, headDiagnostics) {
+  const key = diagnostic => `${diagnostic.rule}\u0000${diagnostic.file}\u0000${diagnostic.message.replace(/:\d+\b/g, ':')}`;
+  const remaining = new Map();
+  
+  for (const diagnostic of baseDiagnostics) {
+    const list = remaining.get(key(diagnostic)) || [];
+    list.push(diagnostic);
+    remaining.set(key(diagnostic), list);
+  }
+  
+  const introduced = [];
+  for (const diagnostic of headDiagnostics) {
+    const list = remaining.get(key(diagnostic));
+    if (list && list.length > 0) {
+      list.shift();
+    } else {
+      introduced.push(diagnostic);
+    }
+  }
+  
+  return { introduced, resolved: [...remaining.values()].flat() };
+}
+
+// Describe a hunk as what was added, removed or changed, and where
+function describeHunk(file, hunk) {
+  const kind = hunk.oldLines === 0 ? 'added' : hunk.newLines === 0 ? 'removed' : 'changed';
+  const lines = kind === 'removed' ? hunk.removed : hunk.added;
+  const blocks = /\.(md|markdown)$/i.test(file.file || file.oldFile) ? parseBlocks(lines.join('\n')) : [];
+  
+  let what = 'lines';
+  if (blocks.some(block => block.type === 'heading')) {
+    what = 'section';
+  } else if (blocks.length === 1 && blockNames[blocks[0].type]) {
+    what = blockNames[blocks[0].type];
+  } else if (blocks.length > 1 && blocks.every(block => block.type === blocks[0].type) && blockNames[blocks[0].type]) {
+    what = `${blocks.length} ${blockNames[blocks[0].type]}s`;
+  }
+  
+  const [name, start, count] = kind === 'removed'
+    ? [file.oldFile, hunk.oldStart, hunk.oldLines]
+    : [file.file, hunk.newStart, hunk.newLines];
+  const where = count > 1 ? `${name}:${start}-${start + count - 1}` : `${name}:${start}`;
+  const description = `${what} ${kind} ${kind === 'removed' ? 'from' : 'in'} ${where}`;
+  
+  return description.charAt(0).toUpperCase() + description.slice(1);
+}
+
+// Summarize a hunk's effect in a sentence
+function summarizeChange(description, changes, introduced, resolved) {
+  const counts = {};
+  for (const metricChanges of Object.values(changes)) {
+    for (const [key, value] of Object.entries(metricChanges)) {
+      if (observationLabels[key]) counts[key] = (counts[key] || 0) + value;
+    }
+  }
+  
+  const describe = ([key, value]) => `${Math.abs(value)} ${observationLabels[key][Math.abs(value) === 1 ? 0 : 1]}`;
+  const added = Object.entries(counts).filter(([, value]) => value > 0).map(describe);
+  const removed = Object.entries(counts).filter(([, value]) => value < 0).map(describe);
+  
+  const parts = [];
+  if (added.length > 0) parts.push(`introduced ${joinList(added)}`);
+  if (removed.length > 0) parts.push(`removed ${joinList(removed)}`);
+  if (introduced.length > 0) parts.push(`raised ${introduced.length} new diagnostic${introduced.length === 1 ? '' : 's'}`);
+  if (resolved.length > 0) parts.push(`cleared ${resolved.length} diagnostic${resolved.length === 1 ? '' : 's'}`);
+  
+  return parts.length > 0 ? `${description} ${parts.join('; ')}` : `${description} changed the sub-metric counts`;
+}
+
+// Join phrases as "a, b and c"
+function joinList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+// The scores of one side of the diff
+function summarize(report) {
+  return {
+    overallScore: report.overallScore,
+    components: report.components,
+    subMetrics: report.subMetrics
+  };
+}
+
+// Subtract the numeric values of two score maps
+function subtract(after, before) {
+  return Object.fromEntries(Object.entries(after)
+    .filter(([, value]) => typeof value === 'number')
+    .map(([key, value]) => [key, value - (typeof before[key] === 'number' ? before[key] : 0)]));
+}
+
+// Print the coherence diff for a pull request
+function printCoherenceDiff(diff, options) {
+  const ctx = createContext(options);
+  const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+  const names = {
+    signalAlignment: 'Signal Alignment (S)',
+    feedbackResponsiveness: 'Feedback Response (F)',
+    boundedIntegrity: 'Bounded Integrity (B)',
+    elasticTolerance: 'Elastic Tolerance (λ)'
+  };
+  
+  ctx.logger.log(`🜏 Coherence change against ${diff.base.ref} (${diff.base.commit.slice(0, 7)}): ` +
+    `${diff.base.overallScore.toFixed(2)} → ${diff.head.overallScore.toFixed(2)} (${signed(diff.delta.overallScore)})`);
+  
+  for (const [name, delta] of Object.entries(diff.delta.components)) {
+    const changed = Object.entries(diff.delta.subMetrics[name] || {})
+      .filter(([, value]) => Math.abs(value) >= 0.005)
+      .map(([key, value]) => `${key} ${signed(value)}`);
+    ctx.logger.log(`  ${(names[name] || name).padEnd(22)} ${signed(delta)}${changed.length > 0 ? `  (${changed.join(', ')})` : ''}`);
+  }
+  
+  if (diff.hunks.length > 0) {
+    ctx.logger.log('Changes by hunk:');
+    diff.hunks.forEach(hunk => ctx.logger.log(`  - ${hunk.summary}`));
+  }
+  
+  const elsewhere = diff.unattributed.introduced.length + diff.unattributed.resolved.length;
+  if (elsewhere > 0 || Object.keys(diff.unattributed.changes).length > 0) {
+    ctx.logger.log(`Outside the changed lines: ${diff.unattributed.introduced.length} new and ${diff.unattributed.resolved.length} cleared diagnostic(s)`);
+  }
+}
+
+module.exports = {
+  diffCoherence,
+  readDiffHunks,
+  parseUnifiedDiff,
+  attributeChanges,
+  compareDiagnostics,
+  introducedDiagnostics,
+  printCoherenceDiff
+};
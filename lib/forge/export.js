@@ -0,0 +1,262 @@
+// export.js
+//
+// Exports issues, pull requests, reviews and comments from GitHub into a
+// snapshot directory that the snapshot forge provider can read back.
+//
+// The first export pages through everything. Later exports read the manifest
+// left by the previous run and only fetch what changed since then: the issue
+// listing is requested with `since` (it includes pull requests, so it also
+// reveals which pull requests gained comments), and the pull request listing
+// is read newest-updated first until it reaches unchanged records. The pull
+// request listing's URL does not change between runs, so its first page is
+// sent with the stored ETag and costs nothing against the rate limit when
+// unchanged; the issue listing's `since` moves every run, so it is sent
+// unconditionally and returns an empty page when nothing changed. Children
+// (comments, reviews, commits) are refetched only for records that changed.
+// Deletions are not detected incrementally; pass `full` to rebuild.
+
+const fs = require('fs');
+const path = require('path');
+const { createContext, resolvePath } = require('../context');
+const { collections, readCollection } = require('./snapshot');
+
+// Bumped whenever the on-disk layout changes; older snapshots are rebuilt
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Export forge data to a snapshot directory, incrementally when possible
+async function exportSnapshot(options = {}) {
+  const ctx = createContext(options);
+  const dir = resolvePath(ctx, options.dir || ctx.config.paths.snapshot);
+  
+  if (!ctx.octokit) {
+    throw new Error('Exporting a snapshot needs GitHub access; do not combine it with the snapshot or forge options.');
+  }
+  
+  const startedAt = new Date().toISOString();
+  const previous = options.full ? null : loadSnapshot(ctx, dir);
+  const since = previous ? previous.manifest.syncedAt : null;
+  // Only the pull request listing has a stable URL to revalidate
+  const etags = previous && previous.manifest.etags && previous.manifest.etags.pulls
+    ? { pulls: previous.manifest.etags.pulls }
+    : {};
+  const data = previous ? previous.data : emptyData();
+  
+  ctx.logger.log(since
+    ? `📦 Updating forge snapshot in ${dir} (changes since ${since})...`
+    : `📦 Exporting forge snapshot to ${dir}...`);
+  
+  // 1. Issues (and pull request stubs) updated since the last export
+  const issuesResult = await fetchPages(ctx, ctx.octokit.issues.listForRepo, {
+    owner: ctx.owner,
+    repo: ctx.repo,
+    state: 'all',
+    sort: 'updated',
+    direction: 'desc',
+    ...(since ? { since } : {})
+  });
+  
+  mergeRecords(data.issues, issuesResult.records, 'number');
+  
+  // 2. Comments on every changed issue or pull request
+  for (const issue of issuesResult.records) {
+    const comments = await fetchPages(ctx, ctx.octokit.issues.listComments, {
+      owner: ctx.owner,
+      repo: ctx.repo,
+      issue_number: issue.number
+    });
+    
+    replaceChildren(data.issueComments, 'issue_number', issue.number, comments.records);
+  }
+  
+  // 3. Pull requests updated since the last export
+  const pullsResult = await fetchPages(ctx, ctx.octokit.pulls.list, {
+    owner: ctx.owner,
+    repo: ctx.repo,
+    state: 'all',
+    sort: 'updated',
+    direction: 'desc'
+  }, etags.pulls, pr => since && new Date(pr.updated_at) < new Date(since));
+  
+  if (pullsResult.etag) etags.pulls = pullsResult.etag;
+  mergeRecords(data.pulls, pullsResult.records, 'number');
+  
+  // 4. Reviews, review comments and commits on every changed pull request
+  for (const pr of pullsResult.records) {
+    const params = { owner: ctx.owner, repo: ctx.repo, pull_number: pr.number };
+    
+    const reviews = await fetchPages(ctx, ctx.octokit.pulls.listReviews, params);
+    replaceChildren(data.pullReviews, 'pull_number', pr.number, reviews.records);
+    
+    const reviewComments = await fetchPages(ctx, ctx.octokit.pulls.listReviewComments, params);
+    replaceChildren(data.pullReviewComments, 'pull_number', pr.number, reviewComments.records);
+    
+    const commits = await fetchPages(ctx, ctx.octokit.pulls.listCommits, params);
+    replaceChildren(data.pullCommits, 'pull_number', pr.number, commits.records);
+  }
+  
+  const manifest = {
+    formatVersion: SNAPSHOT_FORMAT_VERSION,
+    repository: `${ctx.owner}/${ctx.repo}`,
+    createdAt: previous ? previous.manifest.createdAt : startedAt,
+    // Start of this run, so changes made while exporting are picked up next time
+    syncedAt: startedAt,
+    etags,
+    counts: Object.fromEntries(
+      Object.entries(data).map(([key, records]) => [key, records.length])
+    ),
+    changed: {
+      issues: issuesResult.records.length,
+      pulls: pullsResult.records.length
+    }
+  };
+  
+  if (ctx.write) {
+    writeSnapshot(dir, data, manifest);
+  }
+  
+  ctx.logger.log(`✅ Snapshot ${since ? 'updated' : 'exported'}: ${manifest.counts.issues} issues, ${manifest.counts.pulls} pull requests (${manifest.changed.issues} issues and ${manifest.changed.pulls} pull requests fetched).`);
+  
+  return { dir, manifest };
+}
+
+// Empty set of collections, keyed like snapshot.collections
+function emptyData() {
+  return Object.fromEntries(Object.keys(collections).map(key => [key, []]));
+}
+
+// Load a previous snapshot for incremental export, or null if it cannot be reused
+function loadSnapshot(ctx, dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    
+    if (manifest.formatVersion !== SNAPSHOT_FORMAT_VERSION ||
+        manifest.repository !== `${ctx.owner}/${ctx.repo}`) {
+      ctx.logger.warn('Existing snapshot is for another repository or format version, exporting from scratch.');
+      return null;
+    }
+    
+    const data = {};
+    for (const [key, name] of Object.entries(collections)) {
+      data[key] = readCollection(dir, name);
+    }
+    
+    return { manifest, data };
+  } catch (error) {
+    ctx.logger.warn('Could not read existing snapshot, exporting from scratch:', error.message);
+    return null;
+  }
+}
+
+// Fetch every page of a listing, optionally conditional on an ETag and
+// stopping early once `isStale` says the remaining records are unchanged
+async function fetchPages(ctx, method, params, etag, isStale) {
+  const records = [];
+  let responseEtag = null;
+  let page = 1;
+  let hasMore = true;
+  
+  while (hasMore) {
+    let response;
+    
+    try {
+      response = await method({
+        ...params,
+        per_page: 100,
+        page,
+        // Only the first page is conditional; it changes whenever anything does
+        ...(page === 1 && etag ? { headers: { 'if-none-match': etag } } : {})
+      });
+    } catch (error) {
+      if (error.status === 304) {
+        return { records: [], etag, notModified: true };
+      }
+      throw error;
+    }
+    
+    if (page === 1) {
+      responseEtag = response.headers && response.headers.etag;
+    }
+    
+    const fresh = isStale ? response.data.filter(record => !isStale(record)) : response.data;
+    records.push(...fresh);
+    page++;
+    
+    // Stop on a short page, or once the listing reaches unchanged records
+    hasMore = response.data.length === 100 && fresh.length === response.data.length;
+  }
+  
+  return { records, etag: responseEtag, notModified: false };
+}
+
+// Replace records with the same key, appending new ones
+function mergeRecords(existing, updates, key) {
+  for (const record of updates) {
+    const index = existing.findIndex(r => r[key] === record[key]);
+    
+    if (index === -1) {
+      existing.push(record);
+    } else {
+      existing[index] = record;
+    }
+  }
+}
+
+// Replace all children of one parent with freshly fetched records
+function replaceChildren(existing, parentKey, parentNumber, records) {
+  for (let i = existing.length - 1; i >= 0; i--) {
+    if (existing[i][parentKey] === parentNumber) {
+      existing.splice(i, 1);
+    }
+  }
+  
+  existing.push(...records.map(record => ({ ...record, [parentKey]: parentNumber })));
+}
+
+// Write collections as NDJSON, sorted for stable diffs, and the manifest
+function writeSnapshot(dir, data, manifest) {
+  fs.mkdirSync(dir, { recursive: true });
+  
+  for (const [key, name] of Object.entries(collections)) {
+    const records = [...data[key]].sort(compareRecords);
+    
+    fs.writeFileSync(
+      path.join(dir, `${name}.ndjson`),
+      records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '')
+    );
+    
+    // The reader prefers .json, so drop any stale array file
+    const jsonPath = path.join(dir, `${name}.json`);
+    if (fs.existsSync(jsonPath)) {
+      fs.unlinkSync(jsonPath);
+    }
+  }
+  
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+// Order records by parent, then number, then id
+function compareRecords(a, b) {
+  const keys = ['issue_number', 'pull_number', 'number', 'id', 'sha'];
+  
+  for (const key of keys) {
+    if (a[key] === b[key]) continue;
+    if (a[key] === undefined) return -1;
+    if (b[key] === undefined) return 1;
+    return a[key] < b[key] ? -1 : 1;
+  }
+  
+  return 0;
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT_VERSION,
+  exportSnapshot
+};
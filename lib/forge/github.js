@@ -0,0 +1,68 @@
+// github.js
+//
+// Forge provider backed by the live GitHub REST API through Octokit.
+
+// Fetch every page of a paginated Octokit list method
+async function paginate(method, params) {
+  const results = [];
+  let page = 1;
+  let hasMore = true;
+  
+  while (hasMore) {
+    const response = await method({ ...params, per_page: 100, page });
+    
+    results.push(...response.data);
+    page++;
+    
+    // A short page means there is nothing left to fetch
+    hasMore = response.data.length === 100;
+  }
+  
+  return results;
+}
+
+// Create a forge provider that reads from GitHub
+function createGitHubForge({ octokit, owner, repo }) {
+  return {
+    name: 'github',
+    
+    // List issues (GitHub includes pull requests in this listing)
+    async listIssues({ state = 'all', labels, since } = {}) {
+      const params = { owner, repo, state };
+      if (labels) params.labels = labels;
+      if (since) params.since = since;
+      
+      return paginate(octokit.issues.listForRepo, params);
+    },
+    
+    // List conversation comments on an issue or pull request
+    async listIssueComments(issueNumber) {
+      return paginate(octokit.issues.listComments, { owner, repo, issue_number: issueNumber });
+    },
+    
+    // List pull requests
+    async listPullRequests({ state = 'all' } = {}) {
+      return paginate(octokit.pulls.list, { owner, repo, state });
+    },
+    
+    // List reviews submitted on a pull request
+    async listPullRequestReviews(prNumber) {
+      return paginate(octokit.pulls.listReviews, { owner, repo, pull_number: prNumber });
+    },
+    
+    // List inline review comments on a pull request
+    async listPullRequestReviewComments(prNumber) {
+      return paginate(octokit.pulls.listReviewComments, { owner, repo, pull_number: prNumber });
+    },
+    
+    // List commits on a pull request
+    async listPullRequestCommits(prNumber) {
+      return paginate(octokit.pulls.listCommits, { owner, repo, pull_number: prNumber });
+    }
+  };
+}
+
+module.exports = {
+  createGitHubForge,
+  paginate
+};
@@ -0,0 +1,115 @@
+// forge
+//
+// A forge provider supplies the issues, pull requests, reviews and comments the
+// coherence check, attribution map, residue analysis and coherence report read.
+// Every provider implements the same asynchronous methods:
+//
+//   listIssues({ state, labels, since })
+//   listIssueComments(issueNumber)
+//   listPullRequests({ state })
+//   listPullRequestReviews(prNumber)
+//   listPullRequestReviewComments(prNumber)
+//   listPullRequestCommits(prNumber)
+//
+// Records use the GitHub REST API's shapes. The context carries the provider as
+// `ctx.forge`: GitHub by default, a snapshot directory with the `snapshot`
+// option, or any object implementing the methods above via the `forge` option.
+
+const { createGitHubForge } = require('./github');
+const { createSnapshotForge, SnapshotError } = require('./snapshot');
+
+// Methods every forge provider implements
+const forgeMethods = [
+  'listIssues',
+  'listIssueComments',
+  'listPullRequests',
+  'listPullRequestReviews',
+  'listPullRequestReviewComments',
+  'listPullRequestCommits'
+];
+
+// Wrap a forge provider so each listing is fetched at most once
+//
+// Failed requests are not remembered, so a later call retries them.
+function memoizeForge(forge) {
+  if (forge.memoized) return forge;
+  
+  const results = new Map();
+  const memoized = Object.create(forge);
+  memoized.memoized = true;
+  
+  for (const method of forgeMethods) {
+    if (typeof forge[method] !== 'function') continue;
+    
+    memoized[method] = (...args) => {
+      const key = `${method}:${JSON.stringify(args)}`;
+      if (!results.has(key)) {
+        results.set(key, Promise.resolve(forge[method](...args)).catch(error => {
+          results.delete(key);
+          throw error;
+        }));
+      }
+      return results.get(key);
+    };
+  }
+  
+  return memoized;
+}
+
+// Fetch all issues
+async function fetchAllIssues(ctx) {
+  return ctx.forge.listIssues({ state: 'all' });
+}
+
+// Fetch issue comments
+async function fetchIssueComments(ctx, issueNumber) {
+  return ctx.forge.listIssueComments(issueNumber);
+}
+
+// Fetch all pull requests
+async function fetchAllPullRequests(ctx) {
+  return ctx.forge.listPullRequests({ state: 'all' });
+}
+
+// Fetch PR reviews
+async function fetchPRReviews(ctx, prNumber) {
+  return ctx.forge.listPullRequestReviews(prNumber);
+}
+
+// Fetch PR review comments
+async function fetchPRComments(ctx, prNumber) {
+  return ctx.forge.listPullRequestReviewComments(prNumber);
+}
+
+// Fetch issues with residue label or title
+async function fetchResidueIssues(ctx) {
+  try {
+    const residueIssues = await ctx.forge.listIssues({ state: 'all', labels: 'meta:residue' });
+    
+    // Also fetch issues with [RESIDUE] in title
+    const allIssues = await ctx.forge.listIssues({ state: 'all' });
+    
+    const titleResidueIssues = allIssues.filter(issue => 
+      issue.title.includes('[RESIDUE]') && 
+      !residueIssues.some(ri => ri.number === issue.number) // Avoid duplicates
+    );
+    
+    return [...residueIssues, ...titleResidueIssues];
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not fetch residue issues:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  createGitHubForge,
+  createSnapshotForge,
+  SnapshotError,
+  memoizeForge,
+  fetchAllIssues,
+  fetchIssueComments,
+  fetchAllPullRequests,
+  fetchPRReviews,
+  fetchPRComments,
+  fetchResidueIssues
+};
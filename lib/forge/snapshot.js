@@ -0,0 +1,130 @@
+// snapshot.js
+//
+// Forge provider that reads issues, pull requests, reviews and comments from a
+// local snapshot directory instead of the network, so coherence and attribution
+// runs are deterministic and work in air-gapped CI.
+//
+// A snapshot directory holds one file per collection, as a JSON array
+// (`issues.json`) or as newline-delimited JSON (`issues.ndjson`). Records in
+// child collections carry the number of the issue or pull request they belong to:
+//
+//   issues                 GitHub issue objects (may include pull requests)
+//   issue-comments         comment objects with `issue_number`
+//   pulls                  pull request objects
+//   pull-reviews           review objects with `pull_number`
+//   pull-review-comments   review comment objects with `pull_number`
+//   pull-commits           commit objects with `pull_number`
+//
+// Missing collection files are treated as empty.
+
+const fs = require('fs');
+const path = require('path');
+
+const collections = {
+  issues: 'issues',
+  issueComments: 'issue-comments',
+  pulls: 'pulls',
+  pullReviews: 'pull-reviews',
+  pullReviewComments: 'pull-review-comments',
+  pullCommits: 'pull-commits'
+};
+
+class SnapshotError extends Error {}
+
+// Read a collection from a snapshot directory
+function readCollection(dir, name) {
+  const jsonPath = path.join(dir, `${name}.json`);
+  const ndjsonPath = path.join(dir, `${name}.ndjson`);
+  
+  try {
+    if (fs.existsSync(jsonPath)) {
+      const records = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      if (!Array.isArray(records)) {
+        throw new SnapshotError(`${jsonPath} must contain a JSON array`);
+      }
+      return records;
+    }
+    
+    if (fs.existsSync(ndjsonPath)) {
+      return fs.readFileSync(ndjsonPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    }
+  } catch (error) {
+    if (error instanceof SnapshotError) throw error;
+    throw new SnapshotError(`Could not read snapshot collection "${name}" from ${dir}: ${error.message}`);
+  }
+  
+  return [];
+}
+
+// Check whether a record matches the requested state
+function matchesState(record, state) {
+  return !state || state === 'all' || record.state === state;
+}
+
+// Create a forge provider that reads from a snapshot directory
+function createSnapshotForge(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new SnapshotError(`Snapshot directory not found: ${dir}`);
+  }
+  
+  // Collections are read once, on first use
+  const cache = {};
+  const load = name => {
+    if (!cache[name]) {
+      cache[name] = readCollection(dir, name);
+    }
+    return cache[name];
+  };
+  
+  return {
+    name: 'snapshot',
+    dir,
+    
+    // List issues, filtered the way the GitHub API filters them
+    async listIssues({ state = 'all', labels, since } = {}) {
+      const wantedLabels = labels ? String(labels).split(',').map(l => l.trim()) : [];
+      const sinceTime = since ? new Date(since).getTime() : null;
+      
+      return load(collections.issues).filter(issue => 
+        matchesState(issue, state) &&
+        wantedLabels.every(label => (issue.labels || []).some(l => (l.name || l) === label)) &&
+        (sinceTime === null || new Date(issue.updated_at || issue.created_at).getTime() >= sinceTime)
+      );
+    },
+    
+    // List conversation comments on an issue or pull request
+    async listIssueComments(issueNumber) {
+      return load(collections.issueComments).filter(comment => comment.issue_number === issueNumber);
+    },
+    
+    // List pull requests
+    async listPullRequests({ state = 'all' } = {}) {
+      return load(collections.pulls).filter(pr => matchesState(pr, state));
+    },
+    
+    // List reviews submitted on a pull request
+    async listPullRequestReviews(prNumber) {
+      return load(collections.pullReviews).filter(review => review.pull_number === prNumber);
+    },
+    
+    // List inline review comments on a pull request
+    async listPullRequestReviewComments(prNumber) {
+      return load(collections.pullReviewComments).filter(comment => comment.pull_number === prNumber);
+    },
+    
+    // List commits on a pull request
+    async listPullRequestCommits(prNumber) {
+      return load(collections.pullCommits).filter(commit => commit.pull_number === prNumber);
+    }
+  };
+}
+
+module.exports = {
+  collections,
+  SnapshotError,
+  readCollection,
+  createSnapshotForge
+};
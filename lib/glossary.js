@@ -0,0 +1,160 @@
+// glossary.js
+//
+// Project glossary shared by the term consistency check. Terms come from
+// three places, merged in this order of precedence:
+//
+// 1. front-matter `terms` in the article,
+// 2. a glossary file (glossary.yml by default),
+// 3. the wiki's living lexicon, when a checkout of the wiki is present.
+//
+// Front matter and glossary files list terms either as a sequence or as a
+// map from term to definition:
+//
+//   terms:
+//     - term: attention head
+//       abbreviation: AH
+//       synonyms: [attention unit]
+//       variants: [attension head]
+//     sparse autoencoder: A dictionary learning model over activations.
+//
+// Lexicon pages define one term per heading, or one per list item of the form
+// `- **Term**: definition`, with optional `Synonyms:`, `Variants:` and
+// `Abbreviation:` lines.
+
+const fs = require('fs');
+const { resolvePath } = require('./context');
+const { findFiles } = require('./articles');
+const { parseBlocks } = require('./markdown');
+const { parseStructured } = require('./text');
+
+// Load and merge every glossary source for the given articles
+async function loadGlossary(ctx, articles) {
+  const sources = [];
+  const terms = new Map();
+  
+  const add = (entries, source) => {
+    if (entries.length === 0) return;
+    sources.push(source);
+    
+    for (const entry of entries) {
+      const key = entry.term.toLowerCase();
+      const existing = terms.get(key);
+      
+      if (!existing) {
+        terms.set(key, { ...entry, source });
+        continue;
+      }
+      
+      existing.synonyms = [...new Set([...existing.synonyms, ...entry.synonyms])];
+      existing.variants = [...new Set([...existing.variants, ...entry.variants])];
+      existing.abbreviation = existing.abbreviation || entry.abbreviation;
+      existing.definition = existing.definition || entry.definition;
+    }
+  };
+  
+  for (const article of articles) {
+    if (article.metadata && article.metadata.terms) {
+      add(normalizeTerms(article.metadata.terms), article.file);
+    }
+  }
+  
+  for (const file of await findFiles(ctx, ctx.config.paths.glossary)) {
+    try {
+      const data = parseStructured(fs.readFileSync(resolvePath(ctx, file), 'utf8'), file) || {};
+      add(normalizeTerms(data.terms || data), file);
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not parse glossary ${file}:`, error.message);
+    }
+  }
+  
+  for (const file of await findFiles(ctx, ctx.config.paths.lexicon)) {
+    try {
+      add(parseLexicon(fs.readFileSync(resolvePath(ctx, file), 'utf8')), file);
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not parse lexicon ${file}:`, error.message);
+    }
+  }
+  
+  return { terms: [...terms.values()], sources };
+}
+
+// Normalise the list and map forms of a term declaration
+function normalizeTerms(raw) {
+  const entries = Array.isArray(raw)
+    ? raw.map(item => typeof item === 'string' ? { term: item } : item)
+    : Object.entries(raw || {}).map(([term, value]) =>
+      typeof value === 'object' && value !== null ? { term, ...value } : { term, definition: value });
+  
+  return entries
+    .filter(entry => entry && entry.term)
+    .map(entry => ({
+      term: String(entry.term).trim(),
+      definition: entry.definition ? String(entry.definition) : null,
+      abbreviation: entry.abbreviation ? String(entry.abbreviation) : null,
+      synonyms: toList(entry.synonyms),
+      variants: toList(entry.variants)
+    }));
+}
+
+// Parse a living-lexicon Markdown page into term entries
+function parseLexicon(markdown) {
+  const blocks = parseBlocks(markdown);
+  const entries = [];
+  const bolded = blocks.filter(block => block.type === 'list-item' && /^\*\*[^*]+\*\*/.test(block.text));
+  
+  if (bolded.length > 0) {
+    for (const block of bolded) {
+      const [, term, rest] = block.text.match(/^\*\*([^*]+?)\*\*\s*[:—–-]?\s*([\s\S]*)$/);
+      entries.push({ term: term.replace(/:$/, ''), ...parseEntryBody(rest) });
+    }
+    return normalizeTerms(entries);
+  }
+  
+  let current = null;
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      current = block.level > 1 ? { term: block.text, body: [] } : null;
+      if (current) entries.push(current);
+    } else if (current) {
+      current.body.push(block.text);
+    }
+  }
+  
+  return normalizeTerms(entries.map(({ term, body }) => ({ term, ...parseEntryBody(body.join('\n')) })));
+}
+
+// Split an entry body into its definition and Synonyms/Variants/Abbreviation lines
+function parseEntryBody(text) {
+  const entry = { definition: [], synonyms: [], variants: [], abbreviation: null };
+  
+  for (const line of text.split('\n')) {
+    const field = line.match(/^\W*(synonyms?|variants?|abbreviation|also)\W*:\s*(.+)$/i);
+    if (!field) {
+      entry.definition.push(line);
+      continue;
+    }
+    
+    const name = field[1].toLowerCase();
+    if (name.startsWith('abbreviation')) {
+      entry.abbreviation = field[2].replace(/[*_`]/g, '').trim();
+    } else {
+      entry[name.startsWith('variant') ? 'variants' : 'synonyms'].push(...toList(field[2]));
+    }
+  }
+  
+  return { ...entry, definition: entry.definition.join(' ').trim() || null };
+}
+
+// Coerce a list or comma-separated string into trimmed strings
+function toList(value) {
+  if (!value) return [];
+  
+  const items = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  return items.map(item => String(item).replace(/[*_`]/g, '').trim()).filter(Boolean);
+}
+
+module.exports = {
+  loadGlossary,
+  normalizeTerms,
+  parseLexicon
+};
@@ -0,0 +1,236 @@
+// identity.js
+//
+// Author identity map shared by the feedback responsiveness check and the
+// attribution graph. People come from three places:
+//
+// 1. front-matter `authors` in the articles and content/metadata.yml, with
+//    their GitHub handles and emails,
+// 2. CODEOWNERS, whose owners are the article's delegated maintainers,
+// 3. .mailmap, which folds the names and emails someone committed under into
+//    the identity they are listed with.
+//
+// The repository owner counts as a maintainer too. Authors are listed as
+//
+//   authors:
+//     - name: Ada Lovelace
+//       github: ada                # or a https://github.com/ada url
+//       email: ada@example.org     # or emails: [...]
+//     - "@babbage"
+//
+// CODEOWNERS teams (@org/team) are skipped: they cannot be matched to a
+// commenter without asking GitHub for their members.
+
+const fs = require('fs');
+const matter = require('gray-matter');
+const { resolvePath } = require('./context');
+const { findFiles } = require('./articles');
+const { parseStructured } = require('./text');
+
+// Load the identity map of the article repository
+//
+// Returns { people, aliases, sources }: each person has a name, GitHub
+// handles, emails, a role (author or maintainer) and the files they were
+// listed in; aliases are the parsed mailmap entries.
+async function loadIdentities(ctx, articles) {
+  const people = [];
+  const sources = [];
+  
+  const add = (person, source) => {
+    const handles = person.github.map(handle => handle.toLowerCase());
+    const emails = person.emails.map(email => email.toLowerCase());
+    const existing = people.find(other =>
+      other.github.some(handle => handles.includes(handle)) ||
+      other.emails.some(email => emails.includes(email)));
+    
+    if (!existing) {
+      people.push({ ...person, github: handles, emails, sources: [source] });
+      return;
+    }
+    
+    existing.name = existing.name || person.name;
+    existing.github = [...new Set([...existing.github, ...handles])];
+    existing.emails = [...new Set([...existing.emails, ...emails])];
+    // Listing someone as an author outranks owning paths
+    existing.role = existing.role === 'author' || person.role === 'author' ? 'author' : 'maintainer';
+    if (!existing.sources.includes(source)) existing.sources.push(source);
+  };
+  
+  for (const article of articles) {
+    const authors = normalizeAuthors(article.metadata && article.metadata.authors);
+    if (authors.length === 0) continue;
+    
+    sources.push(article.file);
+    authors.forEach(author => add({ ...author, role: 'author' }, article.file));
+  }
+  
+  for (const file of await findFiles(ctx, ctx.config.paths.metadata)) {
+    try {
+      const text = fs.readFileSync(resolvePath(ctx, file), 'utf8');
+      const data = (text.trimStart().startsWith('---') ? matter(text).data : parseStructured(text, file)) || {};
+      const authors = normalizeAuthors(data.authors);
+      
+      if (authors.length > 0) sources.push(file);
+      authors.forEach(author => add({ ...author, role: 'author' }, file));
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not parse article metadata ${file}:`, error.message);
+    }
+  }
+  
+  for (const file of await findFiles(ctx, ctx.config.paths.codeowners)) {
+    try {
+      const owners = parseCodeowners(fs.readFileSync(resolvePath(ctx, file), 'utf8'));
+      
+      if (owners.length > 0) sources.push(file);
+      owners.forEach(owner => add({ ...owner, role: 'maintainer' }, file));
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not parse ${file}:`, error.message);
+    }
+  }
+  
+  if (ctx.owner) {
+    add({ name: null, github: [ctx.owner], emails: [], role: 'maintainer' }, 'repository');
+  }
+  
+  // The mailmap adds the other emails people committed under
+  let aliases = [];
+  for (const file of await findFiles(ctx, ctx.config.paths.mailmap)) {
+    try {
+      aliases = [...aliases, ...parseMailmap(fs.readFileSync(resolvePath(ctx, file), 'utf8'))];
+      sources.push(file);
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not parse ${file}:`, error.message);
+    }
+  }
+  
+  for (const alias of aliases) {
+    const person = people.find(candidate =>
+      (alias.properEmail && candidate.emails.includes(alias.properEmail)) ||
+      (alias.properName && candidate.name && candidate.name.toLowerCase() === alias.properName.toLowerCase()));
+    
+    if (person && !person.emails.includes(alias.commitEmail)) {
+      person.emails.push(alias.commitEmail);
+    }
+  }
+  
+  return { people, aliases, sources };
+}
+
+// Normalise the list of authors in front matter or article metadata
+function normalizeAuthors(raw) {
+  const list = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  
+  return list
+    .map(author => typeof author === 'string' ? parseAuthorString(author) : author)
+    .filter(author => author && typeof author === 'object')
+    .map(author => {
+      const github = [author.github, author.login, author.handle, githubHandleFromUrl(author.url)]
+        .filter(Boolean)
+        .map(handle => String(handle).replace(/^@/, '').trim());
+      const emails = [author.email, ...(Array.isArray(author.emails) ? author.emails : [])]
+        .filter(Boolean)
+        .map(email => String(email).trim());
+      
+      return { name: author.name ? String(author.name).trim() : null, github: [...new Set(github)], emails };
+    })
+    .filter(author => author.name || author.github.length > 0 || author.emails.length > 0);
+}
+
+// Parse "@handle", "Name <email>" or a plain name
+function parseAuthorString(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('@')) return { github: trimmed };
+  
+  const match = trimmed.match(/^(.*?)\s*<([^>]+)>$/);
+  return match ? { name: match[1] || null, email: match[2] } : { name: trimmed };
+}
+
+// Extract the handle from a https://github.com/<handle> profile url
+function githubHandleFromUrl(url) {
+  const match = String(url || '').match(/^https?:\/\/(?:www\.)?github\.com\/([A-Za-z0-9-]+)\/?$/);
+  return match ? match[1] : null;
+}
+
+// Parse the owners of a CODEOWNERS file into people
+//
+// Users (@handle) and emails become people; teams (@org/team) are skipped.
+function parseCodeowners(text) {
+  const owners = new Set();
+  
+  for (const line of text.split('\n')) {
+    const content = line.replace(/#.*$/, '').trim();
+    if (!content) continue;
+    
+    // The first field is the path pattern
+    content.split(/\s+/).slice(1).forEach(owner => owners.add(owner));
+  }
+  
+  return [...owners]
+    .filter(owner => !owner.includes('/'))
+    .map(owner => owner.startsWith('@')
+      ? { name: null, github: [owner.slice(1)], emails: [] }
+      : { name: null, github: [], emails: [owner] });
+}
+
+// Parse a mailmap into { properName, properEmail, commitName, commitEmail } entries
+//
+// Emails are lowercased; see gitmailmap(5) for the four line forms.
+function parseMailmap(text) {
+  const entries = [];
+  
+  for (const line of text.split('\n')) {
+    const content = line.replace(/#.*$/, '').trim();
+    const match = content.match(/^([^<]*?)\s*<([^>]*)>(?:\s*([^<]*?)\s*<([^>]*)>)?$/);
+    if (!match) continue;
+    
+    const [, properName, firstEmail, commitName, secondEmail] = match;
+    entries.push({
+      properName: properName || null,
+      // With one email, it is the commit email and the proper one alike
+      properEmail: secondEmail !== undefined ? firstEmail.toLowerCase() : null,
+      commitName: commitName || null,
+      commitEmail: (secondEmail !== undefined ? secondEmail : firstEmail).toLowerCase()
+    });
+  }
+  
+  return entries;
+}
+
+// Find the person behind a GitHub login or a commit name and email
+function resolveIdentity(identities, { login = null, name = null, email = null }) {
+  const canonical = canonicalCommitter(identities, { name, email });
+  const handle = login && login.toLowerCase();
+  const address = canonical.email && canonical.email.toLowerCase();
+  
+  return identities.people.find(person =>
+    (handle && person.github.includes(handle)) ||
+    (address && person.emails.includes(address))) || null;
+}
+
+// Map a commit name and email to the identity the mailmap gives them
+function canonicalCommitter(identities, { name, email }) {
+  const address = email && email.toLowerCase();
+  const alias = identities.aliases.find(entry =>
+    entry.commitEmail === address && (!entry.commitName || entry.commitName === name));
+  
+  if (!alias) return { name, email };
+  
+  return {
+    name: alias.properName || name,
+    email: alias.properEmail || email
+  };
+}
+
+// Check whether a GitHub login or committer is a listed author or delegated maintainer
+function isAuthor(identities, user) {
+  return resolveIdentity(identities, user) !== null;
+}
+
+module.exports = {
+  loadIdentities,
+  normalizeAuthors,
+  parseCodeowners,
+  parseMailmap,
+  resolveIdentity,
+  canonicalCommitter,
+  isAuthor
+};
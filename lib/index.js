@@ -0,0 +1,40 @@
+// Recursive Distill coherence toolkit
+//
+// Programmatic API for the coherence check, explanation and diff, attribution map,
+// residue analysis, coherence report and diagnostic export formats. Every
+// entry point accepts an options object ({ cwd, repository, token, octokit,
+// forge, snapshot, policy, plugins, config, logger, write }) or a context
+// created with createContext(), and returns its results instead of exiting.
+
+const { defaultConfig, mergeConfig } = require('./config');
+const { createContext } = require('./context');
+const policy = require('./policy');
+const analyzers = require('./analyzers');
+const { parseArticleContents } = require('./articles');
+const identity = require('./identity');
+const forge = require('./forge');
+const { exportSnapshot } = require('./forge/export');
+const coherence = require('./coherence');
+const attribution = require('./attribution');
+const residue = require('./residue');
+const report = require('./report');
+const diff = require('./diff');
+const diagnostics = require('./diagnostics');
+
+module.exports = {
+  defaultConfig,
+  mergeConfig,
+  createContext,
+  ...policy,
+  ...analyzers,
+  parseArticleContents,
+  ...identity,
+  ...forge,
+  exportSnapshot,
+  ...coherence,
+  ...attribution,
+  ...residue,
+  ...report,
+  ...diff,
+  ...diagnostics
+};
@@ -0,0 +1,293 @@
+// markdown.js
+//
+// Markdown structure helpers for the analyzers: splits article content into
+// blocks (headings, paragraphs, list items, footnotes, tables) and blocks into
+// sentences, keeping file line and column positions for every piece of text.
+// Fenced code, math blocks and HTML comments are skipped.
+
+// Words that end with a period without ending a sentence. "al" and "no" are
+// also ordinary words, so they only count in context: see isNonTerminalPeriod
+const abbreviations = new Set([
+  'approx', 'cf', 'ch', 'dr', 'e.g', 'eq', 'eqs', 'esp', 'etc', 'fig', 'figs',
+  'i.e', 'incl', 'jr', 'mr', 'mrs', 'ms', 'p', 'pp', 'prof', 'ref',
+  'refs', 'sec', 'secs', 'sr', 'st', 'viz', 'vol', 'vs', 'resp'
+]);
+
+// Parse markdown into positioned blocks
+//
+// `lineOffset` is the number of file lines before `markdown` starts (for
+// example, the front matter), so reported lines match the source file.
+function parseBlocks(markdown, lineOffset = 0) {
+  const blocks = [];
+  const lines = markdown.split('\n');
+  
+  let current = null;
+  let fence = null;
+  let inComment = false;
+  
+  const close = () => {
+    if (current) {
+      current.text = current.lines.map(l => l.text).join('\n');
+      blocks.push(current);
+      current = null;
+    }
+  };
+  
+  const open = (type, line, column, text, extra = {}) => {
+    close();
+    current = { type, line, column, lines: [{ line, column, text }], ...extra };
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i].replace(/\r$/, '');
+    const lineNumber = lineOffset + i + 1;
+    
+    // Skip fenced code and display math
+    if (fence) {
+      if (raw.trim().startsWith(fence)) fence = null;
+      continue;
+    }
+    const fenceMatch = raw.match(/^\s*(```|~~~|\$\$)/);
+    if (fenceMatch) {
+      close();
+      // A one-line $$...$$ block opens and closes on the same line
+      if (!(fenceMatch[1] === '$$' && raw.trim().length > 2 && raw.trim().endsWith('$$'))) {
+        fence = fenceMatch[1];
+      }
+      continue;
+    }
+    
+    // Skip HTML comments
+    if (inComment) {
+      if (raw.includes('-->')) inComment = false;
+      continue;
+    }
+    if (/^\s*<!--/.test(raw)) {
+      close();
+      inComment = !raw.includes('-->');
+      continue;
+    }
+    
+    if (!raw.trim()) {
+      close();
+      continue;
+    }
+    
+    const heading = raw.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      open('heading', lineNumber, raw.indexOf(heading[2]) + 1, heading[2], { level: heading[1].length });
+      close();
+      continue;
+    }
+    
+    const footnote = raw.match(/^(\[\^([^\]]+)\]:\s*)(.*)$/);
+    if (footnote) {
+      open('footnote', lineNumber, footnote[1].length + 1, footnote[3], { label: footnote[2] });
+      continue;
+    }
+    
+    if (/^\s*\|/.test(raw)) {
+      if (!current || current.type !== 'table') {
+        open('table', lineNumber, 1, raw);
+      } else {
+        current.lines.push({ line: lineNumber, column: 1, text: raw });
+      }
+      continue;
+    }
+    
+    // Strip blockquote markers but keep the quoted text
+    const quote = raw.match(/^(\s*>\s?)+/);
+    const body = quote ? raw.slice(quote[0].length) : raw;
+    const bodyColumn = quote ? quote[0].length + 1 : 1;
+    
+    const listItem = body.match(/^(\s*)([-*+]|\d+[.)])\s+/);
+    if (listItem) {
+      open('list-item', lineNumber, bodyColumn + listItem[0].length, body.slice(listItem[0].length), {
+        indent: listItem[1].length
+      });
+      continue;
+    }
+    
+    const indent = body.match(/^\s*/)[0].length;
+    const text = body.slice(indent);
+    
+    if (current && ['paragraph', 'list-item', 'footnote'].includes(current.type)) {
+      current.lines.push({ line: lineNumber, column: bodyColumn + indent, text });
+    } else {
+      open('paragraph', lineNumber, bodyColumn + indent, text);
+    }
+  }
+  
+  close();
+  return blocks;
+}
+
+// Record on each block the titles of the headings it sits under
+//
+// `block.headings` lists the enclosing headings outermost first; a heading's
+// own list ends with its title.
+function assignSections(blocks) {
+  const stack = [];
+  
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      while (stack.length > 0 && stack[stack.length - 1].level >= block.level) stack.pop();
+      stack.push(block);
+    }
+    block.headings = stack.map(heading => heading.text);
+  }
+  
+  return blocks;
+}
+
+// Map an offset within a block's text to a file line and column
+function locate(block, offset) {
+  let remaining = offset;
+  
+  for (const line of block.lines) {
+    if (remaining <= line.text.length) {
+      return { line: line.line, column: line.column + remaining };
+    }
+    remaining -= line.text.length + 1; // +1 for the joining newline
+  }
+  
+  const last = block.lines[block.lines.length - 1];
+  return { line: last.line, column: last.column + last.text.length };
+}
+
+// Check whether the period at `index` ends an abbreviation, initial or decimal
+function isNonTerminalPeriod(text, index, start) {
+  const before = text.slice(start, index);
+  
+  // Decimal numbers and version strings (3.14, v1.2)
+  if (/\d$/.test(before) && /^\d/.test(text.slice(index + 1))) {
+    return true;
+  }
+  
+  const word = (before.match(/([A-Za-z][A-Za-z.]*)$/) || [])[1];
+  if (!word) {
+    return false;
+  }
+  
+  // Dotted abbreviations (e.g., U.S.)
+  if (/[A-Za-z]\.[A-Za-z]$/.test(word)) {
+    return true;
+  }
+  
+  // A capital letter is an initial only where a name goes on (J. Smith)
+  if (/^[A-Z]$/.test(word)) {
+    return isInitial(text, index, before);
+  }
+  
+  // "et al." and numbered references ("No. 3", "Nos. 4-5")
+  if (word === 'al') {
+    return /\bet\s+$/i.test(before.slice(0, -word.length));
+  }
+  if (/^nos?$/i.test(word)) {
+    return /^\s*\d/.test(text.slice(index + 1));
+  }
+  
+  return abbreviations.has(word.toLowerCase());
+}
+
+// Check whether a single capital letter before the period at `index` is an
+// initial rather than a sentence-final symbol ("X causes Y. See...")
+//
+// It is when another initial follows (J. R. Tolkien), inside parentheses or
+// brackets (Smith, J. 2020), or when a capitalised name follows and the letter
+// opens the sentence, follows a name or initial (John F. Kennedy, Smith, J.),
+// or sits in a list of authors (J. Smith and K. Lee, J. Smith (2020)).
+function isInitial(text, index, before) {
+  const after = text.slice(index + 1);
+  const preceding = before.slice(0, -1);
+  
+  if (/^\s+[A-Z]\./.test(after)) return true;
+  if (preceding.split('(').length > preceding.split(')').length ||
+      preceding.split('[').length > preceding.split(']').length) return true;
+  if (!/^\s+[A-Z][a-z'’-]+/.test(after)) return false;
+  
+  return preceding.trim() === '' ||
+    /(^|\s)[A-Z][a-z'’-]*\.?,?\s+$/.test(preceding) ||
+    /[A-Z]\.\s+[A-Z][a-z'’-]+,?\s+(and|&)\s+$/.test(preceding) ||
+    /^\s+[A-Z][a-z'’-]+(,?\s+(and\s+|&\s+)?[A-Z]\.|\s+\(\d{4})/.test(after);
+}
+
+// Split a block into sentences with their positions
+function splitSentences(block) {
+  const text = block.text;
+  const sentences = [];
+  let start = 0;
+  
+  const push = end => {
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const sentenceText = raw.trim();
+    
+    if (sentenceText) {
+      const begin = start + leading;
+      sentences.push({
+        text: sentenceText,
+        start: begin,
+        end: begin + sentenceText.length,
+        ...locate(block, begin)
+      });
+    }
+    start = end;
+  };
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch !== '.' && ch !== '!' && ch !== '?') continue;
+    if (ch === '.' && isNonTerminalPeriod(text, i, start)) continue;
+    
+    // Extend over ellipses, closing punctuation and trailing citations
+    let j = i + 1;
+    for (;;) {
+      const rest = text.slice(j);
+      const trailing = rest.match(/^([.!?]+|["'”’)\]*_]+|\[\^[^\]]+\]|\[@[^\]]+\])/);
+      if (!trailing) break;
+      j += trailing[0].length;
+    }
+    
+    if (j >= text.length) {
+      push(text.length);
+      break;
+    }
+    
+    // A boundary needs whitespace followed by something that can start a sentence
+    if (/\s/.test(text[j])) {
+      const next = text.slice(j).match(/^\s+(.)/);
+      if (!next || /[A-Z0-9"“'‘(\[*_`]/.test(next[1])) {
+        push(j);
+      }
+    }
+    
+    i = j - 1;
+  }
+  
+  push(text.length);
+  return sentences;
+}
+
+// Split markdown into positioned sentences from prose blocks
+function extractSentences(markdown, lineOffset = 0, types = ['paragraph', 'list-item']) {
+  const sentences = [];
+  
+  for (const block of parseBlocks(markdown, lineOffset)) {
+    if (!types.includes(block.type)) continue;
+    
+    for (const sentence of splitSentences(block)) {
+      sentences.push({ ...sentence, block });
+    }
+  }
+  
+  return sentences;
+}
+
+module.exports = {
+  parseBlocks,
+  assignSections,
+  locate,
+  splitSentences,
+  extractSentences
+};
@@ -0,0 +1,11 @@
+// natural.js
+//
+// The natural NLP library, loaded so that the dotenv package it pulls in does
+// not print notices on stdout, where they would corrupt the CLI's JSON and
+// diagnostic output and that of any program using the library. Analyzers
+// require natural through this module.
+
+// An explicit setting by the caller wins
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+
+module.exports = require('natural');
@@ -0,0 +1,281 @@
+// policy.js
+//
+// Coherence policy: the thresholds, component weights, sub-metric weights,
+// path globs and analyzers an article is checked with. The policy lives in a
+// coherence.config.json, .yml or .js file at the root of the article
+// repository, overriding the defaults in config.js:
+//
+//   thresholds:
+//     overall: 0.75
+//   weights:
+//     feedback: 0.5
+//   subMetrics:
+//     signal: { citationScore: 0.4, claimsScore: 0.4, dataScore: 0.1, codeScore: 0.1 }
+//   analyzers:
+//     codeScore: false
+//   aggregation:
+//     method: min-gated
+//     gate: 0.4
+//   sla:
+//     firstResponse: 3
+//     shells: { empirical: { resolution: 60 } }
+//   plugins:
+//     - ./checks/figure-captions.js
+//
+// Plugins add sub-metrics of their own (see analyzers.js), which the policy
+// can weigh and disable like the built-in ones.
+//
+// An article can override the policy in its front matter under `coherence`
+// (thresholds, weights, subMetrics and analyzers only), so a theory article
+// without data or code can weigh its citations and claims more heavily. The
+// override applies to that file and its sections only, in the per-file and
+// per-section scores; the repository's scores keep the policy file's
+// settings, whatever order the files are read in. The aggregation method is
+// set for the whole repository only, so that the articles' scores stay
+// comparable.
+// Options passed by the caller, such as --threshold on the command line,
+// take precedence over both.
+//
+// Policies are validated when loaded; a PolicyError lists every problem.
+
+const fs = require('fs');
+const path = require('path');
+const { defaultConfig, mergeConfig, isPlainObject } = require('./config');
+const { parseStructured } = require('./text');
+const { loadAnalyzers, analyzerWeights } = require('./analyzers');
+const { aggregationMethods } = require('./coherence/aggregate');
+const { shellTypes } = require('./coherence/shells');
+
+// Policy file names, in order of precedence
+const policyFiles = ['coherence.config.json', 'coherence.config.yml', 'coherence.config.yaml', 'coherence.config.js'];
+
+// Sections a policy file and an article's front matter may set
+const policySections = ['thresholds', 'weights', 'subMetrics', 'analyzers', 'aggregation', 'sla', 'plugins', 'paths', 'reportPeriod'];
+const articleSections = ['thresholds', 'weights', 'subMetrics', 'analyzers'];
+
+class PolicyError extends Error {
+  constructor(source, problems) {
+    super(`Invalid coherence policy in ${source}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'PolicyError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+// Find and load the policy file of an article repository, and its plugins
+//
+// `file` names the policy explicitly, false skips it; otherwise the first
+// policy file found at `cwd` is used. `plugins` adds analyzer plugins to
+// those the policy lists. Returns { file, policy, plugins }, with a null
+// file when there is none.
+function loadPolicy(cwd, file = null, plugins = []) {
+  const found = file === false
+    ? null
+    : file
+      ? path.resolve(cwd, file)
+      : policyFiles.map(name => path.join(cwd, name)).find(candidate => fs.existsSync(candidate));
+  const name = found ? path.relative(cwd, found) : 'plugins';
+  
+  let policy = {};
+  if (found) {
+    try {
+      policy = (found.endsWith('.js')
+        ? require(found)
+        : parseStructured(fs.readFileSync(found, 'utf8'), found)) || {};
+    } catch (error) {
+      throw new PolicyError(name, [`Could not read the policy: ${error.message}`]);
+    }
+  }
+  
+  // Plugins register sub-metrics the rest of the policy may refer to
+  const specs = Array.isArray(policy.plugins) ? policy.plugins : [];
+  const loaded = loadAnalyzers(cwd, [...specs, ...plugins]);
+  if (loaded.problems.length > 0) {
+    throw new PolicyError(name, loaded.problems);
+  }
+  
+  const { subMetrics } = mergeConfig(defaultConfig, analyzerWeights(loaded.analyzers));
+  return { file: found ? name : null, policy: validatePolicy(policy, name, policySections, subMetrics), plugins: loaded.analyzers };
+}
+
+// Validate a policy against the shape of the default configuration
+//
+// `subMetrics` lists the sub-metric weights of every component, including
+// those plugins register.
+function validatePolicy(policy, source, sections = policySections, subMetrics = defaultConfig.subMetrics) {
+  const problems = [];
+  
+  if (!isPlainObject(policy)) {
+    throw new PolicyError(source, ['The policy must be a mapping']);
+  }
+  
+  const number = (value, where, max = Infinity) => {
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > max) {
+      problems.push(`${where} must be a number${max === 1 ? ' between 0 and 1' : ' of at least 0'}, got ${JSON.stringify(value)}`);
+    }
+  };
+  const mapping = (value, where) => {
+    if (isPlainObject(value)) return true;
+    problems.push(`${where} must be a mapping`);
+    return false;
+  };
+  const known = (key, allowed, where) => {
+    if (allowed.includes(key)) return true;
+    problems.push(`Unknown ${where} "${key}" (expected one of ${allowed.join(', ')})`);
+    return false;
+  };
+  
+  const subMetricKeys = Object.values(subMetrics).flatMap(weights => Object.keys(weights));
+  
+  for (const [section, value] of Object.entries(policy)) {
+    if (!known(section, sections, 'setting')) continue;
+    
+    if (section === 'plugins') {
+      if (!Array.isArray(value) || value.some(spec => typeof spec !== 'string')) {
+        problems.push('plugins must be a list of module paths or package names');
+      }
+      continue;
+    }
+    
+    if (!mapping(value, section)) continue;
+    
+    for (const [key, setting] of Object.entries(value)) {
+      switch (section) {
+        case 'thresholds':
+          if (known(key, Object.keys(defaultConfig.thresholds), 'threshold')) number(setting, `thresholds.${key}`, 1);
+          break;
+        case 'weights':
+          if (known(key, Object.keys(defaultConfig.weights), 'component weight')) number(setting, `weights.${key}`);
+          break;
+        case 'subMetrics':
+          if (!known(key, Object.keys(subMetrics), 'component') || !mapping(setting, `subMetrics.${key}`)) break;
+          for (const [metric, weight] of Object.entries(setting)) {
+            if (known(metric, Object.keys(subMetrics[key]), `${key} sub-metric`)) {
+              number(weight, `subMetrics.${key}.${metric}`);
+            }
+          }
+          break;
+        case 'analyzers':
+          if (known(key, subMetricKeys, 'analyzer') && typeof setting !== 'boolean') {
+            problems.push(`analyzers.${key} must be true or false, got ${JSON.stringify(setting)}`);
+          }
+          break;
+        case 'aggregation':
+          if (!known(key, Object.keys(defaultConfig.aggregation), 'aggregation setting')) break;
+          if (key === 'gate') {
+            number(setting, 'aggregation.gate', 1);
+          } else if (!aggregationMethods.includes(setting)) {
+            problems.push(`aggregation.method must be one of ${aggregationMethods.join(', ')}, got ${JSON.stringify(setting)}`);
+          }
+          break;
+        case 'sla':
+          if (!known(key, Object.keys(defaultConfig.sla), 'SLA setting')) break;
+          if (key !== 'shells') {
+            number(setting, `sla.${key}`);
+            break;
+          }
+          if (!mapping(setting, 'sla.shells')) break;
+          for (const [shell, levels] of Object.entries(setting)) {
+            if (!known(shell, shellTypes, 'critique shell') || !mapping(levels, `sla.shells.${shell}`)) continue;
+            for (const [measure, days] of Object.entries(levels)) {
+              if (known(measure, ['firstResponse', 'resolution'], 'SLA measure')) number(days, `sla.shells.${shell}.${measure}`);
+            }
+          }
+          break;
+        case 'paths':
+          if (known(key, Object.keys(defaultConfig.paths), 'path') && typeof setting !== 'string') {
+            problems.push(`paths.${key} must be a string, got ${JSON.stringify(setting)}`);
+          }
+          break;
+        case 'reportPeriod':
+          if (known(key, Object.keys(defaultConfig.reportPeriod), 'report period setting')) number(setting, `reportPeriod.${key}`);
+          break;
+      }
+    }
+  }
+  
+  // The aggregation divides by the total component weight
+  if (isPlainObject(policy.weights)) {
+    const weights = { ...defaultConfig.weights, ...policy.weights };
+    if (Object.values(weights).every(weight => weight === 0)) {
+      problems.push('weights must not all be 0');
+    }
+  }
+  
+  if (problems.length > 0) {
+    throw new PolicyError(source, problems);
+  }
+  
+  return policy;
+}
+
+// Apply the front-matter policy overrides of the articles to a context
+//
+// Returns the context itself when no article overrides the policy, and
+// otherwise a copy with `articleConfigs`, the configuration of each
+// overriding file: the repository's with the file's overrides merged in
+// below the caller's own options. The repository's configuration is left
+// as it is.
+function applyArticlePolicy(ctx, articles) {
+  const overriding = articles.filter(article => article.metadata && article.metadata.coherence);
+  if (overriding.length === 0) return ctx;
+  
+  const articleConfigs = {};
+  const overrides = [];
+  for (const article of overriding) {
+    const policy = validatePolicy(article.metadata.coherence, `${article.file} front matter`, articleSections, ctx.config.subMetrics);
+    articleConfigs[article.file] = mergeConfig(mergeConfig(ctx.config, policy), ctx.policy.overrides);
+    overrides.push({ file: article.file, overrides: policy });
+  }
+  
+  return {
+    ...ctx,
+    articleConfigs,
+    policy: { ...ctx.policy, articles: overrides }
+  };
+}
+
+// Resolve a component's sub-metric descriptors against the configuration
+//
+// Adds each sub-metric's configured weight and drops disabled analyzers.
+function resolveSubMetrics(config, component, subMetrics) {
+  const weights = config.subMetrics[component] || {};
+  
+  return subMetrics
+    .filter(metric => config.analyzers[metric.key] !== false)
+    .map(metric => ({ ...metric, weight: weights[metric.key] ?? 0 }));
+}
+
+// Weighted mean of sub-metric scores, normalised by the total weight
+function weightedScore(components, subMetrics) {
+  const total = subMetrics.reduce((sum, metric) => sum + metric.weight, 0);
+  
+  // A component whose analyzers are all disabled does not constrain Δ−p
+  if (total === 0) return 1;
+  
+  return subMetrics.reduce((sum, metric) => sum + components[metric.key] * metric.weight, 0) / total;
+}
+
+// Describe the effective policy for the report metadata
+function describePolicy(ctx) {
+  return {
+    file: ctx.policy ? ctx.policy.file : null,
+    articles: ctx.policy ? ctx.policy.articles : [],
+    thresholds: ctx.config.thresholds,
+    weights: ctx.config.weights,
+    aggregation: ctx.config.aggregation,
+    subMetrics: ctx.config.subMetrics,
+    disabledAnalyzers: Object.keys(ctx.config.analyzers).filter(key => ctx.config.analyzers[key] === false)
+  };
+}
+
+module.exports = {
+  policyFiles,
+  PolicyError,
+  loadPolicy,
+  validatePolicy,
+  applyArticlePolicy,
+  resolveSubMetrics,
+  weightedScore,
+  describePolicy
+};
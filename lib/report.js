@@ -0,0 +1,377 @@
+// coherence-report
+//
+// This module generates comprehensive coherence reports for Recursive Distill articles,
+// analyzing coherence trends over time and providing detailed breakdowns of coherence components.
+
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const { createContext, resolvePath } = require('./context');
+
+// Main function - returns the period report and writes history and report to meta/
+async function generateCoherenceReport(options = {}) {
+  const ctx = createContext(options);
+  ctx.logger.log('📊 Generating Comprehensive Coherence Report...');
+  
+  // Load coherence history or create new one
+  const coherenceHistory = loadCoherenceHistory(ctx);
+  
+  // Get current coherence data
+  const currentCoherence = getCurrentCoherence(ctx);
+  
+  // Add to history
+  addToCoherenceHistory(coherenceHistory, currentCoherence);
+  
+  // Generate report for the specified period
+  const report = await generatePeriodReport(ctx, coherenceHistory);
+  
+  // Save history and report
+  if (ctx.write) {
+    const metaDir = resolvePath(ctx, ctx.config.paths.meta);
+    if (!fs.existsSync(metaDir)) {
+      fs.mkdirSync(metaDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(
+      resolvePath(ctx, ctx.config.paths.coherenceHistory), 
+      JSON.stringify(coherenceHistory, null, 2)
+    );
+    
+    fs.writeFileSync(
+      resolvePath(ctx, ctx.config.paths.coherenceReport), 
+      JSON.stringify(report, null, 2)
+    );
+  }
+  
+  ctx.logger.log('✅ Coherence report generated successfully.');
+  ctx.logger.log(`📈 Overall Coherence: ${report.overall.current.toFixed(2)} ${getChangeIndicator(report.overall.current, report.overall.comparable ? report.overall.previous : null)}`);
+  
+  return report;
+}
+
+// Load coherence history
+function loadCoherenceHistory(ctx) {
+  const historyPath = resolvePath(ctx, ctx.config.paths.coherenceHistory);
+  
+  if (fs.existsSync(historyPath)) {
+    try {
+      return JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    } catch (error) {
+      ctx.logger.warn('Could not parse existing coherence history, creating new one:', error.message);
+    }
+  }
+  
+  return {
+    entries: [],
+    metadata: {
+      repository: `${ctx.owner}/${ctx.repo}`,
+      created: new Date().toISOString(),
+      version: '1.0.0'
+    }
+  };
+}
+
+// Get current coherence data
+function getCurrentCoherence(ctx) {
+  const coherencePath = resolvePath(ctx, ctx.config.paths.coherenceOutput);
+  
+  if (!fs.existsSync(coherencePath)) {
+    throw new Error('Coherence data not found. Run the coherence check first.');
+  }
+  
+  try {
+    const coherenceData = JSON.parse(fs.readFileSync(coherencePath, 'utf8'));
+    
+    return {
+      timestamp: new Date().toISOString(),
+      overallScore: coherenceData.overallScore,
+      components: coherenceData.components,
+      details: coherenceData.details,
+      metadata: coherenceData.metadata
+    };
+  } catch (error) {
+    throw new Error(`Could not parse coherence data: ${error.message}`);
+  }
+}
+
+// Aggregation method a history entry's overall score was computed with
+function aggregationMethod(entry) {
+  const aggregation = entry.metadata && entry.metadata.aggregation;
+  
+  // Entries from before the method was recorded used the geometric mean
+  return aggregation ? aggregation.method : 'geometric';
+}
+
+// Add current coherence to history
+function addToCoherenceHistory(history, currentCoherence) {
+  history.entries.push(currentCoherence);
+  
+  // Sort entries by timestamp (oldest first)
+  history.entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  
+  // Update metadata
+  history.metadata.lastUpdated = new Date().toISOString();
+  history.metadata.entryCount = history.entries.length;
+}
+
+// Generate report for specified period
+async function generatePeriodReport(ctx, history) {
+  // Calculate period start date
+  const now = new Date();
+  const periodStart = new Date(now.getTime() - (ctx.config.reportPeriod.days * 24 * 60 * 60 * 1000));
+  
+  // Get entries for the period
+  const periodEntries = history.entries.filter(entry => 
+    new Date(entry.timestamp) >= periodStart
+  );
+  
+  // Get latest entry before period for comparison
+  const previousEntries = history.entries.filter(entry => 
+    new Date(entry.timestamp) < periodStart
+  );
+  
+  const previousEntry = previousEntries.length > 0 
+    ? previousEntries[previousEntries.length - 1] 
+    : null;
+  
+  // Get current (latest) coherence
+  const currentEntry = history.entries.length > 0
+    ? history.entries[history.entries.length - 1]
+    : null;
+  
+  if (!currentEntry) {
+    throw new Error('No coherence data available for reporting.');
+  }
+  
+  // Calculate period metrics; overall scores aggregated differently are not compared
+  const aggregation = aggregationMethod(currentEntry);
+  const comparable = !previousEntry || aggregationMethod(previousEntry) === aggregation;
+  const overallCurrent = currentEntry.overallScore;
+  const overallPrevious = previousEntry ? previousEntry.overallScore : null;
+  
+  // Component metrics
+  const componentMetrics = {};
+  
+  for (const [component, value] of Object.entries(currentEntry.components)) {
+    componentMetrics[component] = {
+      current: value,
+      previous: previousEntry ? previousEntry.components[component] : null,
+      change: previousEntry 
+        ? value - previousEntry.components[component] 
+        : null,
+      details: currentEntry.details[component] || [],
+      recommendations: generateComponentRecommendations(component, value)
+    };
+  }
+  
+  // Fetch repository activity data
+  const repoActivity = await fetchRepositoryActivity(ctx, periodStart);
+  
+  // Get attribution data if available
+  const attributionPath = resolvePath(ctx, ctx.config.paths.attributionOutput);
+  let attributionData = { activeContributors: 0, newContributors: 0, density: 0 };
+  try {
+    if (fs.existsSync(attributionPath)) {
+      const attribution = JSON.parse(fs.readFileSync(attributionPath, 'utf8'));
+      attributionData = {
+        activeContributors: attribution.nodes.filter(n => n.type === 'contributor').length,
+        newContributors: attribution.nodes.filter(n => 
+          n.type === 'contributor' && 
+          new Date(n.firstContribution || now) >= periodStart
+        ).length,
+        density: attribution.metadata.metrics?.density || 0
+      };
+    }
+  } catch (error) {
+    ctx.logger.warn('Could not load attribution data:', error.message);
+  }
+  
+  // Get residue data if available
+  const residuePath = resolvePath(ctx, ctx.config.paths.residueOutput);
+  let residueData = { new: 0, resolved: 0, active: 0, dominantType: 'None' };
+  try {
+    if (fs.existsSync(residuePath)) {
+      const residue = JSON.parse(fs.readFileSync(residuePath, 'utf8'));
+      residueData = {
+        new: residue.instances.filter(i => new Date(i.detected) >= periodStart).length,
+        resolved: residue.instances.filter(i => 
+          i.status === 'resolved' && 
+          new Date(i.resolvedAt || now) >= periodStart
+        ).length,
+        active: residue.instances.filter(i => i.status === 'active').length,
+        dominantType: residue.meta.metrics?.dominantClassification || 'None'
+      };
+    }
+  } catch (error) {
+    ctx.logger.warn('Could not load residue data:', error.message);
+  }
+  
+  // Generate overall recommendations
+  const recommendations = generateOverallRecommendations(componentMetrics, repoActivity, residueData);
+  
+  // Construct the final report
+  return {
+    period: {
+      start: periodStart.toISOString(),
+      end: now.toISOString(),
+      days: ctx.config.reportPeriod.days
+    },
+    overall: {
+      current: overallCurrent,
+      previous: overallPrevious,
+      change: overallPrevious !== null && comparable ? overallCurrent - overallPrevious : null,
+      aggregation,
+      comparable
+    },
+    components: componentMetrics,
+    commits: repoActivity.commits,
+    issuesAddressed: repoActivity.closedIssues,
+    openIssues: repoActivity.openIssues,
+    attribution: attributionData,
+    residue: residueData,
+    recommendations,
+    metadata: {
+      repository: `${ctx.owner}/${ctx.repo}`,
+      generated: now.toISOString(),
+      coherenceEntries: periodEntries.length,
+      version: '1.0.0'
+    }
+  };
+}
+
+// Generate component-specific recommendations
+function generateComponentRecommendations(component, value) {
+  // Default recommendations for each component
+  const defaultRecommendations = {
+    signalAlignment: [
+      'Add more citations to support claims',
+      'Include evidence for empirical statements',
+      'Link assertions to data or references',
+      'Clarify which parts are speculation vs. established fact'
+    ],
+    feedbackResponsiveness: [
+      'Address open issues more promptly',
+      'Incorporate reviewer feedback more thoroughly',
+      'Document changes made in response to feedback',
+      'Implement suggestions from past reviews'
+    ],
+    boundedIntegrity: [
+      'More clearly define scope boundaries',
+      'Reduce topic drift in later sections',
+      'Ensure consistent terminology throughout',
+      'Clarify what is in-scope vs. out-of-scope'
+    ],
+    elasticTolerance: [
+      'Better acknowledge contradictory evidence',
+      'Include multiple perspectives on complex topics',
+      'More explicitly acknowledge limitations',
+      'Represent uncertainty more clearly'
+    ]
+  };
+  
+  // Return recommendations based on component value
+  if (value < 0.7) {
+    // Return all recommendations for low values
+    return defaultRecommendations[component] || [];
+  } else if (value < 0.85) {
+    // Return top two recommendations for medium values
+    return (defaultRecommendations[component] || []).slice(0, 2);
+  } else {
+    // Return top recommendation for high values
+    return (defaultRecommendations[component] || []).slice(0, 1);
+  }
+}
+
+// Generate overall recommendations
+function generateOverallRecommendations(componentMetrics, repoActivity, residueData) {
+  const recommendations = [];
+  
+  // Add recommendations for low-scoring components
+  for (const [component, metrics] of Object.entries(componentMetrics)) {
+    if (metrics.current < 0.7) {
+      recommendations.push(
+        `Improve ${component} (${metrics.current.toFixed(2)}) by implementing the following: ${metrics.recommendations[0]}`
+      );
+    }
+  }
+  
+  // Activity-based recommendations
+  if (repoActivity.commitCount === 0) {
+    recommendations.push('Increase development activity with regular commits to improve content and address issues');
+  }
+  
+  if (repoActivity.closedIssues === 0 && repoActivity.openIssues > 0) {
+    recommendations.push('Address open issues to improve feedback responsiveness');
+  }
+  
+  // Residue-based recommendations
+  if (residueData.active > 10 && residueData.resolved === 0) {
+    recommendations.push('Address accumulated symbolic residue to improve conceptual clarity');
+  }
+  
+  // If everything looks good
+  if (recommendations.length === 0) {
+    recommendations.push('Maintain current coherence practices and continue regular improvements');
+  }
+  
+  return recommendations;
+}
+
+// Fetch repository activity
+async function fetchRepositoryActivity(ctx, periodStart) {
+  try {
+    // Get commits since period start
+    const { stdout: commitOutput } = await exec(
+      `git log --since="${periodStart.toISOString()}" --format="%H"`,
+      { cwd: ctx.cwd }
+    );
+    const commits = commitOutput.trim().split('\n').filter(Boolean);
+    
+    // Fetch issues
+    const openIssueRecords = await ctx.forge.listIssues({ state: 'open' });
+    const closedIssueRecords = await ctx.forge.listIssues({
+      state: 'closed',
+      since: periodStart.toISOString()
+    });
+    
+    // Filter out PRs from issues
+    const openIssues = openIssueRecords.filter(issue => !issue.pull_request);
+    const closedIssues = closedIssueRecords.filter(issue => !issue.pull_request);
+    
+    return {
+      commitCount: commits.length,
+      commits: commits.map(hash => hash.substring(0, 7)),
+      openIssues: openIssues.length,
+      closedIssues: closedIssues.length
+    };
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not fetch repository activity:', error.message);
+    return {
+      commitCount: 0,
+      commits: [],
+      openIssues: 0,
+      closedIssues: 0
+    };
+  }
+}
+
+// Helper function for change indicators
+function getChangeIndicator(current, previous) {
+  if (previous === null) return '';
+  
+  const change = current - previous;
+  if (Math.abs(change) < 0.05) return '→'; // No significant change
+  return change > 0 ? '↑' : '↓';
+}
+
+module.exports = {
+  generateCoherenceReport,
+  loadCoherenceHistory,
+  getCurrentCoherence,
+  addToCoherenceHistory,
+  generatePeriodReport,
+  generateComponentRecommendations,
+  generateOverallRecommendations,
+  fetchRepositoryActivity,
+  getChangeIndicator
+};
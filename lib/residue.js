@@ -0,0 +1,584 @@
+// residue-analysis
+//
+// This module analyzes and tracks symbolic residue - epistemic artifacts that emerge
+// from failed or incomplete explanations. Rather than treating these as errors,
+// Recursive Distill values them as signals about knowledge boundaries.
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { createContext, resolvePath } = require('./context');
+const { findFiles } = require('./articles');
+const {
+  fetchIssueComments,
+  fetchAllPullRequests,
+  fetchPRComments,
+  fetchResidueIssues
+} = require('./forge');
+
+const residueTypes = {
+  ATTRIBUTION_VOID: 'Attribution Void',
+  TOKEN_HESITATION: 'Token Hesitation',
+  RECURSIVE_COLLAPSE: 'Recursive Collapse',
+  BOUNDARY_EROSION: 'Boundary Erosion',
+  PHASE_MISALIGNMENT: 'Phase Misalignment'
+};
+
+// Main function - returns the residue catalog and writes it to meta/residue.json
+async function analyzeResidue(options = {}) {
+  const ctx = createContext(options);
+  ctx.logger.log('🜏 Analyzing Symbolic Residue...');
+  
+  // Initialize or load residue catalog
+  const residueCatalog = initializeResidueCatalog(ctx);
+  
+  // Analyze content for potential residue
+  await analyzeContentResidue(ctx, residueCatalog);
+  
+  // Analyze issues marked as residue
+  await analyzeIssueResidue(ctx, residueCatalog);
+  
+  // Check for residue in PR review comments
+  await analyzePRResidue(ctx, residueCatalog);
+  
+  // Calculate residue metrics
+  calculateResidueMetrics(residueCatalog);
+  
+  // Save residue catalog
+  if (ctx.write) {
+    const metaDir = resolvePath(ctx, ctx.config.paths.meta);
+    if (!fs.existsSync(metaDir)) {
+      fs.mkdirSync(metaDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(
+      resolvePath(ctx, ctx.config.paths.residueOutput), 
+      JSON.stringify(residueCatalog, null, 2)
+    );
+  }
+  
+  ctx.logger.log(`✅ Residue analysis complete. Catalog contains ${residueCatalog.instances.length} residue instances.`);
+  
+  return residueCatalog;
+}
+
+// Initialize residue catalog
+function initializeResidueCatalog(ctx) {
+  const outputPath = resolvePath(ctx, ctx.config.paths.residueOutput);
+  
+  if (fs.existsSync(outputPath)) {
+    try {
+      return JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    } catch (error) {
+      ctx.logger.warn('Could not parse existing residue catalog, creating new one:', error.message);
+    }
+  }
+  
+  return {
+    instances: [],
+    meta: {
+      repository: `${ctx.owner}/${ctx.repo}`,
+      created: new Date().toISOString(),
+      version: '1.0.0',
+      count: 0
+    }
+  };
+}
+
+// Analyze content for potential residue
+async function analyzeContentResidue(ctx, catalog) {
+  ctx.logger.log('Analyzing content for symbolic residue...');
+  
+  // Get all markdown files
+  const contentFiles = await findFiles(ctx, `${ctx.config.paths.content}**/*.md`);
+  
+  for (const file of contentFiles) {
+    try {
+      const content = fs.readFileSync(resolvePath(ctx, file), 'utf8');
+      const { data, content: markdown } = matter(content);
+      
+      // Check for explicit residue markers in metadata
+      if (data && data.residue && Array.isArray(data.residue)) {
+        for (const residueItem of data.residue) {
+          const residueInstance = {
+            id: `residue-content-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+            classification: residueItem.type || 'Unclassified',
+            description: residueItem.description || 'Author-identified residue',
+            section: residueItem.section || path.basename(file),
+            failureMode: residueItem.failureMode || 'Unknown',
+            recursiveDepth: residueItem.depth || 'Unknown',
+            valence: residueItem.valence || 'Neutral (neither helps nor hinders)',
+            detected: new Date().toISOString(),
+            reporter: 'author',
+            source: 'content',
+            status: 'active',
+            location: {
+              file: file,
+              line: residueItem.line || null
+            }
+          };
+          
+          addResidueInstance(ctx, catalog, residueInstance);
+        }
+      }
+      
+      // Check for inline residue markers (🜏)
+      const residueMarkerMatches = markdown.match(/🜏\s*([\s\S]*?)(?:🜏|$)/g);
+      if (residueMarkerMatches) {
+        for (const match of residueMarkerMatches) {
+          const description = match.replace(/🜏/g, '').trim();
+          
+          const residueInstance = {
+            id: `residue-inline-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+            classification: detectResidueType(description),
+            description,
+            section: path.basename(file),
+            failureMode: 'Explicit marker',
+            recursiveDepth: detectRecursiveDepth(description),
+            valence: 'Positive (reveals important boundary)',
+            detected: new Date().toISOString(),
+            reporter: 'author',
+            source: 'inline',
+            status: 'active',
+            location: {
+              file: file,
+              // This is just an estimate, would need better line detection
+              line: getApproximateLineNumber(content, match)
+            }
+          };
+          
+          addResidueInstance(ctx, catalog, residueInstance);
+        }
+      }
+      
+      // Detect potential unmarked residue through linguistic patterns
+      const potentialResidues = detectPotentialResidue(markdown);
+      for (const residue of potentialResidues) {
+        const residueInstance = {
+          id: `residue-detected-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+          classification: residue.type,
+          description: residue.text,
+          section: path.basename(file),
+          failureMode: residue.pattern,
+          recursiveDepth: 'Surface (linguistic/presentational)',
+          valence: 'Neutral (neither helps nor hinders)',
+          detected: new Date().toISOString(),
+          reporter: 'system',
+          source: 'detection',
+          status: 'pending', // Needs human verification
+          location: {
+            file: file,
+            line: getApproximateLineNumber(content, residue.text)
+          }
+        };
+        
+        addResidueInstance(ctx, catalog, residueInstance);
+      }
+    } catch (error) {
+      ctx.logger.warn(`Warning: Could not analyze ${file} for residue:`, error.message);
+    }
+  }
+}
+
+// Analyze issues marked as residue
+async function analyzeIssueResidue(ctx, catalog) {
+  try {
+    ctx.logger.log('Analyzing issues for symbolic residue...');
+    
+    // Fetch issues with "meta:residue" label or [RESIDUE] in title
+    const issues = await fetchResidueIssues(ctx);
+    
+    for (const issue of issues) {
+      // Parse residue data from issue
+      addResidueInstance(ctx, catalog, parseResidueFromIssue(issue));
+    }
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not analyze issues for residue:', error.message);
+  }
+}
+
+// Parse residue data from a residue report issue
+function parseResidueFromIssue(issue) {
+  const body = issue.body || '';
+  
+  // Extract residue classification
+  let classification = 'Unclassified';
+  const classMatch = body.match(/### Residue Classification[\s\S]*?- \[(x|X| )\] (.+?)(?:\r?\n|\r)/);
+  if (classMatch && classMatch[1].toLowerCase() === 'x') {
+    classification = classMatch[2].trim();
+  }
+  
+  // Extract residue description
+  let description = '';
+  const descMatch = body.match(/### Residue Description[\s\S]*?\r?\n([\s\S]*?)(?:\r?\n###|$)/);
+  if (descMatch) {
+    description = descMatch[1].trim();
+  }
+  
+  // Extract location
+  let section = '';
+  const sectionMatch = body.match(/\*\*Section\*\*: *(.*?)(?:\r?\n|\r)/);
+  if (sectionMatch) {
+    section = sectionMatch[1].trim();
+  }
+  
+  // Extract failure mode
+  let failureMode = 'Unknown';
+  const failureModeMatch = body.match(/### Failure Mode[\s\S]*?\r?\n([\s\S]*?)(?:\r?\n###|$)/);
+  if (failureModeMatch) {
+    failureMode = failureModeMatch[1].trim();
+  }
+  
+  // Extract recursive depth
+  let recursiveDepth = 'Unknown';
+  const depthMatch = body.match(/### Recursive Depth[\s\S]*?- \[(x|X| )\] (.+?)(?:\r?\n|\r)/);
+  if (depthMatch && depthMatch[1].toLowerCase() === 'x') {
+    recursiveDepth = depthMatch[2].trim();
+  }
+  
+  // Extract residue valence
+  let valence = 'Neutral (neither helps nor hinders)';
+  const valenceMatch = body.match(/### Residue Valence[\s\S]*?- \[(x|X| )\] (.+?)(?:\r?\n|\r)/);
+  if (valenceMatch && valenceMatch[1].toLowerCase() === 'x') {
+    valence = valenceMatch[2].trim();
+  }
+  
+  return {
+    id: `residue-issue-${issue.number}-${Date.now().toString(36)}`,
+    classification,
+    description: description || issue.title,
+    section,
+    failureMode,
+    recursiveDepth,
+    valence,
+    detected: issue.created_at,
+    reporter: issue.user.login,
+    source: 'issue',
+    status: 'active',
+    issueNumber: issue.number,
+    issueUrl: issue.html_url
+  };
+}
+
+// Analyze PR review comments for residue
+async function analyzePRResidue(ctx, catalog) {
+  try {
+    ctx.logger.log('Analyzing PR reviews for symbolic residue...');
+    
+    // Fetch PRs
+    const prs = await fetchAllPullRequests(ctx);
+    
+    for (const pr of prs) {
+      // Fetch review comments
+      const comments = await fetchPRDiscussion(ctx, pr.number);
+      
+      // Filter for comments containing residue markers
+      const residueComments = comments.filter(comment => 
+        comment.body.includes('🜏') || 
+        comment.body.includes('symbolic residue') ||
+        comment.body.includes('residue detection')
+      );
+      
+      for (const comment of residueComments) {
+        // Extract description - text between residue markers or whole comment
+        let description = comment.body;
+        const markerMatch = comment.body.match(/🜏\s*([\s\S]*?)(?:🜏|$)/);
+        if (markerMatch) {
+          description = markerMatch[1].trim();
+        }
+        
+        // Create residue instance
+        const residueInstance = {
+          id: `residue-pr-${pr.number}-comment-${comment.id}`,
+          classification: detectResidueType(description),
+          description,
+          section: `Pull Request #${pr.number}`,
+          failureMode: 'Review feedback',
+          recursiveDepth: detectRecursiveDepth(description),
+          valence: 'Neutral (neither helps nor hinders)',
+          detected: comment.created_at,
+          reporter: comment.user.login,
+          source: 'pr_comment',
+          status: 'active',
+          prNumber: pr.number,
+          commentId: comment.id,
+          commentUrl: comment.html_url
+        };
+        
+        addResidueInstance(ctx, catalog, residueInstance);
+      }
+    }
+  } catch (error) {
+    ctx.logger.warn('Warning: Could not analyze PR comments for residue:', error.message);
+  }
+}
+
+// Fetch review comments and conversation comments on a PR
+async function fetchPRDiscussion(ctx, prNumber) {
+  try {
+    const reviewComments = await fetchPRComments(ctx, prNumber);
+    
+    // Also get issue comments on the PR
+    const issueComments = await fetchIssueComments(ctx, prNumber);
+    
+    return [...reviewComments, ...issueComments];
+  } catch (error) {
+    ctx.logger.warn(`Warning: Could not fetch comments for PR #${prNumber}:`, error.message);
+    return [];
+  }
+}
+
+// Calculate residue metrics
+function calculateResidueMetrics(catalog) {
+  const now = new Date();
+  const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  
+  // Count instances by classification
+  const classificationCounts = {};
+  for (const instance of catalog.instances) {
+    classificationCounts[instance.classification] = 
+      (classificationCounts[instance.classification] || 0) + 1;
+  }
+  
+  // Find dominant classification
+  let dominantClassification = 'None';
+  let maxCount = 0;
+  for (const [classification, count] of Object.entries(classificationCounts)) {
+    if (count > maxCount) {
+      maxCount = count;
+      dominantClassification = classification;
+    }
+  }
+  
+  // Count by status
+  const activeCount = catalog.instances.filter(i => i.status === 'active').length;
+  const resolvedCount = catalog.instances.filter(i => i.status === 'resolved').length;
+  const pendingCount = catalog.instances.filter(i => i.status === 'pending').length;
+  
+  // Count by valence
+  const positiveCount = catalog.instances.filter(i => 
+    i.valence === 'Positive (reveals important boundary)'
+  ).length;
+  const neutralCount = catalog.instances.filter(i => 
+    i.valence === 'Neutral (neither helps nor hinders)'
+  ).length;
+  const negativeCount = catalog.instances.filter(i => 
+    i.valence === 'Negative (obscures understanding)'
+  ).length;
+  
+  // Count recent instances
+  const recentCount = catalog.instances.filter(i => 
+    new Date(i.detected) > thirtyDaysAgo
+  ).length;
+  
+  // Update metrics
+  catalog.meta = {
+    ...catalog.meta,
+    count: catalog.instances.length,
+    lastUpdated: now.toISOString(),
+    metrics: {
+      byClassification: classificationCounts,
+      byStatus: {
+        active: activeCount,
+        resolved: resolvedCount,
+        pending: pendingCount
+      },
+      byValence: {
+        positive: positiveCount,
+        neutral: neutralCount,
+        negative: negativeCount
+      },
+      dominantClassification,
+      recent: recentCount
+    }
+  };
+  
+  return catalog.meta.metrics;
+}
+
+// Turn located residue instances into diagnostics
+//
+// Residue is signal rather than failure, so every instance is reported as
+// info: author-marked residue as it stands, detected residue as pending
+// review. Resolved instances and those without a file location are skipped.
+function residueDiagnostics(catalog) {
+  return catalog.instances
+    .filter(instance => instance.status !== 'resolved' && instance.location && instance.location.file)
+    .map(instance => {
+      const description = instance.description.replace(/\s+/g, ' ').trim();
+      const classification = instance.classification || 'Unclassified';
+      
+      return {
+        rule: `residue/${classification.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+        severity: 'info',
+        file: instance.location.file,
+        line: instance.location.line || 1,
+        column: 1,
+        message: instance.source === 'detection'
+          ? `Possible ${classification} residue (${instance.failureMode}, pending review): "${description}"`
+          : `${classification} residue: ${description.length > 200 ? `${description.slice(0, 197)}...` : description}`
+      };
+    });
+}
+
+// Helper Functions
+
+// Add a residue instance if it doesn't exist
+function addResidueInstance(ctx, catalog, instance) {
+  // Check if similar instance already exists
+  const exists = catalog.instances.some(existing => 
+    existing.description === instance.description &&
+    existing.section === instance.section
+  );
+  
+  if (!exists) {
+    catalog.instances.push(instance);
+    ctx.logger.log(`Added residue instance: ${instance.id} (${instance.classification})`);
+  }
+}
+
+// Detect residue type from description
+function detectResidueType(description) {
+  // Simple keyword-based detection - would be more sophisticated in practice
+  const keywords = {
+    [residueTypes.ATTRIBUTION_VOID]: [
+      'source', 'attribution', 'citation', 'where', 'provenance', 'origin',
+      'evidence', 'support', 'basis', 'missing reference'
+    ],
+    [residueTypes.TOKEN_HESITATION]: [
+      'uncertain', 'unclear', 'ambiguous', 'vague', 'confusing', 'hesitation',
+      'imprecise', 'tension', 'ambivalent', 'wavering'
+    ],
+    [residueTypes.RECURSIVE_COLLAPSE]: [
+      'recursive', 'self-reference', 'circular', 'loop', 'regress', 'collapse',
+      'depth', 'meta', 'self-aware', 'reflection', 'infinite'
+    ],
+    [residueTypes.BOUNDARY_EROSION]: [
+      'boundary', 'scope', 'limit', 'extent', 'border', 'edge', 'constraint',
+      'domain', 'territory', 'definition', 'delineation'
+    ],
+    [residueTypes.PHASE_MISALIGNMENT]: [
+      'inconsistent', 'contradiction', 'misalignment', 'conflict', 'divergent',
+      'phase', 'direction', 'vector', 'opposing', 'incoherent'
+    ]
+  };
+  
+  // Count keyword matches for each type
+  const scores = {};
+  for (const [type, typeKeywords] of Object.entries(keywords)) {
+    scores[type] = 0;
+    for (const keyword of typeKeywords) {
+      const regex = new RegExp(`\\b${keyword}\\b`, 'i');
+      if (regex.test(description)) {
+        scores[type]++;
+      }
+    }
+  }
+  
+  // Find type with highest score
+  let maxType = residueTypes.TOKEN_HESITATION; // Default
+  let maxScore = 0;
+  
+  for (const [type, score] of Object.entries(scores)) {
+    if (score > maxScore) {
+      maxScore = score;
+      maxType = type;
+    }
+  }
+  
+  return maxType;
+}
+
+// Detect recursive depth from description
+function detectRecursiveDepth(description) {
+  // Check for depth indicators
+  if (/\b(deep|profound|fundamental|ontological|conceptual)\b/i.test(description)) {
+    return 'Deep (conceptual/ontological)';
+  }
+  
+  if (/\b(explain|explanation|theory|understand|concept|framework)\b/i.test(description)) {
+    return 'Intermediate (explanatory)';
+  }
+  
+  return 'Surface (linguistic/presentational)';
+}
+
+// Get approximate line number for a substring in text
+function getApproximateLineNumber(text, substring) {
+  const lines = text.split('\n');
+  
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].includes(substring)) {
+      return i + 1;
+    }
+  }
+  
+  return null;
+}
+
+// Detect potential residue through linguistic patterns
+function detectPotentialResidue(text) {
+  const potentialResidues = [];
+  
+  // Patterns that might indicate residue
+  const patterns = [
+    {
+      pattern: 'Explicit uncertainty',
+      regex: /\b(?:unclear|uncertain|ambiguous|not sure|may be|might be|perhaps|possibly|I think)\b/gi,
+      type: residueTypes.TOKEN_HESITATION
+    },
+    {
+      pattern: 'Citation needed',
+      regex: /\b(?:according to|research shows|studies indicate|evidence suggests)\b(?:(?!\[\^).)*?(?:\.|\?|\!|\n)/gi,
+      type: residueTypes.ATTRIBUTION_VOID
+    },
+    {
+      pattern: 'Self-reference struggle',
+      regex: /\b(?:recursively|self-referential|meta|recursive|referring to itself)\b.*?(?:challenging|difficult|problem|issue|question)/gi,
+      type: residueTypes.RECURSIVE_COLLAPSE
+    },
+    {
+      pattern: 'Boundary acknowledgment',
+      regex: /\b(?:beyond the scope|outside the scope|boundary|boundaries|limits|limitations|constraints)\b/gi,
+      type: residueTypes.BOUNDARY_EROSION
+    },
+    {
+      pattern: 'Contradiction acknowledgment',
+      regex: /\b(?:however|conversely|on the other hand|in contrast|paradoxically|contradicts|contradicting|contradiction)\b/gi,
+      type: residueTypes.PHASE_MISALIGNMENT
+    }
+  ];
+  
+  // Check each pattern
+  for (const { pattern, regex, type } of patterns) {
+    const matches = text.match(regex);
+    if (matches) {
+      for (const match of matches) {
+        potentialResidues.push({
+          text: match,
+          pattern,
+          type
+        });
+      }
+    }
+  }
+  
+  return potentialResidues;
+}
+
+module.exports = {
+  residueTypes,
+  analyzeResidue,
+  initializeResidueCatalog,
+  analyzeContentResidue,
+  analyzeIssueResidue,
+  parseResidueFromIssue,
+  analyzePRResidue,
+  calculateResidueMetrics,
+  residueDiagnostics,
+  addResidueInstance,
+  detectResidueType,
+  detectRecursiveDepth,
+  getApproximateLineNumber,
+  detectPotentialResidue
+};
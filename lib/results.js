@@ -0,0 +1,169 @@
+// results.js
+//
+// Reproducible result manifests. An article declares, in front matter, which
+// script and output file produce each reported number or figure:
+//
+//   results:
+//     - id: accuracy
+//       script: code/analysis/evaluate.py
+//       output: data/processed/metrics.json
+//       key: test.accuracy          # JSON path, or CSV column (with `row`)
+//       tolerance: 0.005            # absolute, or relative as "1%"
+//     - id: attention-figure
+//       script: code/analysis/plot_attention.py
+//       output: content/figures/attention.png
+//
+// The text quotes a result with a Pandoc bracketed span:
+//
+//   Our model reaches [93.1%]{result=accuracy} on the test set.
+//
+// Plain-text outputs are read with `pattern` (a regular expression whose
+// first group is the value) or, by default, their first number.
+
+const fs = require('fs');
+const util = require('util');
+const execFile = util.promisify(require('child_process').execFile);
+const { resolvePath } = require('./context');
+const { parseBlocks, locate } = require('./markdown');
+const { escapeRegExp, parseDelimited } = require('./text');
+
+// Collect result manifest entries from every article's front matter
+function readResultsManifest(articles) {
+  const entries = [];
+  
+  for (const article of articles) {
+    const results = article.metadata && article.metadata.results;
+    if (!Array.isArray(results)) continue;
+    
+    for (const result of results) {
+      if (result && result.id) {
+        entries.push({ ...result, id: String(result.id), declaredIn: article.file });
+      }
+    }
+  }
+  
+  return entries;
+}
+
+// Line of an entry's `id:` in the front matter that declares it
+function locateDeclaration(ctx, entry) {
+  try {
+    const lines = fs.readFileSync(resolvePath(ctx, entry.declaredIn), 'utf8').split('\n');
+    const pattern = new RegExp(`^\\s*-?\\s*id:\\s*["']?${escapeRegExp(entry.id)}["']?\\s*$`);
+    const index = lines.findIndex(line => pattern.test(line));
+    return index === -1 ? 1 : index + 1;
+  } catch (error) {
+    return 1;
+  }
+}
+
+// Find `[text]{result=id}` spans in article prose
+function findResultQuotes(articles) {
+  const quotes = [];
+  
+  for (const article of articles) {
+    for (const block of parseBlocks(article.content, article.lineOffset || 0)) {
+      for (const match of block.text.matchAll(/\[([^\]]+)\]\{[^}]*\bresult=["']?([\w.:-]+)["']?[^}]*\}/g)) {
+        quotes.push({
+          id: match[2],
+          text: match[1],
+          file: article.file,
+          ...locate(block, match.index)
+        });
+      }
+    }
+  }
+  
+  return quotes;
+}
+
+// Parse the number quoted in text, with its precision and percent sign
+function parseQuotedNumber(text) {
+  const match = text.replace(/−/g, '-').match(/[-+]?\d[\d,]*(\.\d+)?/);
+  if (!match) return null;
+  
+  const rest = text.slice(match.index + match[0].length);
+  
+  return {
+    value: Number(match[0].replace(/,/g, '')),
+    decimals: match[1] ? match[1].length - 1 : 0,
+    percent: /^\s*%/.test(rest)
+  };
+}
+
+// Read the value a manifest entry points at in its output file
+function readOutputValue(ctx, entry) {
+  const text = fs.readFileSync(resolvePath(ctx, entry.output), 'utf8');
+  const ext = entry.output.split('.').pop().toLowerCase();
+  
+  if (ext === 'json' && entry.key) {
+    let value = JSON.parse(text);
+    for (const part of String(entry.key).split(/\.|\[(\d+)\]/).filter(Boolean)) {
+      if (value === null || value === undefined) break;
+      value = value[part];
+    }
+    return Number(value);
+  }
+  
+  if ((ext === 'csv' || ext === 'tsv') && entry.key) {
+    const delimiter = ext === 'tsv' ? '\t' : ',';
+    const rows = parseDelimited(text.trim(), delimiter).map(row => row.map(cell => cell.trim()));
+    const column = rows[0].indexOf(String(entry.key));
+    const row = rows[1 + (Number(entry.row) || 0)];
+    return column === -1 || !row ? NaN : Number(row[column]);
+  }
+  
+  const pattern = entry.pattern ? new RegExp(entry.pattern) : /[-+]?\d+(\.\d+)?([eE][-+]?\d+)?/;
+  const match = text.match(pattern);
+  return match ? Number(match[1] !== undefined && entry.pattern ? match[1] : match[0]) : NaN;
+}
+
+// Check a quoted number against a recorded value within tolerance
+function compareQuotedValue(quoted, recorded, tolerance) {
+  // Quoted percentages of recorded fractions are compared on the fraction's scale
+  const scale = quoted.percent && Math.abs(recorded) <= 1 ? 100 : 1;
+  const expected = recorded * scale;
+  
+  let allowed;
+  if (typeof tolerance === 'string' && tolerance.trim().endsWith('%')) {
+    allowed = Math.abs(expected) * parseFloat(tolerance) / 100;
+  } else if (tolerance !== undefined && tolerance !== null) {
+    allowed = Number(tolerance) * scale;
+  } else {
+    // By default the quote only has to be a correct rounding of the output
+    allowed = 0.5 * 10 ** -quoted.decimals;
+  }
+  
+  return {
+    expected,
+    difference: Math.abs(quoted.value - expected),
+    matches: Math.abs(quoted.value - expected) <= allowed + Number.EPSILON * Math.max(1, Math.abs(expected))
+  };
+}
+
+// When a file last changed: its last commit, or its mtime if it has local changes
+async function lastModified(ctx, file) {
+  const fullPath = resolvePath(ctx, file);
+  const mtime = fs.statSync(fullPath).mtimeMs;
+  
+  try {
+    // Paths come from front matter, so they never pass through a shell
+    const { stdout: status } = await execFile('git', ['status', '--porcelain', '--', file], { cwd: ctx.cwd });
+    if (status.trim()) return mtime;
+    
+    const { stdout } = await execFile('git', ['log', '-1', '--format=%ct', '--', file], { cwd: ctx.cwd });
+    return stdout.trim() ? Number(stdout.trim()) * 1000 : mtime;
+  } catch (error) {
+    return mtime;
+  }
+}
+
+module.exports = {
+  readResultsManifest,
+  locateDeclaration,
+  findResultQuotes,
+  parseQuotedNumber,
+  readOutputValue,
+  compareQuotedValue,
+  lastModified
+};
@@ -0,0 +1,107 @@
+// text.js
+//
+// Small text helpers shared by the analyzers.
+
+const matter = require('gray-matter');
+
+// Common English words that carry no topic
+const stopwords = [
+  'a', 'an', 'the', 'and', 'but', 'or', 'for', 'nor', 'on', 'at', 'to', 'from',
+  'by', 'about', 'as', 'in', 'of', 'with', 'during', 'including', 'until', 'against',
+  'among', 'throughout', 'despite', 'towards', 'upon', 'is', 'are', 'was', 'were',
+  'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'can', 'could',
+  'shall', 'should', 'will', 'would', 'may', 'might', 'must', 'this', 'that', 'these',
+  'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'their', 'our', 'your', 'my',
+  'his', 'her', 'its'
+];
+
+// Escape a string for literal use inside a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse a JSON or YAML document, choosing by file extension
+function parseStructured(text, file = '') {
+  if (/\.json$/i.test(file)) {
+    return JSON.parse(text);
+  }
+  
+  // gray-matter already carries a YAML parser; reuse it by wrapping the text as front matter
+  return matter(`---\n${text}\n---\n`).data;
+}
+
+// Parse delimited text (CSV or TSV) into rows of cells, honouring quoted fields
+function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+// Map string offsets to 1-based line numbers, indexing the line starts once
+function lineLocator(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+  
+  return offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    
+    // Last line start at or before the offset
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return low + 1;
+  };
+}
+
+module.exports = {
+  stopwords,
+  escapeRegExp,
+  lineLocator,
+  parseStructured,
+  parseDelimited
+};
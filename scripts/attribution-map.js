@@ -0,0 +1,10 @@
+// attribution-map.js
+//
+// Regenerates meta/attribution.json for the current repository.
+// Equivalent to `distill attribution`; extra arguments are passed through.
+
+const { main } = require('../lib/cli');
+
+main(['attribution', ...process.argv.slice(2)]).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,11 @@
+// coherence-check.js
+//
+// Runs the Recursive Coherence check against the current repository and exits
+// non-zero when the overall score falls below the configured threshold.
+// Equivalent to `distill check`; extra arguments are passed through.
+
+const { main } = require('../lib/cli');
+
+main(['check', ...process.argv.slice(2)]).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,10 @@
+// coherence-report.js
+//
+// Appends the latest coherence check to the history and writes the period report.
+// Equivalent to `distill report`; extra arguments are passed through.
+
+const { main } = require('../lib/cli');
+
+main(['report', ...process.argv.slice(2)]).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,10 @@
+// residue-analysis.js
+//
+// Updates the symbolic residue catalog in meta/residue.json.
+// Equivalent to `distill residue`; extra arguments are passed through.
+
+const { main } = require('../lib/cli');
+
+main(['residue', ...process.argv.slice(2)]).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,54 @@
+// aggregate.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { aggregationMethods, calculateOverallCoherence } = require('../lib/coherence/aggregate');
+
+const weights = { signal: 1, feedback: 1, bounded: 1, elastic: 1 };
+const overall = (scores, method, extra = {}, confidence = {}) =>
+  calculateOverallCoherence(...scores, weights, { method, ...extra }, confidence);
+
+test('every aggregation method gives a uniform score back', () => {
+  for (const method of aggregationMethods) {
+    assert.ok(Math.abs(overall([0.6, 0.6, 0.6, 0.6], method) - 0.6) < 1e-9 || method === 'product', method);
+  }
+  assert.ok(Math.abs(overall([0.6, 0.6, 0.6, 0.6], 'product') - 0.6 ** 4) < 1e-9);
+});
+
+test('geometric and harmonic means weigh the weakest component', () => {
+  const scores = [1, 1, 1, 0.1];
+  
+  assert.ok(Math.abs(overall(scores, 'geometric') - 0.1 ** 0.25) < 1e-9);
+  assert.ok(Math.abs(overall(scores, 'harmonic') - 4 / 13) < 1e-9);
+  assert.strictEqual(overall([1, 1, 1, 0], 'harmonic'), 0);
+});
+
+test('min-gated caps the score at a component below the gate', () => {
+  assert.strictEqual(overall([0.9, 0.9, 0.9, 0.3], 'min-gated', { gate: 0.5 }), 0.3);
+  assert.ok(overall([0.9, 0.9, 0.9, 0.6], 'min-gated', { gate: 0.5 }) > 0.6);
+});
+
+test('confidence weighting discounts unmeasured components', () => {
+  const confidence = { signalAlignment: 1, feedbackResponsiveness: 0, boundedIntegrity: 1, elasticTolerance: 1 };
+  
+  assert.ok(Math.abs(overall([0.8, 0.2, 0.8, 0.8], 'confidence', {}, confidence) - 0.8) < 1e-9);
+  assert.ok(Math.abs(overall([0.8, 0.2, 0.8, 0.8], 'confidence', {}, {
+    signalAlignment: 0, feedbackResponsiveness: 0, boundedIntegrity: 0, elasticTolerance: 0
+  }) - 0.65) < 1e-9);
+});
+
+test('weights that are all 0 count every component equally', () => {
+  const zero = { signal: 0, feedback: 0, bounded: 0, elastic: 0 };
+  
+  for (const method of aggregationMethods) {
+    assert.strictEqual(
+      calculateOverallCoherence(0.9, 0.4, 0.8, 0.6, zero, { method }),
+      calculateOverallCoherence(0.9, 0.4, 0.8, 0.6, weights, { method }),
+      method
+    );
+  }
+});
+
+test('unknown aggregation methods are rejected', () => {
+  assert.throws(() => overall([1, 1, 1, 1], 'median'), /Unknown aggregation method "median"/);
+});
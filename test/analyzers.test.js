@@ -0,0 +1,114 @@
+// analyzers.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultConfig } = require('../lib/config');
+const { loadAnalyzers, validateAnalyzer, runAnalyzers } = require('../lib/analyzers');
+const { rankRecommendations } = require('../lib/coherence');
+
+const logger = { log() {}, warn() {} };
+
+// A valid analyzer, with some of its fields replaced
+function analyzer(fields = {}) {
+  return {
+    key: 'figureCaptionScore',
+    component: 'signal',
+    weight: 0.2,
+    async analyze() {
+      return { observations: [{ file: 'a.md', line: 1, figures: 2, captioned: 1 }] };
+    },
+    score: observations => observations.reduce((sum, o) => sum + o.captioned, 0) / observations.reduce((sum, o) => sum + o.figures, 0),
+    ...fields
+  };
+}
+
+test('validateAnalyzer rejects taken sub-metric keys and component names', () => {
+  assert.deepStrictEqual(validateAnalyzer(analyzer()), []);
+  assert.deepStrictEqual(validateAnalyzer(analyzer({ key: 'citationScore' }), new Set(['citationScore'])), ['Sub-metric "citationScore" is already registered']);
+  assert.deepStrictEqual(validateAnalyzer(analyzer({ key: 'signalAlignment' })), ['key "signalAlignment" is the name of a component']);
+  
+  const { analyzers, problems } = loadAnalyzers('.', [analyzer(), analyzer({ component: 'elastic' })]);
+  assert.strictEqual(analyzers.length, 1);
+  assert.deepStrictEqual(problems, ['analyzer figureCaptionScore: Sub-metric "figureCaptionScore" is already registered']);
+});
+
+test('plugin analyses cannot shadow built-in analyses or result fields', async () => {
+  const plugins = [
+    analyzer({ key: 'scopeAnalysis', component: 'bounded' }),
+    analyzer({ key: 'diagnostics', component: 'bounded' })
+  ];
+  const run = await runAnalyzers({ plugins, config: defaultConfig, logger }, 'bounded', []);
+  
+  assert.deepStrictEqual(Object.keys(run.analyses), ['plugin:scopeAnalysis', 'plugin:diagnostics']);
+  assert.deepStrictEqual(run.subMetrics.map(metric => metric.analysis), ['plugin:scopeAnalysis', 'plugin:diagnostics']);
+  assert.deepStrictEqual(run.components, { scopeAnalysis: 0.5, diagnostics: 0.5 });
+});
+
+test('a throwing analyze, score or detail function marks the analysis errored', async () => {
+  const fail = () => {
+    throw new Error('boom');
+  };
+  const plugins = [
+    analyzer({ key: 'analyzeFails', analyze: fail }),
+    analyzer({ key: 'scoreFails', score: fail, fallback: 0.3 }),
+    analyzer({ key: 'detailFails', detail: fail })
+  ];
+  const run = await runAnalyzers({ plugins, config: defaultConfig, logger }, 'signal', []);
+  
+  assert.deepStrictEqual(run.components, { analyzeFails: 0.5, scoreFails: 0.3, detailFails: 0.5 });
+  for (const analysis of Object.values(run.analyses)) {
+    assert.strictEqual(analysis.provenance, 'errored');
+    assert.strictEqual(analysis.confidence, 0);
+    assert.strictEqual(analysis.error, 'boom');
+  }
+  // The scorer's observations survive, and its per-section scorer has nothing to say
+  assert.strictEqual(run.analyses['plugin:scoreFails'].observations.length, 1);
+  assert.strictEqual(run.subMetrics[1].score([], {}), null);
+  assert.deepStrictEqual(run.details, ['analyzeFails: 0.50', 'scoreFails: 0.30', 'detailFails: 0.50']);
+  assert.deepStrictEqual(Object.values(run.analyses).map(analysis => analysis.diagnostics.map(diagnostic => diagnostic.rule)),
+    [['plugin/error'], ['plugin/error'], ['plugin/error']]);
+});
+
+test('scores that are not finite or outside [0, 1] are errors', async () => {
+  const scores = [NaN, Infinity, -0.1, 1.5];
+  const plugins = scores.map((score, i) => analyzer({ key: `bad${i}`, analyze: async () => ({ score }) }));
+  plugins.push(analyzer({ key: 'badScorer', score: () => 2 }));
+  const run = await runAnalyzers({ plugins, config: defaultConfig, logger }, 'signal', []);
+  
+  assert.deepStrictEqual(run.components, { bad0: 0.5, bad1: 0.5, bad2: 0.5, bad3: 0.5, badScorer: 0.5 });
+  assert.ok(Object.values(run.analyses).every(analysis => analysis.provenance === 'errored'));
+  // Per-section scores out of range say nothing either
+  assert.strictEqual(run.subMetrics[4].score([], {}), null);
+});
+
+test('a throwing recommendation does not end the check', async () => {
+  const plugins = [analyzer({
+    async analyze() {
+      return { score: 0.1 };
+    },
+    recommendation() {
+      throw new Error('boom');
+    }
+  })];
+  const run = await runAnalyzers({ plugins, config: defaultConfig, logger }, 'signal', []);
+  const subMetrics = run.subMetrics.map(metric => ({ ...metric, weight: 1 }));
+  const component = score => ({ score, components: {}, subMetrics: [], diagnostics: [] });
+  const results = {
+    signalAlignment: { score: 0.1, components: run.components, subMetrics, ...run.analyses, diagnostics: [] },
+    feedbackResponsiveness: component(1),
+    boundedIntegrity: component(1),
+    elasticTolerance: component(1)
+  };
+  
+  assert.deepStrictEqual(rankRecommendations(results), []);
+  assert.deepStrictEqual(rankRecommendations(results), []);
+  assert.deepStrictEqual(results.signalAlignment.diagnostics.map(diagnostic => diagnostic.message),
+    ['Could not get a recommendation from analyzer figureCaptionScore: boom']);
+});
+
+test('a measured plugin analysis records its score and provenance', async () => {
+  const run = await runAnalyzers({ plugins: [analyzer()], config: defaultConfig, logger }, 'signal', []);
+  
+  assert.strictEqual(run.components.figureCaptionScore, 0.5);
+  assert.strictEqual(run.analyses['plugin:figureCaptionScore'].provenance, 'measured');
+});
@@ -0,0 +1,42 @@
+// attribution.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { rekeyContributors } = require('../lib/attribution');
+
+test('rekeyContributors merges nodes written before an identity was known', () => {
+  const graph = {
+    nodes: [
+      { id: 'contributor:Ada_Lovelace', name: 'Ada Lovelace', email: 'ada@example.org', github: null, type: 'contributor' },
+      { id: 'contributor:ada_l', name: 'ada-l', github: 'ada-l', avatarUrl: 'https://example.org/ada.png', type: 'contributor' },
+      { id: 'contributor:reader', name: 'reader', github: 'reader', type: 'contributor' },
+      { id: 'content:issues_1', path: 'issues/1', type: 'issue' }
+    ],
+    links: [
+      { source: 'contributor:Ada_Lovelace', target: 'content:issues_1', type: 'code', timestamp: 't1' },
+      { source: 'contributor:ada_l', target: 'content:issues_1', type: 'comment', timestamp: 't2' },
+      { source: 'contributor:reader', target: 'content:issues_1', type: 'issue', timestamp: 't0' }
+    ],
+    metadata: {}
+  };
+  const identities = {
+    people: [{ name: 'Ada Lovelace', github: ['ada-l'], emails: ['ada@example.org'], role: 'author' }],
+    aliases: [],
+    sources: []
+  };
+  
+  rekeyContributors(graph, identities);
+  
+  const contributors = graph.nodes.filter(node => node.type === 'contributor');
+  assert.deepStrictEqual(contributors.map(node => node.id), ['contributor:ada_l', 'contributor:reader']);
+  assert.strictEqual(contributors[0].name, 'Ada Lovelace');
+  assert.strictEqual(contributors[0].github, 'ada-l');
+  assert.strictEqual(contributors[0].avatarUrl, 'https://example.org/ada.png');
+  assert.deepStrictEqual(graph.links.map(link => link.source),
+    ['contributor:ada_l', 'contributor:ada_l', 'contributor:reader']);
+  
+  // Rekeying again changes nothing
+  const before = JSON.stringify(graph);
+  rekeyContributors(graph, identities);
+  assert.strictEqual(JSON.stringify(graph), before);
+});
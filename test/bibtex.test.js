@@ -0,0 +1,62 @@
+// bibtex.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBibtex } = require('../lib/bibtex');
+const { lineLocator } = require('../lib/text');
+
+test('parseBibtex reads entries, fields and source lines', () => {
+  const text = [
+    '@string{jml = "Journal of ML"}',
+    '',
+    '@article{kaplan2020,',
+    '  title = {Scaling Laws for {Neural} Language Models},',
+    '  author = "Kaplan, Jared and others",',
+    '  year = 2020,',
+    '  journal = jml # " Letters"',
+    '}',
+    '@comment{ignored}',
+    '@book(knuth1984,',
+    '  title = {The {\\TeX}book}',
+    ')'
+  ].join('\n');
+  
+  const { entries, errors } = parseBibtex(text, 'refs.bib');
+  
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(entries.map(({ key, type, line, file }) => ({ key, type, line, file })), [
+    { key: 'kaplan2020', type: 'article', line: 3, file: 'refs.bib' },
+    { key: 'knuth1984', type: 'book', line: 10, file: 'refs.bib' }
+  ]);
+  assert.deepStrictEqual(entries[0].fields, {
+    title: 'Scaling Laws for {Neural} Language Models',
+    author: 'Kaplan, Jared and others',
+    year: '2020',
+    journal: 'jml Letters'
+  });
+  assert.strictEqual(entries[1].fields.title, 'The {\\TeX}book');
+});
+
+test('parseBibtex reports entries without a key and unterminated entries', () => {
+  const { entries, errors } = parseBibtex('@misc{,\n  title = {x}\n}\n\n@article{open,\n  title = {never closed}\n', 'bad.bib');
+  
+  assert.strictEqual(entries.length, 0);
+  assert.deepStrictEqual(errors, [
+    { file: 'bad.bib', line: 1, message: '@misc entry without a key' },
+    { file: 'bad.bib', line: 5, message: 'Unterminated @article entry' }
+  ]);
+});
+
+test('parseBibtex locates entries in large bibliographies', () => {
+  const text = Array.from({ length: 20000 }, (_, i) => `@misc{key${i},\n  title = {Entry ${i}}\n}`).join('\n');
+  const { entries } = parseBibtex(text, 'large.bib');
+  
+  assert.strictEqual(entries.length, 20000);
+  assert.deepStrictEqual(entries.slice(-2).map(entry => entry.line), [59995, 59998]);
+});
+
+test('lineLocator maps offsets to lines', () => {
+  const lineAt = lineLocator('a\nbc\n\nd');
+  
+  assert.deepStrictEqual([0, 1, 2, 4, 5, 6].map(lineAt), [1, 1, 2, 2, 3, 4]);
+});
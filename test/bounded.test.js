@@ -0,0 +1,50 @@
+// bounded.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeMethodBoundaries } = require('../lib/coherence/bounded');
+
+// Write an article with the given front matter and body and return its options
+function article(frontMatter, markdown) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-bounded-'));
+  fs.mkdirSync(path.join(dir, 'content'));
+  fs.writeFileSync(path.join(dir, 'content/index.md'), `---\ntitle: Heads\n${frontMatter}---\n${markdown}\n`);
+  
+  return { cwd: dir, cache: false, policy: false, forge: {}, logger: { log() {}, warn() {}, error() {} } };
+}
+
+const correlational = 'methods:\n  - name: Activation correlation\n    design: correlational\nmodels: [GPT-2]\n';
+
+test('conclusions within the declared methods pass', async () => {
+  const analysis = await analyzeMethodBoundaries(article(correlational, [
+    '## Results',
+    '',
+    'GPT-2 shows strong head specialization.',
+    '',
+    'Specialization may lead to better calibration.'
+  ].join('\n')));
+  
+  assert.strictEqual(analysis.claimsChecked, 1);
+  assert.strictEqual(analysis.score, 1);
+  assert.deepStrictEqual(analysis.diagnostics, []);
+});
+
+test('causal claims from correlational methods and claims about unevaluated models are reported', async () => {
+  const analysis = await analyzeMethodBoundaries(article(correlational, [
+    '## Results',
+    '',
+    'Head specialization causes better calibration.',
+    '',
+    'The same holds for GPT-3 and other large models.'
+  ].join('\n')));
+  
+  assert.deepStrictEqual(analysis.diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.line]), [
+    ['method/causal-overreach', 10],
+    ['method/unevaluated-scope', 12]
+  ]);
+  assert.match(analysis.diagnostics[1].message, /^Claim about GPT-3, which the methods never evaluate/);
+  assert.strictEqual(analysis.score, 0);
+});
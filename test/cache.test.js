@@ -0,0 +1,153 @@
+// cache.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { defaultConfig } = require('../lib/config');
+const { hashContent, loadAnalysisCache, cachedAnalysis, cachedResult, cachedArticleAnalysis, saveAnalysisCache } = require('../lib/cache');
+
+// A context with an empty analysis cache rooted at a temporary directory
+function cacheContext(dir, extra = {}) {
+  return {
+    cwd: dir,
+    config: defaultConfig,
+    logger: { log() {}, warn() {} },
+    write: true,
+    changedSince: null,
+    analysisCache: { files: null, changed: null, dirty: false, hits: 0, misses: 0 },
+    ...extra
+  };
+}
+
+test('hashContent distinguishes its parts', () => {
+  assert.strictEqual(hashContent('a', { b: 1 }), hashContent('a', { b: 1 }));
+  assert.notStrictEqual(hashContent('ab'), hashContent('a', 'b'));
+});
+
+test('cachedAnalysis reuses results until the fingerprint or dependencies change', async () => {
+  const ctx = cacheContext(fs.mkdtempSync(path.join(os.tmpdir(), 'distill-cache-')));
+  await loadAnalysisCache(ctx);
+  
+  let runs = 0;
+  const analyze = () => ++runs;
+  
+  assert.strictEqual(cachedAnalysis(ctx, 'a.md', () => 'v1', 'terms', ['x'], analyze), 1);
+  assert.strictEqual(cachedAnalysis(ctx, 'a.md', () => 'v1', 'terms', ['x'], analyze), 1);
+  assert.strictEqual(cachedAnalysis(ctx, 'a.md', () => 'v1', 'terms', ['y'], analyze), 2);
+  assert.strictEqual(cachedAnalysis(ctx, 'a.md', () => 'v2', 'terms', ['y'], analyze), 3);
+  assert.deepStrictEqual({ hits: ctx.analysisCache.hits, misses: ctx.analysisCache.misses }, { hits: 1, misses: 3 });
+});
+
+// A git repository with the given files committed
+function gitRepository(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-cache-'));
+  execFileSync('git', ['init', '-q'], { cwd: dir });
+  fs.writeFileSync(path.join(dir, '.gitignore'), '.cache/\n');
+  commitFiles(dir, files);
+  return dir;
+}
+
+// Write and commit files
+function commitFiles(dir, files) {
+  for (const [file, text] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+  execFileSync('git', ['add', '-A'], { cwd: dir });
+  execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.org', 'commit', '-qm', 'update'], { cwd: dir });
+}
+
+// Run one cached analysis per file in a fresh context, returning each result
+async function cachedRun(dir, files, extra = {}) {
+  const ctx = cacheContext(dir, extra);
+  await loadAnalysisCache(ctx);
+  
+  const results = Object.fromEntries(Object.entries(files).map(([file, fingerprint]) =>
+    [file, cachedAnalysis(ctx, file, fingerprint, 'terms', [], () => `${file}@${fingerprint()}`)]));
+  saveAnalysisCache(ctx);
+  
+  return results;
+}
+
+test('with changedSince only files git reports changed are re-analysed', async () => {
+  const dir = gitRepository({ 'a.md': 'A', 'b.md': 'B' });
+  await cachedRun(dir, { 'a.md': () => 'a1', 'b.md': () => 'b1' });
+  
+  fs.writeFileSync(path.join(dir, 'b.md'), 'B changed');
+  const results = await cachedRun(dir, {
+    'a.md': () => assert.fail('an untouched file was fingerprinted'),
+    'b.md': () => 'b2'
+  }, { changedSince: 'HEAD' });
+  
+  assert.deepStrictEqual(results, { 'a.md': 'a.md@a1', 'b.md': 'b.md@b2' });
+});
+
+test('files committed after the cache was written are re-analysed', async () => {
+  const dir = gitRepository({ 'a.md': 'A' });
+  await cachedRun(dir, { 'a.md': () => 'a1' });
+  
+  // Unchanged since HEAD, but not since the cache was written
+  commitFiles(dir, { 'a.md': 'A changed' });
+  const results = await cachedRun(dir, { 'a.md': () => 'a2' }, { changedSince: 'HEAD' });
+  
+  assert.deepStrictEqual(results, { 'a.md': 'a.md@a2' });
+});
+
+test('results cached by another version are recomputed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-cache-'));
+  fs.mkdirSync(path.join(dir, '.cache'));
+  fs.writeFileSync(path.join(dir, '.cache', 'coherence.json'), JSON.stringify({
+    version: 2,
+    files: { 'a.md': { fingerprint: 'a1', analyses: { terms: { key: hashContent([]), result: 'stale' } } } }
+  }));
+  
+  assert.deepStrictEqual(await cachedRun(dir, { 'a.md': () => 'a1' }), { 'a.md': 'a.md@a1' });
+});
+
+test('the analysis cache survives a save and load', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-cache-'));
+  fs.writeFileSync(path.join(dir, 'index.md'), 'Text.');
+  const article = { file: 'index.md', hash: hashContent('Text.') };
+  
+  const first = cacheContext(dir);
+  await loadAnalysisCache(first);
+  cachedArticleAnalysis(first, article, 'topics', [], () => ['topic']);
+  cachedArticleAnalysis(first, { file: 'gone.md', hash: 'x' }, 'topics', [], () => []);
+  saveAnalysisCache(first);
+  
+  const second = cacheContext(dir);
+  await loadAnalysisCache(second);
+  assert.deepStrictEqual(Object.keys(second.analysisCache.files), ['index.md']);
+  assert.deepStrictEqual(cachedArticleAnalysis(second, article, 'topics', [], () => assert.fail('re-analysed')), ['topic']);
+});
+
+test('content-keyed results are reused and only those still used are saved', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-cache-'));
+  let runs = 0;
+  
+  const first = cacheContext(dir);
+  await loadAnalysisCache(first);
+  cachedResult(first, 'pairs', ['a', 'b'], () => ++runs);
+  cachedResult(first, 'pairs', ['a', 'c'], () => ++runs);
+  saveAnalysisCache(first);
+  
+  const second = cacheContext(dir);
+  await loadAnalysisCache(second);
+  assert.strictEqual(cachedResult(second, 'pairs', ['a', 'b'], () => ++runs), 1);
+  cachedResult(second, 'pairs', ['b', 'c'], () => ++runs);
+  saveAnalysisCache(second);
+  
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, '.cache', 'coherence.json'), 'utf8'));
+  assert.strictEqual(runs, 3);
+  assert.deepStrictEqual(Object.values(saved.results.pairs).sort(), [1, 3]);
+});
+
+test('without a cache the analysis always runs', () => {
+  let runs = 0;
+  cachedAnalysis({ analysisCache: null }, 'a.md', () => 'v1', 'terms', [], () => ++runs);
+  cachedAnalysis({ analysisCache: null }, 'a.md', () => 'v1', 'terms', [], () => ++runs);
+  
+  assert.strictEqual(runs, 2);
+});
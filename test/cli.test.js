@@ -0,0 +1,38 @@
+// cli.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { parseArgs, buildOptions, UsageError } = require('../lib/cli');
+
+test('parseArgs reads the command, short and inline flags and repeated assignments', () => {
+  const args = parseArgs([
+    'check', '-C', 'article', '--threshold=overall=0.8', '-t', 'signal=0.6', '-w', 'elastic=2',
+    '--aggregation', 'harmonic', '--plugin', './checks/figures.js', '-f', 'sarif', '--no-write', '--changed-since', 'origin/main'
+  ]);
+  
+  assert.strictEqual(args.command, 'check');
+  assert.strictEqual(args.repo, 'article');
+  assert.deepStrictEqual(args.thresholds, { overall: 0.8, signal: 0.6 });
+  assert.deepStrictEqual(args.weights, { elastic: 2 });
+  assert.strictEqual(args.aggregation, 'harmonic');
+  assert.strictEqual(args.format, 'sarif');
+  assert.strictEqual(args.write, false);
+  assert.strictEqual(args.changedSince, 'origin/main');
+  
+  const options = buildOptions(args);
+  assert.deepStrictEqual(options.config, { thresholds: { overall: 0.8, signal: 0.6 }, weights: { elastic: 2 }, paths: {}, aggregation: { method: 'harmonic' } });
+  assert.deepStrictEqual(options.plugins, [path.resolve('checks/figures.js')]);
+});
+
+test('parseArgs rejects malformed and unknown arguments', () => {
+  const rejects = (argv, message) => assert.throws(() => parseArgs(argv), error => error instanceof UsageError && error.message === message);
+  
+  rejects(['check', '--threshold', 'overall'], 'Expected --threshold name=value, got "overall"');
+  rejects(['check', '-w', 'signal=high'], 'Expected a number for -w, got "high"');
+  rejects(['check', '--output'], 'Missing value for --output');
+  rejects(['check', '--verbose'], 'Unknown option --verbose');
+  rejects(['check', 'extra'], 'Unexpected argument extra');
+  rejects(['report', '-f', 'sarif'], '--format sarif is only available for check, diff, residue');
+  rejects(['check', '--aggregation', 'median'], 'Unknown aggregation method "median" (expected product, geometric, harmonic, min-gated, confidence)');
+});
@@ -0,0 +1,63 @@
+// data.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeDataIntegrity } = require('../lib/coherence/signal');
+
+const scores = 'head,layer,score\n1,0,0.25\n2,0,0.75\n';
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// Write an article repository declaring data/raw/scores.csv and return its options
+function repository(csv, checksum = sha256(scores), files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-data-'));
+  const all = {
+    'content/index.md': '---\ntitle: Heads\n---\nScores come from attention-scores.\n',
+    'data/manifest.yml': [
+      'datasets:',
+      '  - id: attention-scores',
+      '    path: data/raw/scores.csv',
+      `    checksum: sha256:${checksum}`,
+      '    source: https://example.org/attention-scores',
+      '    license: CC-BY-4.0',
+      '    schema:',
+      '      head: integer',
+      '      layer: integer',
+      '      score: number',
+      ''
+    ].join('\n'),
+    'data/raw/scores.csv': csv,
+    ...files
+  };
+  
+  for (const [file, text] of Object.entries(all)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+  
+  return { cwd: dir, cache: false, policy: false, forge: {}, logger: { log() {}, warn() {}, error() {} } };
+}
+
+test('a declared dataset matching its checksum and schema is verified', async () => {
+  const analysis = await analyzeDataIntegrity(repository(scores));
+  
+  assert.strictEqual(analysis.verified, 1);
+  assert.strictEqual(analysis.score, 1);
+  assert.deepStrictEqual(analysis.diagnostics, []);
+});
+
+test('checksum, schema and undeclared files are each reported', async () => {
+  const edited = scores.replace('2,0', 'two,0');
+  const analysis = await analyzeDataIntegrity(repository(edited, sha256(scores), { 'data/processed/heads.csv': 'head\n1\n' }));
+  
+  assert.strictEqual(analysis.verified, 0);
+  assert.deepStrictEqual(analysis.diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.file, diagnostic.line]), [
+    ['data/checksum-mismatch', 'data/manifest.yml', 3],
+    ['data/schema-mismatch', 'data/raw/scores.csv', 3],
+    ['data/undeclared-file', 'data/processed/heads.csv', 1]
+  ]);
+  assert.match(analysis.diagnostics[1].message, /1 value\(s\) in column "head" are not integer \(first at row 2: "two"\)/);
+});
@@ -0,0 +1,58 @@
+// diagnostics.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { formatDiagnostics } = require('../lib/diagnostics');
+
+// Paths are relative to the article unless it lies inside an Actions workspace
+delete process.env.GITHUB_WORKSPACE;
+
+const ctx = { cwd: path.join(__dirname, 'article'), version: 'abc123' };
+const diagnostics = [
+  { rule: 'term/synonym', severity: 'warning', file: 'content/index.md', line: 4, column: 6, message: '"attention unit" is a synonym of glossary term "attention head"' },
+  { rule: 'data/checksum-mismatch', severity: 'error', file: 'data/manifest.yml', line: 3, column: 1, message: 'data/raw/scores.csv does not match its sha256 checksum' },
+  { rule: 'limitation/uncovered-scope', severity: 'info', file: 'content/index.md', message: 'Declared dataset "OpenWebText", model: GPT-2\n100% uncovered' }
+];
+
+test('SARIF output has every field the 2.1.0 schema requires', () => {
+  const log = JSON.parse(formatDiagnostics('sarif', diagnostics, ctx));
+  
+  assert.strictEqual(log.version, '2.1.0');
+  assert.strictEqual(log.runs.length, 1);
+  
+  const [run] = log.runs;
+  assert.strictEqual(run.tool.driver.name, 'distill');
+  assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['data/checksum-mismatch', 'limitation/uncovered-scope', 'term/synonym']);
+  
+  for (const result of run.results) {
+    assert.strictEqual(typeof result.message.text, 'string');
+    assert.strictEqual(run.tool.driver.rules[result.ruleIndex].id, result.ruleId);
+    assert.ok(['error', 'warning', 'note'].includes(result.level));
+    
+    const { artifactLocation, region } = result.locations[0].physicalLocation;
+    assert.ok(artifactLocation.uri && !path.isAbsolute(artifactLocation.uri));
+    assert.ok(region.startLine >= 1 && region.startColumn >= 1);
+  }
+  
+  assert.deepStrictEqual(run.results.map(result => [result.level, result.locations[0].physicalLocation.region.startLine]), [
+    ['warning', 4],
+    ['error', 3],
+    ['note', 1]
+  ]);
+});
+
+test('annotations escape workflow command properties and messages', () => {
+  assert.deepStrictEqual(formatDiagnostics('annotations', diagnostics, ctx).split('\n'), [
+    '::warning file=content/index.md,line=4,col=6,title=term/synonym::"attention unit" is a synonym of glossary term "attention head"',
+    '::error file=data/manifest.yml,line=3,col=1,title=data/checksum-mismatch::data/raw/scores.csv does not match its sha256 checksum',
+    '::notice file=content/index.md,line=1,col=1,title=limitation/uncovered-scope::Declared dataset "OpenWebText", model: GPT-2%0A100%25 uncovered'
+  ]);
+});
+
+test('JSON Lines holds one diagnostic per line', () => {
+  const lines = formatDiagnostics('jsonl', diagnostics, ctx).split('\n');
+  
+  assert.deepStrictEqual(lines.map(line => JSON.parse(line)), diagnostics);
+  assert.throws(() => formatDiagnostics('xml', diagnostics, ctx), /Unknown diagnostic format "xml"/);
+});
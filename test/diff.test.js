@@ -0,0 +1,135 @@
+// diff.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readDiffHunks, parseUnifiedDiff, compareDiagnostics, attributeChanges } = require('../lib/diff');
+
+const unifiedDiff = [
+  'diff --git a/content/index.md b/content/index.md',
+  'index 1111111..2222222 100644',
+  '--- a/content/index.md',
+  '+++ b/content/index.md',
+  '@@ -3 +3,2 @@',
+  '-Models always improve.',
+  '+Models improve with scale [@kaplan2020].',
+  '+A second sentence.',
+  '@@ -10,0 +12 @@',
+  '+## Limitations',
+  'diff --git a/old.md b/old.md',
+  'deleted file mode 100644',
+  '--- a/old.md',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-Gone.',
+  'diff --git a/figure.png b/figure.png',
+  'Binary files a/figure.png and b/figure.png differ'
+].join('\n');
+
+// A coherence result holding one sub-metric's observations and diagnostics
+function result(observations, diagnostics = []) {
+  return {
+    components: [{
+      name: 'signalAlignment',
+      subMetrics: [{ key: 'claimsScore', analysis: 'claims' }],
+      result: { claims: { observations } }
+    }],
+    report: { diagnostics }
+  };
+}
+
+test('parseUnifiedDiff reads files and hunks, skipping binary files', () => {
+  const files = parseUnifiedDiff(unifiedDiff);
+  
+  assert.deepStrictEqual(files.map(file => [file.oldFile, file.file, file.hunks.length]), [
+    ['content/index.md', 'content/index.md', 2],
+    ['old.md', null, 1]
+  ]);
+  assert.deepStrictEqual(files[0].hunks[0], {
+    oldStart: 3,
+    oldLines: 1,
+    newStart: 3,
+    newLines: 2,
+    removed: ['Models always improve.'],
+    added: ['Models improve with scale [@kaplan2020].', 'A second sentence.']
+  });
+  assert.deepStrictEqual(files[0].hunks[1].added, ['## Limitations']);
+});
+
+test('compareDiagnostics ignores diagnostics that only moved', () => {
+  const moved = { rule: 'claim/unsupported', file: 'a.md', line: 4, message: 'Claim at a.md:4 needs a citation' };
+  const { introduced, resolved } = compareDiagnostics(
+    [{ ...moved, line: 2, message: 'Claim at a.md:2 needs a citation' }, { rule: 'x', file: 'a.md', line: 1, message: 'old' }],
+    [moved, { rule: 'y', file: 'a.md', line: 9, message: 'new' }]
+  );
+  
+  assert.deepStrictEqual(introduced.map(diagnostic => diagnostic.rule), ['y']);
+  assert.deepStrictEqual(resolved.map(diagnostic => diagnostic.rule), ['x']);
+});
+
+test('attributeChanges credits observations and diagnostics to the hunks that hold them', () => {
+  const files = parseUnifiedDiff(unifiedDiff);
+  const unsupported = { rule: 'claim/unsupported', file: 'content/index.md', line: 3, message: 'Unsupported claim' };
+  const before = result([
+    { file: 'content/index.md', line: 3, unsupported: 1 },
+    { file: 'content/index.md', line: 20, unsupported: 1 }
+  ], [unsupported]);
+  const head = result([
+    { file: 'content/index.md', line: 3, unsupported: 0 },
+    { file: 'content/index.md', line: 21, unsupported: 3 }
+  ]);
+  
+  const { hunks, unattributed } = attributeChanges(files, before, head);
+  
+  assert.strictEqual(hunks.length, 1);
+  assert.deepStrictEqual(hunks[0].changes, { claimsScore: { unsupported: -1 } });
+  assert.deepStrictEqual(hunks[0].resolved, [unsupported]);
+  assert.strictEqual(hunks[0].summary, 'Paragraph changed in content/index.md:3-4 removed 1 unsupported claim; cleared 1 diagnostic');
+  assert.deepStrictEqual(unattributed.changes, { claimsScore: { unsupported: 2 } });
+});
+
+test('parseUnifiedDiff reads paths git quotes or ends with a tab', () => {
+  const files = parseUnifiedDiff([
+    'diff --git a/my notes.md b/my notes.md',
+    '--- a/my notes.md\t',
+    '+++ b/my notes.md\t',
+    '@@ -1 +1 @@',
+    '-a',
+    '+b',
+    'diff --git "a/na\\303\\257ve \\"q\\".md" "b/na\\303\\257ve \\"q\\".md"',
+    '--- "a/na\\303\\257ve \\"q\\".md"\t',
+    '+++ "b/na\\303\\257ve \\"q\\".md"\t',
+    '@@ -1 +1 @@',
+    '-x',
+    '+y'
+  ].join('\n'));
+  
+  assert.deepStrictEqual(files.map(file => [file.oldFile, file.file]), [
+    ['my notes.md', 'my notes.md'],
+    ['naïve "q".md', 'naïve "q".md']
+  ]);
+});
+
+test('readDiffHunks skips binary and oversized untracked files', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-diff-'));
+  execFileSync('git', ['init', '-q'], { cwd: dir });
+  fs.writeFileSync(path.join(dir, 'index.md'), 'Text.\n');
+  execFileSync('git', ['add', '-A'], { cwd: dir });
+  execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.org', 'commit', '-qm', 'base'], { cwd: dir });
+  const commit = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: dir, encoding: 'utf8' }).trim();
+  
+  fs.writeFileSync(path.join(dir, 'index.md'), 'New text.\n');
+  fs.writeFileSync(path.join(dir, 'new notes.md'), 'One.\nTwo.\n');
+  fs.writeFileSync(path.join(dir, 'figure.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2]));
+  fs.writeFileSync(path.join(dir, 'huge.csv'), 'x\n'.repeat(600 * 1024));
+  
+  const files = await readDiffHunks({ cwd: dir }, commit);
+  
+  assert.deepStrictEqual(files.map(file => [file.file, file.hunks[0].added]), [
+    ['index.md', ['New text.']],
+    ['new notes.md', ['One.', 'Two.']]
+  ]);
+});
@@ -0,0 +1,142 @@
+// elastic.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createContext } = require('../lib/context');
+const { loadAnalysisCache } = require('../lib/cache');
+const {
+  analyzeContradictions,
+  analyzeMultiplePerspectives,
+  evaluateUncertaintyRepresentation,
+  analyzeLimitationAcknowledgment
+} = require('../lib/coherence/elastic');
+
+const bibliography = [
+  '@article{smith2020, author = {Smith, Ann}, title = {For}, journal = {JMLR}, year = 2020}',
+  '@article{jones2021, author = {Jones, Bo}, title = {Against}, journal = {TMLR}, year = 2021}'
+].join('\n');
+
+// Write an article repository to a temporary directory and return its options
+function article(markdown, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-elastic-'));
+  const all = { 'content/index.md': `---\ntitle: Heads\n---\n${markdown}\n`, 'content/refs.bib': bibliography, ...files };
+  
+  for (const [file, text] of Object.entries(all)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+  
+  return { cwd: dir, cache: false, policy: false, forge: {}, logger: { log() {}, warn() {}, error() {} } };
+}
+
+test('a contested claim citing two first authors is balanced', async () => {
+  const analysis = await analyzeMultiplePerspectives(article('Whether heads specialize is debated [@smith2020; @jones2021].'));
+  
+  assert.strictEqual(analysis.contestedClaims, 1);
+  assert.deepStrictEqual(analysis.oneSidedClaims, []);
+  assert.deepStrictEqual(analysis.diagnostics, []);
+});
+
+test('a contested claim citing one side is one-sided', async () => {
+  const analysis = await analyzeMultiplePerspectives(article('Whether heads specialize is debated [@smith2020].'));
+  
+  assert.strictEqual(analysis.oneSidedClaims.length, 1);
+  assert.deepStrictEqual(analysis.diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.line]), [['perspective/one-sided', 4]]);
+});
+
+const conflicting = [
+  'Larger models improve calibration on held-out data.',
+  '',
+  'Larger models do not improve calibration on held-out data.',
+  '',
+  'Tokenizers split rare words into pieces.'
+].join('\n');
+
+test('conflicting statements nobody acknowledges are reported', async () => {
+  const analysis = await analyzeContradictions(article(conflicting));
+  
+  assert.strictEqual(analysis.contradictions, 1);
+  assert.strictEqual(analysis.score, 0);
+  assert.deepStrictEqual(analysis.diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.line]), [['contradiction/unacknowledged-polarity', 6]]);
+});
+
+test('acknowledged conflicts and unrelated statements raise nothing', async () => {
+  const acknowledged = await analyzeContradictions(article(conflicting.replace('Larger models do not', 'However, larger models do not')));
+  assert.strictEqual(acknowledged.contradictions, 1);
+  assert.strictEqual(acknowledged.acknowledgedContradictions, 1);
+  assert.deepStrictEqual(acknowledged.diagnostics, []);
+  
+  const unrelated = await analyzeContradictions(article('Larger models improve calibration.\n\nTokenizers split rare words into pieces.'));
+  assert.strictEqual(unrelated.contradictions, 0);
+  assert.strictEqual(unrelated.provenance, 'defaulted');
+});
+
+test('only statements sharing content stems are compared, and comparisons are cached', async () => {
+  const ctx = createContext({ ...article(conflicting), cache: true, write: false });
+  await loadAnalysisCache(ctx);
+  await analyzeContradictions(ctx);
+  
+  const compared = Object.values(ctx.analysisCache.results['statement-pairs']);
+  assert.deepStrictEqual(compared.map(conflict => conflict && conflict.kind), ['polarity']);
+});
+
+test('results reported with their uncertainty and hedged claims score fully', async () => {
+  const analysis = await evaluateUncertaintyRepresentation(article(
+    'Probing reaches 0.91 ± 0.02 accuracy. Over 5 seeds, recall is 0.84 and precision 0.80. Heads may specialize early.'
+  ));
+  
+  assert.strictEqual(analysis.quantitativeResults, 3);
+  assert.strictEqual(analysis.uncertaintyCoverage, 1);
+  assert.strictEqual(analysis.hedgedStatements, 1);
+  assert.strictEqual(analysis.score, 1);
+  assert.deepStrictEqual(analysis.diagnostics, []);
+});
+
+test('bare point estimates and absolute claims are reported', async () => {
+  const analysis = await evaluateUncertaintyRepresentation(article(
+    'Probing reaches 0.91 accuracy [0.89, 0.93], against 72% for the baseline.\n\nHeads always specialize.'
+  ));
+  
+  assert.deepStrictEqual(analysis.diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.line, diagnostic.column]), [
+    ['uncertainty/bare-estimate', 4, 53],
+    ['uncertainty/absolute-claim', 6, 1]
+  ]);
+  assert.strictEqual(analysis.uncertaintyCoverage, 0.5);
+  assert.strictEqual(analysis.hedgeBalance, 0);
+});
+
+// An article declaring a dataset and a model, with the given limitations section
+const declaring = limitations => ({
+  'content/index.md': `---\ntitle: Heads\ndatasets: [OpenWebText]\nmodels: [GPT-2]\n---\nHeads specialize.\n\n${limitations}\n`
+});
+
+test('a limitations section covering every declared scope is complete', async () => {
+  const analysis = await analyzeLimitationAcknowledgment(article('', declaring([
+    '## Limitations',
+    '',
+    '- We only study GPT-2.',
+    '- OpenWebText may not reflect other domains.',
+    '- Probing assumes linear features.'
+  ].join('\n'))));
+  
+  assert.strictEqual(analysis.hasLimitationsSection, true);
+  assert.strictEqual(analysis.limitationCount, 3);
+  assert.strictEqual(analysis.score, 1);
+  assert.deepStrictEqual(analysis.diagnostics, []);
+});
+
+test('missing limitations and uncovered scopes are reported', async () => {
+  const missing = await analyzeLimitationAcknowledgment(article('', declaring('')));
+  assert.deepStrictEqual(missing.diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.severity]), [
+    ['limitation/missing-section', 'warning'],
+    ['limitation/uncovered-scope', 'info'],
+    ['limitation/uncovered-scope', 'info']
+  ]);
+  
+  const partial = await analyzeLimitationAcknowledgment(article('', declaring('## Threats to validity\n\nWe only study GPT-2.')));
+  assert.deepStrictEqual(partial.uncoveredScopes, [{ kind: 'dataset', name: 'OpenWebText' }]);
+  assert.strictEqual(partial.diagnostics[0].message, 'Declared dataset "OpenWebText" has no corresponding limitation');
+});
@@ -0,0 +1,54 @@
+// explain.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultConfig } = require('../lib/config');
+const { reportModel, explainCoherence, whatIf } = require('../lib/coherence/explain');
+
+// A report with one weak citation sub-metric, aggregated with the equally weighted geometric mean
+const signal = (0.2 * 0.3 + 0.8 * 0.3 + 0.8 * 0.2 + 0.8 * 0.2) / (0.3 + 0.3 + 0.2 + 0.2);
+const report = {
+  overallScore: (signal * 0.9 ** 3) ** (1 / 4),
+  components: { signalAlignment: signal, feedbackResponsiveness: 0.9, boundedIntegrity: 0.9, elasticTolerance: 0.9 },
+  subMetrics: {
+    signalAlignment: { citationScore: 0.2, claimsScore: 0.8, dataScore: 0.8, codeScore: 0.8 },
+    feedbackResponsiveness: { openIssuesScore: 0.9 },
+    boundedIntegrity: { scopeScore: 0.9 },
+    elasticTolerance: { contradictionScore: 0.9 }
+  },
+  metadata: {
+    aggregation: { method: 'geometric' },
+    policy: {
+      weights: { signal: 1, feedback: 1, bounded: 1, elastic: 1 },
+      subMetrics: defaultConfig.subMetrics,
+      disabledAnalyzers: []
+    }
+  }
+};
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('whatIf recomputes the component and Δ−p from a changed sub-metric', () => {
+  const result = whatIf(report, { citationScore: 0.8 });
+  const expected = (0.8 * 0.9 ** 3) ** (1 / 4);
+  
+  close(result.components.signalAlignment, 0.8);
+  close(result.overallScore, expected);
+  close(result.change, expected - report.overallScore);
+  assert.strictEqual(result.subMetrics.signalAlignment.citationScore, 0.8);
+});
+
+test('whatIf rejects unknown keys and scores out of range', () => {
+  assert.throws(() => whatIf(report, { citationsScore: 0.8 }), /Unknown sub-metric or component "citationsScore"/);
+  assert.throws(() => whatIf(report, { citationScore: 1.5 }), /Score for citationScore must be between 0 and 1, got 1.5/);
+});
+
+test('explainCoherence ranks the weakest sub-metric first', () => {
+  const explanation = explainCoherence(reportModel(report));
+  const [first] = explanation.subMetrics;
+  
+  assert.strictEqual(first.key, 'citationScore');
+  assert.strictEqual(first.weight, 0.3);
+  close(first.gainIfResolved, ((signal + 0.8 * 0.3) * 0.9 ** 3) ** (1 / 4) - report.overallScore);
+  assert.ok(explanation.components.signalAlignment.marginalEffect > explanation.components.elasticTolerance.marginalEffect);
+});
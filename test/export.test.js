@@ -0,0 +1,73 @@
+// export.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportSnapshot } = require('../lib/forge/export');
+
+// An Octokit stand-in that records each listing request and answers the
+// pull request listing with 304 when revalidated against its ETag
+function fakeOctokit(calls, pulls) {
+  const listing = (name, data, etag) => async params => {
+    calls.push({ name, params });
+    if (etag && params.headers && params.headers['if-none-match'] === etag) {
+      throw Object.assign(new Error('Not Modified'), { status: 304 });
+    }
+    return { data: params.page === 1 ? data : [], headers: etag ? { etag } : {} };
+  };
+  
+  return {
+    issues: {
+      listForRepo: listing('issues', [], '"issues"'),
+      listComments: listing('comments', [])
+    },
+    pulls: {
+      list: listing('pulls', pulls, '"pulls"'),
+      listReviews: listing('reviews', []),
+      listReviewComments: listing('reviewComments', []),
+      listCommits: listing('commits', [])
+    }
+  };
+}
+
+const silent = { log() {}, warn() {}, error() {} };
+
+test('incremental exports revalidate only the pull request listing', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-export-'));
+  const pulls = [{ number: 1, updated_at: '2000-01-01T00:00:00Z' }];
+  
+  const first = [];
+  const { manifest } = await exportSnapshot({ cwd: dir, dir, logger: silent, policy: false, octokit: fakeOctokit(first, pulls) });
+  assert.deepStrictEqual(manifest.etags, { pulls: '"pulls"' });
+  assert.strictEqual(manifest.changed.pulls, 1);
+  
+  const second = [];
+  await exportSnapshot({ cwd: dir, dir, logger: silent, policy: false, octokit: fakeOctokit(second, pulls) });
+  const issues = second.find(call => call.name === 'issues').params;
+  const pullListing = second.find(call => call.name === 'pulls').params;
+  
+  assert.strictEqual(issues.since, manifest.syncedAt);
+  assert.strictEqual(issues.headers, undefined);
+  assert.deepStrictEqual(pullListing.headers, { 'if-none-match': '"pulls"' });
+});
+
+test('pull requests updated before the last export are not refetched', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-export-'));
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+    formatVersion: 1,
+    repository: 'recursive-distill/test-article',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    syncedAt: '2024-01-01T00:00:00.500Z',
+    etags: {}
+  }));
+  
+  // Same second as syncedAt but earlier: stale, though it sorts after it as a string
+  const pulls = [{ number: 1, updated_at: '2024-01-01T00:00:00Z' }];
+  const { manifest } = await exportSnapshot({
+    cwd: dir, dir, logger: silent, policy: false, repository: 'recursive-distill/test-article', octokit: fakeOctokit([], pulls)
+  });
+  
+  assert.strictEqual(manifest.changed.pulls, 0);
+});
@@ -0,0 +1,69 @@
+// feedback.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeOpenIssues, analyzeResponseTimes } = require('../lib/coherence/feedback');
+
+const identities = {
+  people: [{ name: 'Ada', github: ['ada'], emails: [] }],
+  aliases: [],
+  sources: []
+};
+
+// Build a forge serving the given issues and their comments
+function fakeForge(issues, comments) {
+  return {
+    listIssues: async () => issues,
+    listIssueComments: async number => comments[number] || []
+  };
+}
+
+const silent = { log() {}, warn() {}, error() {} };
+
+test('critiques closed without an author response breach the first-response SLA', async () => {
+  const issues = [
+    { number: 1, title: '[semantic] Vague claim', state: 'closed', user: { login: 'reader' },
+      created_at: '2024-01-01T00:00:00Z', closed_at: '2024-01-03T00:00:00Z' },
+    { number: 2, title: '[semantic] Missing source', state: 'closed', user: { login: 'reader' },
+      created_at: '2024-01-01T00:00:00Z', closed_at: '2024-01-03T00:00:00Z' }
+  ];
+  const comments = {
+    2: [{ user: { login: 'ada' }, created_at: '2024-01-02T00:00:00Z' }]
+  };
+  
+  const analysis = await analyzeResponseTimes(
+    { cwd: __dirname, cache: false, logger: silent, forge: fakeForge(issues, comments) }, identities);
+  
+  assert.deepStrictEqual(analysis.unanswered, [{ number: 1, shell: 'semantic' }]);
+  assert.strictEqual(analysis.shells.semantic.unanswered, 1);
+  assert.strictEqual(analysis.shells.semantic.firstResponse.count, 2);
+  // Three latencies within their SLA and one unanswered breach
+  assert.strictEqual(analysis.score, 0.75);
+});
+
+test('an author asking on their own issue does not count as a response', async () => {
+  const issues = [
+    { number: 1, title: 'Typo', state: 'open', user: { login: 'ada' } },
+    { number: 2, title: 'Unclear figure', state: 'open', user: { login: 'reader' } }
+  ];
+  const comments = {
+    1: [{ user: { login: 'ada' } }],
+    2: [{ user: { login: 'ada' } }]
+  };
+  
+  const analysis = await analyzeOpenIssues(
+    { cwd: __dirname, cache: false, logger: silent, forge: fakeForge(issues, comments) }, identities);
+  
+  assert.strictEqual(analysis.issuesWithResponses, 1);
+  assert.strictEqual(analysis.score, 0.75);
+  assert.strictEqual(analysis.provenance, 'measured');
+});
+
+test('no open issues is measured, not defaulted', async () => {
+  const analysis = await analyzeOpenIssues(
+    { cwd: __dirname, cache: false, logger: silent, forge: fakeForge([], {}) }, identities);
+  
+  assert.strictEqual(analysis.score, 1);
+  assert.strictEqual(analysis.provenance, 'measured');
+  assert.strictEqual(analysis.confidence, 1);
+});
@@ -0,0 +1,74 @@
+// glossary.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadGlossary, parseLexicon } = require('../lib/glossary');
+const { createContext } = require('../lib/context');
+const { evaluateTermConsistency } = require('../lib/coherence/bounded');
+
+const glossary = [
+  'terms:',
+  '  - term: attention head',
+  '    abbreviation: AH',
+  '    synonyms: [attention unit]',
+  ''
+].join('\n');
+
+// Write an article repository to a temporary directory and return its options
+function repository(markdown, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-glossary-'));
+  const all = { 'content/index.md': `---\ntitle: Heads\n---\n${markdown}\n`, 'glossary.yml': glossary, ...files };
+  
+  for (const [file, text] of Object.entries(all)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+  
+  return { cwd: dir, cache: false, policy: false, forge: {}, logger: { log() {}, warn() {}, error() {} } };
+}
+
+test('parseLexicon reads bolded list items with their fields', () => {
+  assert.deepStrictEqual(parseLexicon([
+    '# Lexicon',
+    '',
+    '- **Sparse autoencoder**: A dictionary learning model.',
+    '  Synonyms: SAE dictionary; sparse dictionary',
+    '- **Residual stream**'
+  ].join('\n')), [
+    { term: 'Sparse autoencoder', definition: 'A dictionary learning model.', abbreviation: null, synonyms: ['SAE dictionary', 'sparse dictionary'], variants: [] },
+    { term: 'Residual stream', definition: null, abbreviation: null, synonyms: [], variants: [] }
+  ]);
+});
+
+test('loadGlossary merges front matter over the glossary file', async () => {
+  const { terms, sources } = await loadGlossary(createContext(repository('Text.')), [{
+    file: 'content/index.md',
+    metadata: { terms: { 'attention head': 'A unit of attention.' } }
+  }]);
+  
+  assert.deepStrictEqual(sources, ['content/index.md', 'glossary.yml']);
+  assert.deepStrictEqual(terms.map(({ term, definition, abbreviation, synonyms }) => ({ term, definition, abbreviation, synonyms })), [
+    { term: 'attention head', definition: 'A unit of attention.', abbreviation: 'AH', synonyms: ['attention unit'] }
+  ]);
+});
+
+test('terms used as the glossary spells them are consistent', async () => {
+  const analysis = await evaluateTermConsistency(repository('Each attention head attends. Attention head outputs are summed.'));
+  
+  assert.strictEqual(analysis.uses, 2);
+  assert.strictEqual(analysis.consistencyRate, 1);
+  assert.deepStrictEqual(analysis.diagnostics, []);
+});
+
+test('synonyms and hyphenation variants of a term are reported', async () => {
+  const analysis = await evaluateTermConsistency(repository('Each attention unit attends.\n\nEvery attention-head output is summed.'));
+  
+  assert.deepStrictEqual(analysis.diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.line]), [
+    ['term/synonym', 4],
+    ['term/hyphenation', 6]
+  ]);
+  assert.strictEqual(analysis.score, 0);
+});
@@ -0,0 +1,66 @@
+// identity.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createContext } = require('../lib/context');
+const { loadIdentities, normalizeAuthors, parseCodeowners, parseMailmap, resolveIdentity } = require('../lib/identity');
+
+test('normalizeAuthors reads every author form and drops malformed entries', () => {
+  assert.deepStrictEqual(normalizeAuthors([
+    { name: ' Ada Lovelace ', github: '@Ada', emails: ['ada@example.org'] },
+    '@babbage',
+    'Mary Somerville <mary@example.org>',
+    { name: 'Charles', url: 'https://github.com/charles/' },
+    { url: 'https://example.org/profile' },
+    42,
+    null
+  ]), [
+    { name: 'Ada Lovelace', github: ['Ada'], emails: ['ada@example.org'] },
+    { name: null, github: ['babbage'], emails: [] },
+    { name: 'Mary Somerville', github: [], emails: ['mary@example.org'] },
+    { name: 'Charles', github: ['charles'], emails: [] }
+  ]);
+  assert.deepStrictEqual(normalizeAuthors('@ada'), [{ name: null, github: ['ada'], emails: [] }]);
+});
+
+test('parseCodeowners and parseMailmap skip teams, comments and malformed lines', () => {
+  assert.deepStrictEqual(parseCodeowners('# Owners\n* @ada @org/reviewers\ncontent/ mary@example.org # methods\n'), [
+    { name: null, github: ['ada'], emails: [] },
+    { name: null, github: [], emails: ['mary@example.org'] }
+  ]);
+  
+  assert.deepStrictEqual(parseMailmap([
+    '<ada@example.org> <Ada@Old.example>',
+    'Ada Lovelace <ada@example.org> ada <ada@laptop>',
+    'Mary <mary@example.org>',
+    'not a mailmap line',
+    '# <comment@example.org>'
+  ].join('\n')), [
+    { properName: null, properEmail: 'ada@example.org', commitName: null, commitEmail: 'ada@old.example' },
+    { properName: 'Ada Lovelace', properEmail: 'ada@example.org', commitName: 'ada', commitEmail: 'ada@laptop' },
+    { properName: 'Mary', properEmail: null, commitName: null, commitEmail: 'mary@example.org' }
+  ]);
+});
+
+test('aliases from the mailmap resolve commits to the listed author', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-identity-'));
+  fs.writeFileSync(path.join(dir, '.mailmap'), 'Ada Lovelace <ada@example.org> ada <ada@laptop>\n');
+  fs.mkdirSync(path.join(dir, '.github'));
+  fs.writeFileSync(path.join(dir, '.github/CODEOWNERS'), '* @ada @mary\n');
+  
+  const ctx = createContext({ cwd: dir, repository: 'ada/heads', cache: false, policy: false, forge: {}, logger: { log() {}, warn() {}, error() {} } });
+  const identities = await loadIdentities(ctx, [{
+    file: 'content/index.md',
+    metadata: { authors: [{ name: 'Ada Lovelace', github: 'ada', email: 'ada@example.org' }] }
+  }]);
+  
+  assert.deepStrictEqual(identities.people.map(({ github, emails, role }) => ({ github, emails, role })), [
+    { github: ['ada'], emails: ['ada@example.org', 'ada@laptop'], role: 'author' },
+    { github: ['mary'], emails: [], role: 'maintainer' }
+  ]);
+  assert.strictEqual(resolveIdentity(identities, { name: 'ada', email: 'ADA@laptop' }), identities.people[0]);
+  assert.strictEqual(resolveIdentity(identities, { name: 'Eve', email: 'eve@example.org' }), null);
+});
@@ -0,0 +1,105 @@
+// markdown.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBlocks, assignSections, splitSentences, extractSentences } = require('../lib/markdown');
+
+test('parseBlocks keeps file lines and skips code, math and comments', () => {
+  const markdown = [
+    '# Title',
+    '',
+    'First paragraph',
+    'continues here.',
+    '',
+    '```js',
+    'const ignored = true;',
+    '```',
+    '',
+    '$$',
+    'x = y',
+    '$$',
+    '',
+    '<!-- a comment -->',
+    '- A list item',
+    '',
+    '[^1]: A footnote.',
+    '',
+    '| a | b |',
+    '| - | - |'
+  ].join('\n');
+  
+  const blocks = parseBlocks(markdown, 3);
+  
+  assert.deepStrictEqual(blocks.map(block => block.type), ['heading', 'paragraph', 'list-item', 'footnote', 'table']);
+  assert.strictEqual(blocks[0].line, 4);
+  assert.strictEqual(blocks[0].level, 1);
+  assert.strictEqual(blocks[1].text, 'First paragraph\ncontinues here.');
+  assert.strictEqual(blocks[2].text, 'A list item');
+  assert.strictEqual(blocks[2].column, 3);
+  assert.strictEqual(blocks[3].label, '1');
+  assert.strictEqual(blocks[4].lines.length, 2);
+});
+
+test('assignSections records the enclosing headings', () => {
+  const blocks = assignSections(parseBlocks('# A\n\n## B\n\nText.\n\n# C\n\nMore.'));
+  
+  assert.deepStrictEqual(blocks.filter(block => block.type === 'paragraph').map(block => block.headings), [['A', 'B'], ['C']]);
+});
+
+test('splitSentences handles abbreviations, initials and decimals', () => {
+  const [block] = parseBlocks('Smith et al. report 3.14 units, e.g. in Fig. 2. J. Doe disagrees! Why?');
+  
+  assert.deepStrictEqual(splitSentences(block).map(sentence => sentence.text), [
+    'Smith et al. report 3.14 units, e.g. in Fig. 2.',
+    'J. Doe disagrees!',
+    'Why?'
+  ]);
+});
+
+test('splitSentences only treats al and no as abbreviations in context', () => {
+  const [block] = parseBlocks('The answer was no. We then asked Al. See No. 3 and Smith et al. for details.');
+  
+  assert.deepStrictEqual(splitSentences(block).map(sentence => sentence.text), [
+    'The answer was no.',
+    'We then asked Al.',
+    'See No. 3 and Smith et al. for details.'
+  ]);
+});
+
+test('splitSentences ends sentences on single letters that are not initials', () => {
+  const [block] = parseBlocks('X causes Y. See Fig. 2. We compare it with model B. Model B wins.');
+  
+  assert.deepStrictEqual(splitSentences(block).map(sentence => sentence.text), [
+    'X causes Y.',
+    'See Fig. 2.',
+    'We compare it with model B.',
+    'Model B wins.'
+  ]);
+});
+
+test('splitSentences keeps initials in names and citations', () => {
+  const [block] = parseBlocks('As J. R. Tolkien and John F. Kennedy noted (Smith, J. 2020), this holds. Work by J. Smith and K. Lee agrees.');
+  
+  assert.deepStrictEqual(splitSentences(block).map(sentence => sentence.text), [
+    'As J. R. Tolkien and John F. Kennedy noted (Smith, J. 2020), this holds.',
+    'Work by J. Smith and K. Lee agrees.'
+  ]);
+});
+
+test('splitSentences keeps trailing citations with their sentence', () => {
+  const [block] = parseBlocks('Models improve with scale [@kaplan2020]. Data matters too.[^1]');
+  
+  assert.deepStrictEqual(splitSentences(block).map(sentence => sentence.text), [
+    'Models improve with scale [@kaplan2020].',
+    'Data matters too.[^1]'
+  ]);
+});
+
+test('extractSentences reports line and column of each sentence', () => {
+  const sentences = extractSentences('# Heading\n\nOne sentence.\nAnother one.', 2);
+  
+  assert.deepStrictEqual(sentences.map(({ text, line, column }) => ({ text, line, column })), [
+    { text: 'One sentence.', line: 5, column: 1 },
+    { text: 'Another one.', line: 6, column: 1 }
+  ]);
+});
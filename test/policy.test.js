@@ -0,0 +1,111 @@
+// policy.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PolicyError, validatePolicy, applyArticlePolicy, resolveSubMetrics, weightedScore } = require('../lib/policy');
+const { defaultConfig } = require('../lib/config');
+
+// Return the error a function throws
+function catchError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected an error');
+}
+
+test('validatePolicy accepts a policy in the shape of the defaults', () => {
+  const policy = {
+    thresholds: { overall: 0.8 },
+    weights: { feedback: 0.5 },
+    subMetrics: { signal: { citationScore: 0.4 } },
+    analyzers: { codeScore: false },
+    aggregation: { method: 'min-gated', gate: 0.4 },
+    sla: { firstResponse: 3, shells: { empirical: { resolution: 60 } } },
+    plugins: ['./checks/figures.js']
+  };
+  
+  assert.strictEqual(validatePolicy(policy, 'coherence.config.json'), policy);
+});
+
+test('validatePolicy lists every problem', () => {
+  const error = catchError(() => validatePolicy({
+    thresholds: { overall: 2 },
+    weights: { typo: 1 },
+    subMetrics: { signal: { citationScore: 'high' } },
+    analyzers: { codeScore: 'no' },
+    aggregation: { method: 'median' },
+    plugins: 'one.js',
+    unknown: {}
+  }, 'policy.yml'));
+  
+  assert.ok(error instanceof PolicyError);
+  assert.strictEqual(error.source, 'policy.yml');
+  assert.deepStrictEqual(error.problems, [
+    'thresholds.overall must be a number between 0 and 1, got 2',
+    'Unknown component weight "typo" (expected one of signal, feedback, bounded, elastic)',
+    'subMetrics.signal.citationScore must be a number of at least 0, got "high"',
+    'analyzers.codeScore must be true or false, got "no"',
+    `aggregation.method must be one of product, geometric, harmonic, min-gated, confidence, got "median"`,
+    'plugins must be a list of module paths or package names',
+    `Unknown setting "unknown" (expected one of ${['thresholds', 'weights', 'subMetrics', 'analyzers', 'aggregation', 'sla', 'plugins', 'paths', 'reportPeriod'].join(', ')})`
+  ]);
+});
+
+test('validatePolicy rejects component weights that are all 0', () => {
+  const zero = { signal: 0, feedback: 0, bounded: 0, elastic: 0 };
+  
+  assert.deepStrictEqual(catchError(() => validatePolicy({ weights: zero }, 'policy.yml')).problems, ['weights must not all be 0']);
+  assert.doesNotThrow(() => validatePolicy({ weights: { ...zero, elastic: 1 } }, 'policy.yml'));
+});
+
+test('article front matter may only set scoring sections', () => {
+  assert.throws(
+    () => validatePolicy({ aggregation: { method: 'harmonic' } }, 'content/index.md front matter', ['thresholds', 'weights', 'subMetrics', 'analyzers']),
+    /Unknown setting "aggregation"/
+  );
+});
+
+test('resolveSubMetrics weighs and disables sub-metrics', () => {
+  const config = {
+    ...defaultConfig,
+    subMetrics: { ...defaultConfig.subMetrics, signal: { citationScore: 3, claimsScore: 1 } },
+    analyzers: { claimsScore: false }
+  };
+  const descriptors = [{ key: 'citationScore' }, { key: 'claimsScore' }, { key: 'dataScore' }];
+  const resolved = resolveSubMetrics(config, 'signal', descriptors);
+  
+  assert.deepStrictEqual(resolved.map(({ key, weight }) => ({ key, weight })), [
+    { key: 'citationScore', weight: 3 },
+    { key: 'dataScore', weight: 0 }
+  ]);
+  assert.strictEqual(weightedScore({ citationScore: 0.5, dataScore: 0 }, resolved), 0.5);
+  assert.strictEqual(weightedScore({}, []), 1);
+});
+
+test('front-matter overrides apply to their own file only, in any file order', () => {
+  const ctx = { config: defaultConfig, policy: { file: null, articles: [], overrides: { thresholds: { overall: 0.9 } } } };
+  const theory = { file: 'content/theory.md', metadata: { coherence: { subMetrics: { signal: { dataScore: 0 } }, thresholds: { overall: 0.5 } } } };
+  const methods = { file: 'content/methods.md', metadata: { coherence: { weights: { elastic: 2 } } } };
+  const plain = { file: 'content/index.md', metadata: {} };
+  
+  const forward = applyArticlePolicy(ctx, [theory, methods, plain]);
+  const backward = applyArticlePolicy(ctx, [plain, methods, theory]);
+  
+  assert.strictEqual(forward.config, defaultConfig);
+  assert.deepStrictEqual(Object.keys(forward.articleConfigs).sort(), ['content/methods.md', 'content/theory.md']);
+  assert.deepStrictEqual(forward.articleConfigs, backward.articleConfigs);
+  assert.strictEqual(forward.articleConfigs['content/theory.md'].subMetrics.signal.dataScore, 0);
+  assert.strictEqual(forward.articleConfigs['content/theory.md'].weights.elastic, defaultConfig.weights.elastic);
+  assert.strictEqual(forward.articleConfigs['content/methods.md'].weights.elastic, 2);
+  // The caller's options win over the front matter
+  assert.strictEqual(forward.articleConfigs['content/theory.md'].thresholds.overall, 0.9);
+  assert.deepStrictEqual(forward.policy.articles.map(article => article.file), ['content/theory.md', 'content/methods.md']);
+});
+
+test('articles without overrides leave the context as it is', () => {
+  const ctx = { config: defaultConfig, policy: { file: null, articles: [], overrides: {} } };
+  
+  assert.strictEqual(applyArticlePolicy(ctx, [{ file: 'a.md', metadata: {} }]), ctx);
+});
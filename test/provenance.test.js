@@ -0,0 +1,44 @@
+// provenance.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { provenances, scoredProvenance, sampleProvenance, describeProvenance, componentConfidence } = require('../lib/coherence/provenance');
+const { analyzeContradictions } = require('../lib/coherence/elastic');
+
+test('a scorer with nothing to judge leaves a defaulted fallback', () => {
+  assert.deepStrictEqual(scoredProvenance(null, 1), { score: 1, provenance: 'defaulted' });
+  assert.deepStrictEqual(scoredProvenance(0, 1), { score: 0, provenance: 'measured' });
+  assert.deepStrictEqual(Object.keys(provenances), ['measured', 'defaulted', 'errored']);
+});
+
+test('rates on few items carry partial confidence', () => {
+  assert.deepStrictEqual(sampleProvenance(0), { provenance: 'defaulted', confidence: 0 });
+  assert.deepStrictEqual(sampleProvenance(2), { provenance: 'measured', confidence: 0.4 });
+  assert.deepStrictEqual(sampleProvenance(9), { provenance: 'measured', confidence: 1 });
+});
+
+test('fallback scores do not count as measured', () => {
+  const result = {
+    subMetrics: [
+      { key: 'contradictionScore', analysis: 'contradictions', weight: 1 },
+      { key: 'perspectiveScore', analysis: 'perspectives', weight: 3 }
+    ],
+    contradictions: { score: 1, provenance: 'defaulted' },
+    perspectives: { score: 0.6 }
+  };
+  const described = describeProvenance(result);
+  
+  assert.deepStrictEqual(described, {
+    contradictionScore: { provenance: 'defaulted', confidence: 0 },
+    perspectiveScore: { provenance: 'measured', confidence: 1 }
+  });
+  assert.strictEqual(componentConfidence({ contradictionScore: 0, perspectiveScore: 1 }, result.subMetrics), 0.75);
+});
+
+test('an article without conflicting statements defaults its contradiction score', async () => {
+  const articles = [{ file: 'index.md', content: 'Heads specialize in small models.', metadata: {}, lineOffset: 0 }];
+  const analysis = await analyzeContradictions({ cwd: '.', cache: false, logger: { log() {}, warn() {} } }, articles);
+  
+  assert.strictEqual(analysis.score, 1);
+  assert.strictEqual(analysis.provenance, 'defaulted');
+});
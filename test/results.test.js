@@ -0,0 +1,22 @@
+// results.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { lastModified } = require('../lib/results');
+
+test('lastModified passes hostile paths to git as plain arguments', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-results-'));
+  execFileSync('git', ['init', '-q'], { cwd: dir });
+  
+  const file = 'out"$(touch injected)".json';
+  fs.writeFileSync(path.join(dir, file), '{}');
+  
+  const modified = await lastModified({ cwd: dir }, file);
+  
+  assert.ok(Number.isFinite(modified));
+  assert.strictEqual(fs.existsSync(path.join(dir, 'injected')), false);
+});
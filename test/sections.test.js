@@ -0,0 +1,82 @@
+// sections.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSectionTree, weakestSections } = require('../lib/coherence/sections');
+const { defaultConfig, mergeConfig } = require('../lib/config');
+const { signalSubMetrics, analyzeArticleCitations, findUnsupportedClaims } = require('../lib/coherence/signal');
+
+const content = [
+  '# Introduction',
+  '',
+  'Prior work shows that heads specialize [@olah2017].',
+  '',
+  '# Methods',
+  '',
+  'We trained small transformers on synthetic data.',
+  '',
+  '# Discussion',
+  '',
+  'Our results demonstrate that heads specialize.',
+  '',
+  '# Results',
+  '',
+  'Figure 2 shows that heads specialize.'
+].join('\n');
+
+// Build the section tree of one article from its Signal Alignment analyses
+function signalTree(markdown, articleConfigs = {}) {
+  const articles = [{ file: 'index.md', metadata: { title: 'Heads' }, content: markdown, lineOffset: 0 }];
+  const citations = analyzeArticleCitations(articles, { entries: [{ key: 'olah2017', fields: {}, file: 'refs.bib', line: 1 }] });
+  const claimAnalysis = findUnsupportedClaims(articles);
+  const subMetrics = signalSubMetrics.slice(0, 2).map(metric => ({ ...metric, weight: 1 }));
+  const result = { score: 0.5, citations, claimAnalysis };
+  
+  return buildSectionTree(articles, [{ name: 'signalAlignment', component: 'signal', subMetrics, result }], scores => scores.signalAlignment, articleConfigs);
+}
+
+// Find a heading section by title
+function section(tree, title) {
+  const find = node => node.title === title ? node : node.children.map(find).find(Boolean);
+  return tree.map(find).find(Boolean);
+}
+
+test('a section without claims or citations is not judged on citations', () => {
+  const tree = signalTree(content);
+  const methods = section(tree, 'Methods');
+  
+  assert.strictEqual(methods.subMetrics.citationScore, null);
+  assert.strictEqual(methods.subMetrics.claimsScore, null);
+  assert.strictEqual(methods.components.signalAlignment, null);
+  // Components a section says nothing about count at the article's level
+  assert.strictEqual(methods.overallScore, 0.5);
+});
+
+test('a section whose claims cite nothing still scores 0 on citations', () => {
+  const tree = signalTree(content);
+  const discussion = section(tree, 'Discussion');
+  
+  assert.strictEqual(discussion.subMetrics.citationScore, 0);
+  assert.strictEqual(discussion.subMetrics.claimsScore, 0);
+  assert.deepStrictEqual(weakestSections(tree, 1).map(node => node.title), ['Discussion']);
+});
+
+test('a cited section scores its citation density', () => {
+  const introduction = section(signalTree(content), 'Introduction');
+  
+  assert.strictEqual(introduction.subMetrics.citationScore, 1);
+  assert.strictEqual(introduction.subMetrics.claimsScore, 1);
+});
+
+test('a file that overrides the policy is scored with its own weights', () => {
+  const config = mergeConfig(defaultConfig, { analyzers: { claimsScore: false }, thresholds: { overall: 0.4 } });
+  const [file] = signalTree(content, { 'index.md': config });
+  const results = section([file], 'Results');
+  
+  assert.strictEqual(file.policy, 'index.md');
+  assert.strictEqual(results.threshold, 0.4);
+  // With claimsScore disabled only the citation score counts, and Results cites nothing
+  assert.strictEqual(results.components.signalAlignment, 0);
+  assert.strictEqual(section(signalTree(content), 'Results').components.signalAlignment, 0.5);
+  assert.strictEqual(section(signalTree(content), 'Results').policy, undefined);
+});
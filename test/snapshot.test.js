@@ -0,0 +1,42 @@
+// snapshot.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SnapshotError, createSnapshotForge } = require('../lib/forge/snapshot');
+
+// Write snapshot collection files to a temporary directory
+function snapshot(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distill-snapshot-'));
+  for (const [file, text] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+  return dir;
+}
+
+test('the snapshot forge filters JSON and NDJSON collections like the API', async () => {
+  const forge = createSnapshotForge(snapshot({
+    'issues.json': JSON.stringify([
+      { number: 1, state: 'open', labels: [{ name: 'critique' }], created_at: '2024-01-01T00:00:00Z' },
+      { number: 2, state: 'closed', labels: ['critique', 'empirical'], created_at: '2024-03-01T00:00:00Z' },
+      { number: 3, state: 'open', labels: [], created_at: '2024-03-01T00:00:00Z' }
+    ]),
+    'issue-comments.ndjson': '{"id":10,"issue_number":1}\n\n{"id":11,"issue_number":3}\n'
+  }));
+  
+  assert.deepStrictEqual((await forge.listIssues({ state: 'open' })).map(issue => issue.number), [1, 3]);
+  assert.deepStrictEqual((await forge.listIssues({ labels: 'critique, empirical' })).map(issue => issue.number), [2]);
+  assert.deepStrictEqual((await forge.listIssues({ since: '2024-02-01' })).map(issue => issue.number), [2, 3]);
+  assert.deepStrictEqual(await forge.listIssueComments(1), [{ id: 10, issue_number: 1 }]);
+  assert.deepStrictEqual(await forge.listPullRequestReviews(1), []);
+});
+
+test('a missing directory or malformed collection is a SnapshotError', async () => {
+  assert.throws(() => createSnapshotForge(path.join(os.tmpdir(), 'distill-no-such-snapshot')), SnapshotError);
+  
+  const forge = createSnapshotForge(snapshot({ 'pulls.json': '{"number": 1}', 'issues.ndjson': '{"number": 1}\n{' }));
+  await assert.rejects(forge.listPullRequests(), /pulls\.json must contain a JSON array/);
+  await assert.rejects(forge.listIssues(), error => error instanceof SnapshotError && /Could not read snapshot collection "issues"/.test(error.message));
+});